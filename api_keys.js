@@ -0,0 +1,465 @@
+// api_keys.js
+// Named API keys with scopes and per-key quotas, hashed at rest
+//
+// A key looks like fk_<id>_<secret>. Only its SHA-256 is stored (API_KEYS_FILE);
+// the id finds the record and the hashes are compared in constant time. Keys are
+// random, so a fast unsalted hash is enough. Every request through identify() is
+// appended to API_KEY_LOG_FILE with the key that made it; past
+// API_KEY_LOG_MAX_BYTES the file moves to <file>.1 (replacing the one before),
+// so the log keeps between one and two files' worth of requests.
+// The legacy AUTH_TOKEN still works, as a key with every scope. Requests without
+// a key are refused unless ALLOW_ANONYMOUS=true, and even then they only get the
+// render and read-results scopes - the admin scopes always take a key.
+//
+// First key (before there is an admin key to call POST /api/keys with):
+//   node api_keys.js create <name> <scope,scope,...> [rateLimit]
+//   node api_keys.js list
+//   node api_keys.js revoke <id>
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const readline = require('readline');
+const path = require('path');
+const crypto = require('crypto');
+const { logger: rootLogger } = require('./logger');
+
+const logger = rootLogger.child({ component: 'api-keys' });
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'api-keys.json');
+const API_KEY_LOG_FILE = process.env.API_KEY_LOG_FILE || path.join(__dirname, 'api-requests.jsonl');
+const API_KEY_LOG_MAX_BYTES = parseInt(process.env.API_KEY_LOG_MAX_BYTES, 10) || 10 * 1024 * 1024;
+// Requests per rate-limit window for keys that don't set their own `rateLimit`
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 1000;
+
+//   render           queue, test and preview cards (and redeliver webhooks)
+//   read-results     jobs, results, run history and webhook deliveries
+//   admin-templates  Figma structure and the base image / render caches
+//   admin-keys       create, list and revoke keys
+const API_KEY_SCOPES = ['render', 'read-results', 'admin-templates', 'admin-keys'];
+// What callers without a key may do when ALLOW_ANONYMOUS=true
+const ANONYMOUS_SCOPES = ['render', 'read-results'];
+
+const KEY_PATTERN = /^fk_([0-9a-f]{12})_[\w-]+$/;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest();
+
+// Stands in for a missing record so unknown ids cost the same comparison
+const NO_KEY_HASH = hashToken('no such key').toString('hex');
+
+function safeEqual(token, hash) {
+  return crypto.timingSafeEqual(hashToken(token), Buffer.from(hash, 'hex'));
+}
+
+// List every problem with a POST /keys body
+function validateKeyOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return ['Request body must be an object'];
+  }
+
+  const errors = [];
+  if (typeof options.name !== 'string' || options.name.trim() === '' || options.name.length > 100) {
+    errors.push('name must be a non-empty string of at most 100 characters');
+  }
+  if (!Array.isArray(options.scopes) || options.scopes.length === 0) {
+    errors.push(`scopes must be a non-empty array (${API_KEY_SCOPES.join(', ')})`);
+  } else {
+    options.scopes
+      .filter(scope => !API_KEY_SCOPES.includes(scope))
+      .forEach(scope => errors.push(`scopes: unknown scope '${scope}' (use ${API_KEY_SCOPES.join(', ')})`));
+  }
+  if (options.rateLimit !== undefined && options.rateLimit !== null &&
+      !(Number.isInteger(options.rateLimit) && options.rateLimit > 0)) {
+    errors.push('rateLimit must be a positive integer');
+  }
+  return errors;
+}
+
+// Saves replace the file, so a new inode marks a change even when two writes
+// land within the same mtime tick
+const fileVersion = stat => `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || API_KEYS_FILE;
+    this.logPath = options.logPath || API_KEY_LOG_FILE;
+    this.logMaxBytes = options.logMaxBytes || API_KEY_LOG_MAX_BYTES;
+    this.authToken = options.authToken !== undefined ? options.authToken : process.env.AUTH_TOKEN;
+    // Read here rather than at load, like AUTH_TOKEN, so the servers' .env applies
+    this.allowAnonymous = options.allowAnonymous !== undefined
+      ? options.allowAnonymous
+      : process.env.ALLOW_ANONYMOUS === 'true';
+    this.keys = new Map();
+    this.loadedVersion = null;
+    this.saving = Promise.resolve();
+    this.writing = Promise.resolve();
+  }
+
+  // Re-read the file whenever it changed - the other server or the CLI may have
+  // added or revoked a key
+  async refresh() {
+    let stat;
+    try {
+      stat = await fs.stat(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('could not read API keys', { error });
+      }
+      return;
+    }
+    if (fileVersion(stat) === this.loadedVersion) return;
+
+    try {
+      const stored = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.keys = new Map(stored.map(key => [key.id, key]));
+      this.loadedVersion = fileVersion(stat);
+    } catch (error) {
+      logger.error('could not load API keys', { error });
+    }
+  }
+
+  // Serialize writes so concurrent changes never interleave on disk.
+  // A failed write rejects for its caller only; the writes after it still run
+  save() {
+    const saved = this.saving.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify([...this.keys.values()], null, 2), { mode: 0o600 });
+      await fs.rename(tmpPath, this.filePath);
+      this.loadedVersion = fileVersion(await fs.stat(this.filePath));
+    });
+    this.saving = saved.catch(() => {});
+    return saved;
+  }
+
+  // Public view of a key - never the hash
+  describe(key) {
+    const { hash, ...rest } = key;
+    return { ...rest, active: !key.revokedAt };
+  }
+
+  // Returns the record and the token; the token is not kept and can't be shown again
+  async create({ name, scopes, rateLimit = null }, createdBy = null) {
+    await this.refresh();
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const token = `fk_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const key = {
+      id,
+      name: name.trim(),
+      hash: hashToken(token).toString('hex'),
+      scopes: [...new Set(scopes)],
+      rateLimit,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      revokedAt: null
+    };
+
+    this.keys.set(id, key);
+    try {
+      await this.save();
+    } catch (error) {
+      // A key that isn't on disk would vanish with the next restart
+      this.keys.delete(id);
+      throw error;
+    }
+    return { key: this.describe(key), token };
+  }
+
+  async revoke(id) {
+    await this.refresh();
+    const key = this.keys.get(id);
+    if (!key) return null;
+
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      try {
+        await this.save();
+      } catch (error) {
+        // Left active so that revoking again retries the write
+        key.revokedAt = null;
+        throw error;
+      }
+    }
+    return this.describe(key);
+  }
+
+  async list() {
+    await this.refresh();
+    return [...this.keys.values()]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(key => this.describe(key));
+  }
+
+  async get(id) {
+    await this.refresh();
+    const key = this.keys.get(id);
+    return key ? this.describe(key) : null;
+  }
+
+  // The key a token belongs to, or null (unknown, wrong secret or revoked)
+  async verify(token) {
+    if (this.authToken && safeEqual(token, hashToken(this.authToken).toString('hex'))) {
+      return { id: 'auth-token', name: 'AUTH_TOKEN', scopes: API_KEY_SCOPES, rateLimit: null };
+    }
+
+    await this.refresh();
+    const match = KEY_PATTERN.exec(token);
+    const key = match ? this.keys.get(match[1]) : null;
+    const matches = safeEqual(token, key ? key.hash : NO_KEY_HASH);
+    return key && matches && !key.revokedAt ? key : null;
+  }
+
+  async activeCount() {
+    await this.refresh();
+    return [...this.keys.values()].filter(key => !key.revokedAt).length;
+  }
+
+  // { level, message } for the startup log
+  async describeMode() {
+    const active = await this.activeCount();
+    if (active > 0 || this.authToken) {
+      return { level: 'info', message: `API keys: ${active} active${this.authToken ? ' + AUTH_TOKEN' : ''}` };
+    }
+    return this.allowAnonymous
+      ? { level: 'warn', message: 'No API keys - anonymous requests may render and read results (ALLOW_ANONYMOUS=true)' }
+      : { level: 'error', message: 'No API keys or AUTH_TOKEN - API requests will be refused; create one with `node api_keys.js create`' };
+  }
+
+  logRequest(key, req, res, durationMs) {
+    const entry = {
+      at: new Date().toISOString(),
+      keyId: key ? key.id : null,
+      keyName: key ? key.name : null,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs,
+      ip: req.ip,
+      requestId: req.id
+    };
+
+    const line = JSON.stringify(entry) + '\n';
+    this.writing = this.writing
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+        // Stat every time - the other server may share the file and rotate it
+        const size = await fs.stat(this.logPath).then(stat => stat.size, () => 0);
+        if (size > 0 && size + Buffer.byteLength(line) > this.logMaxBytes) {
+          await fs.rename(this.logPath, `${this.logPath}.1`);
+        }
+        await fs.appendFile(this.logPath, line);
+      })
+      .catch(error => {
+        logger.error('failed to write API request log', { error });
+      });
+    return this.writing;
+  }
+
+  // Newest first. The files are read line by line, keeping only the key's entries
+  async requests(keyId, { limit, offset } = {}) {
+    const matching = [];
+    for (const file of [`${this.logPath}.1`, this.logPath]) {
+      const stream = createReadStream(file, { encoding: 'utf8' });
+      try {
+        for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+          // Cheap test first; most lines belong to other keys
+          if (!line.includes(keyId)) continue;
+          try {
+            const entry = JSON.parse(line);
+            if (entry.keyId === keyId) matching.push(entry);
+          } catch (error) {
+            // A torn last line - skip it
+          }
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    matching.reverse();
+
+    const start = Math.max(0, parseInt(offset, 10) || 0);
+    const count = Math.min(500, Math.max(1, parseInt(limit, 10) || 50));
+    return { total: matching.length, offset: start, limit: count, requests: matching.slice(start, start + count) };
+  }
+
+  // Sets req.apiKey from "Authorization: Bearer <key>" or X-API-Key (null without
+  // one) and logs the request against it once the response is sent
+  identify() {
+    return async (req, res, next) => {
+      const header = req.headers['authorization'];
+      const token = (header && header.split(' ')[1]) || req.headers['x-api-key'];
+
+      try {
+        req.apiKey = token ? await this.verify(token) : null;
+      } catch (error) {
+        return next(error);
+      }
+
+      const started = Date.now();
+      res.on('finish', () => this.logRequest(req.apiKey, req, res, Date.now() - started));
+
+      if (token && !req.apiKey) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      next();
+    };
+  }
+
+  // Route guard: the request's key must carry `scope`
+  authorize(scope) {
+    return (req, res, next) => {
+      if (!req.apiKey) {
+        if (this.allowAnonymous && ANONYMOUS_SCOPES.includes(scope)) return next();
+        return res.status(401).json({
+          error: this.allowAnonymous
+            ? `Missing API key - the '${scope}' scope always needs one (Authorization: Bearer <key>)`
+            : 'Missing API key (Authorization: Bearer <key>)'
+        });
+      }
+      if (!req.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `API key '${req.apiKey.name}' lacks the '${scope}' scope` });
+      }
+      next();
+    };
+  }
+
+  // express-rate-limit limiter: each key gets its own budget (its `rateLimit`, or
+  // API_KEY_RATE_LIMIT), anonymous callers share `anonymousMax` per IP.
+  // Mount after identify()
+  rateLimiter(rateLimit, { windowMs, anonymousMax, message }) {
+    return rateLimit({
+      windowMs,
+      max: req => (req.apiKey ? req.apiKey.rateLimit || API_KEY_RATE_LIMIT : anonymousMax),
+      keyGenerator: req => (req.apiKey ? `key:${req.apiKey.id}` : req.ip),
+      message
+    });
+  }
+}
+
+// GET /, POST /, GET /:id, DELETE /:id and GET /:id/requests, all behind admin-keys
+function apiKeysRouter(express, store) {
+  const router = express.Router();
+  const admin = store.authorize('admin-keys');
+
+  router.get('/', admin, async (req, res) => {
+    try {
+      res.json({ success: true, keys: await store.list() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/', admin, async (req, res) => {
+    const errors = validateKeyOptions(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], errors });
+    }
+
+    try {
+      const { key, token } = await store.create(req.body, req.apiKey ? req.apiKey.id : null);
+      logger.info('created API key', { keyId: key.id, keyName: key.name, scopes: key.scopes });
+      res.status(201).json({
+        success: true,
+        key,
+        token,
+        message: 'Store the token now - it is not kept and cannot be shown again'
+      });
+    } catch (error) {
+      logger.error('could not create API key', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/:id', admin, async (req, res) => {
+    try {
+      const key = await store.get(req.params.id);
+      if (!key) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+      res.json({ success: true, key });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/:id', admin, async (req, res) => {
+    try {
+      const key = await store.revoke(req.params.id);
+      if (!key) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+      logger.info('revoked API key', { keyId: key.id, keyName: key.name });
+      res.json({ success: true, key });
+    } catch (error) {
+      logger.error('could not revoke API key', { keyId: req.params.id, error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/:id/requests', admin, async (req, res) => {
+    try {
+      if (!(await store.get(req.params.id))) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+      res.json({ success: true, keyId: req.params.id, ...(await store.requests(req.params.id, req.query)) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ANONYMOUS_SCOPES,
+  API_KEY_SCOPES,
+  ApiKeyStore,
+  apiKeysRouter,
+  validateKeyOptions
+};
+
+// CLI
+if (require.main === module) {
+  require('dotenv').config();
+  const [command, ...args] = process.argv.slice(2);
+  // API_KEYS_FILE was read before .env was loaded
+  const store = new ApiKeyStore({ filePath: process.env.API_KEYS_FILE || API_KEYS_FILE });
+
+  const commands = {
+    async create([name, scopes = '', rateLimit]) {
+      const options = {
+        name,
+        scopes: scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+        rateLimit: rateLimit ? Number(rateLimit) : null
+      };
+      const errors = validateKeyOptions(options);
+      if (errors.length > 0) throw new Error(errors.join('; '));
+
+      const { key, token } = await store.create(options);
+      console.log(`🔑 Created '${key.name}' (${key.id}) with scopes ${key.scopes.join(', ')}`);
+      console.log(`   ${token}`);
+      console.log('   Store the token now - it is not kept and cannot be shown again');
+    },
+    async list() {
+      (await store.list()).forEach(key => {
+        console.log(`${key.active ? '✅' : '🔒'} ${key.id}  ${key.name}  [${key.scopes.join(', ')}]${key.rateLimit ? `  ${key.rateLimit}/window` : ''}`);
+      });
+    },
+    async revoke([id]) {
+      const key = await store.revoke(id);
+      if (!key) throw new Error(`No API key '${id}'`);
+      console.log(`🔒 Revoked '${key.name}' (${key.id})`);
+    }
+  };
+
+  if (!commands[command]) {
+    console.error('Usage: node api_keys.js create <name> <scope,scope,...> [rateLimit] | list | revoke <id>');
+    console.error(`Scopes: ${API_KEY_SCOPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  commands[command](args).catch(error => {
+    console.error('💥', error.message);
+    process.exit(1);
+  });
+}
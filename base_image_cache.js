@@ -0,0 +1,183 @@
+// base_image_cache.js
+// Two-level (memory + disk) cache for exported Figma template images
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { recordCacheLookup } = require('./metrics');
+const { logger: rootLogger } = require('./logger');
+
+const BASE_IMAGE_CACHE_DIR = process.env.BASE_IMAGE_CACHE_DIR || path.join(__dirname, 'cache', 'base-images');
+const BASE_IMAGE_CACHE_MEMORY_ENTRIES = parseInt(process.env.BASE_IMAGE_CACHE_MEMORY_ENTRIES, 10) || 20;
+
+const logger = rootLogger.child({ component: 'base-image-cache' });
+
+class BaseImageCache {
+  constructor(options = {}) {
+    this.dir = options.dir || BASE_IMAGE_CACHE_DIR;
+    this.maxMemoryEntries = options.maxMemoryEntries || BASE_IMAGE_CACHE_MEMORY_ENTRIES;
+    this.memory = new Map();
+    this.inFlight = new Map();
+    this.stats = { hits: 0, misses: 0, invalidated: 0 };
+  }
+
+  // Stable key from file key, node ID, scale, file version and hidden layers
+  keyFor({ fileKey, nodeId, scale, version, hiddenLayers = [] }) {
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify([fileKey, nodeId, scale, version, hiddenLayers]))
+      .digest('hex');
+  }
+
+  imagePath(key) {
+    return path.join(this.dir, `${key}.png`);
+  }
+
+  metaPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  // Return the cached image or build it once, even if several cards ask at the same time
+  async getOrCreate(entry, factory) {
+    const key = this.keyFor(entry);
+
+    const cached = await this.get(key);
+    if (cached) {
+      this.stats.hits++;
+      recordCacheLookup('base-image', 'hit');
+      return { buffer: cached, cached: true };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.hits++;
+      recordCacheLookup('base-image', 'hit');
+      return { buffer: await this.inFlight.get(key), cached: true };
+    }
+
+    this.stats.misses++;
+    recordCacheLookup('base-image', 'miss');
+    const pending = (async () => {
+      const buffer = await factory();
+      await this.set(key, entry, buffer);
+      return buffer;
+    })();
+
+    this.inFlight.set(key, pending);
+    try {
+      return { buffer: await pending, cached: false };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async get(key) {
+    if (this.memory.has(key)) {
+      // Refresh LRU position
+      const buffer = this.memory.get(key);
+      this.memory.delete(key);
+      this.memory.set(key, buffer);
+      return buffer;
+    }
+
+    try {
+      const buffer = await fs.readFile(this.imagePath(key));
+      this.remember(key, buffer);
+      return buffer;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('failed to read cached base image', { key, error });
+      }
+      return null;
+    }
+  }
+
+  async set(key, entry, buffer) {
+    this.remember(key, buffer);
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(this.imagePath(key), buffer);
+      await fs.writeFile(this.metaPath(key), JSON.stringify({
+        key,
+        fileKey: entry.fileKey,
+        nodeId: entry.nodeId,
+        scale: entry.scale,
+        version: entry.version,
+        hiddenLayers: entry.hiddenLayers || [],
+        lastModified: entry.lastModified || null,
+        size: buffer.length,
+        createdAt: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      // Disk cache is best effort - the in-memory copy still works
+      logger.error('failed to write base image cache', { key, error });
+    }
+  }
+
+  remember(key, buffer) {
+    this.memory.set(key, buffer);
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  // List every entry stored on disk
+  async list() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        entries.push({ ...meta, inMemory: this.memory.has(meta.key) });
+      } catch (error) {
+        logger.error('skipping unreadable cache entry', { file, error });
+      }
+    }
+    return entries;
+  }
+
+  // Remove entries matching the filter ({ fileKey, nodeId }), or everything
+  async purge(filter = {}) {
+    const entries = await this.list();
+    const matches = entries.filter(entry =>
+      (!filter.fileKey || entry.fileKey === filter.fileKey) &&
+      (!filter.nodeId || entry.nodeId === filter.nodeId) &&
+      (!filter.exceptVersion || entry.version !== filter.exceptVersion)
+    );
+
+    for (const entry of matches) {
+      this.memory.delete(entry.key);
+      await fs.rm(this.imagePath(entry.key), { force: true });
+      await fs.rm(this.metaPath(entry.key), { force: true });
+    }
+
+    return matches.length;
+  }
+
+  // Drop entries rendered from an older version of the file
+  async invalidateStale(fileKey, currentVersion) {
+    const removed = await this.purge({ fileKey, exceptVersion: currentVersion });
+    if (removed > 0) {
+      this.stats.invalidated += removed;
+      logger.info('invalidated stale base images', { removed, fileKey, version: currentVersion });
+    }
+    return removed;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      memoryEntries: this.memory.size
+    };
+  }
+}
+
+module.exports = BaseImageCache;
@@ -0,0 +1,296 @@
+// card_fields.js
+// Normalize card payloads to { template, fields, images } and validate them per template
+//
+// Validation is schema-driven: each template's slots become a JSON Schema (ajv)
+// for types, max lengths and unknown properties, and every problem is reported at
+// once, each message starting with its JSON path in the request body.
+
+const Ajv = require('ajv');
+const { TEMPLATE_CONFIG, getTemplateSlots } = require('./template_config');
+const { parseImageSource } = require('./image_slots');
+const { validateRenditions } = require('./renditions');
+const { STORAGE_BACKENDS, validateUploadOptions } = require('./storage');
+
+// Longest text a field takes unless its zone sets `maxLength`
+const CARD_FIELD_MAX_LENGTH = parseInt(process.env.CARD_FIELD_MAX_LENGTH, 10) || 500;
+// Most cards one request may carry
+const BATCH_MAX_CARDS = parseInt(process.env.BATCH_MAX_CARDS, 10) || 1000;
+// Properties no schema knows: 'reject' reports them, 'strip' drops them
+const UNKNOWN_FIELDS = process.env.UNKNOWN_FIELDS === 'strip' ? 'strip' : 'reject';
+
+// Request-wide options that apply to every card unless the card sets its own
+const BATCH_CARD_OPTIONS = ['renditions', 'storage', 'upload', 'force'];
+
+// Older payloads put the copy at the top level under several spellings
+const LEGACY_FIELD_ALIASES = {
+  header: ['header', 'Header'],
+  promo: ['promo', 'PromoText', 'promo_text']
+};
+
+// Accept both { template, fields: { ... }, images: { ... } } and the legacy flat shape
+function normalizeCard(card = {}) {
+  const fields = { ...(card.fields || {}) };
+
+  Object.entries(LEGACY_FIELD_ALIASES).forEach(([field, aliases]) => {
+    if (fields[field] !== undefined) return;
+    const alias = aliases.find(name => card[name] !== undefined && card[name] !== null && card[name] !== '');
+    if (alias) fields[field] = card[alias];
+  });
+
+  Object.keys(fields).forEach(name => {
+    if (typeof fields[name] === 'number') fields[name] = String(fields[name]);
+  });
+
+  const normalized = {
+    template: card.template || 'default',
+    fields,
+    images: { ...(card.images || {}) }
+  };
+  if (card.renditions) normalized.renditions = card.renditions;
+  if (card.storage) normalized.storage = card.storage;
+  if (card.upload) normalized.upload = card.upload;
+  // Render even if an identical render already exists
+  if (card.force !== undefined) normalized.force = card.force;
+  // Source spreadsheet row, used for sheet write-back
+  if (card.row !== undefined) normalized.row = card.row;
+
+  return normalized;
+}
+
+// Batches are either a bare array of cards or { cards, ...options };
+// request-wide options (renditions, storage, upload, force) are copied onto every card
+function parseBatchPayload(body) {
+  if (Array.isArray(body)) {
+    return { cards: body, options: {} };
+  }
+  if (body && typeof body === 'object' && Array.isArray(body.cards)) {
+    const { cards, ...options } = body;
+    const withOptions = cards.map(card => {
+      if (!card || typeof card !== 'object') return card;
+      const merged = { ...card };
+      BATCH_CARD_OPTIONS
+        .filter(name => options[name] !== undefined && merged[name] === undefined)
+        .forEach(name => { merged[name] = options[name]; });
+      return merged;
+    });
+    return { cards: withOptions, options };
+  }
+  return { cards: null, options: {} };
+}
+
+// Schemas are built per template from its slots; compiled once and reused
+const ajv = new Ajv({
+  allErrors: true,
+  verbose: true,
+  allowUnionTypes: true,
+  removeAdditional: UNKNOWN_FIELDS === 'strip'
+});
+
+ajv.addKeyword({
+  keyword: 'imageSource',
+  schemaType: 'boolean',
+  validate: (enabled, source) => !enabled || Boolean(parseImageSource(source))
+});
+
+// Options a card or the whole batch can set; renditions and upload are checked
+// by their own validators, which report paths the same way
+const CARD_OPTIONS_SCHEMA = {
+  renditions: {},
+  storage: { enum: STORAGE_BACKENDS },
+  upload: {},
+  force: { type: 'boolean' }
+};
+
+// Request-wide options; `sheet` and `webhook` are checked by the routes that use them
+const BATCH_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: { ...CARD_OPTIONS_SCHEMA, sheet: {}, webhook: {} },
+  additionalProperties: false
+};
+
+const validateBatchShape = ajv.compile({
+  ...BATCH_OPTIONS_SCHEMA,
+  properties: {
+    cards: { type: 'array', minItems: 1, maxItems: BATCH_MAX_CARDS },
+    ...BATCH_OPTIONS_SCHEMA.properties
+  },
+  required: ['cards']
+});
+const validateCardList = ajv.compile({ type: 'array', minItems: 1, maxItems: BATCH_MAX_CARDS });
+const validateBatchOptionsShape = ajv.compile(BATCH_OPTIONS_SCHEMA);
+
+// Text up to the zone's `maxLength`; numbers are accepted and turned into text
+const fieldSchema = zone => ({
+  type: ['string', 'number', 'null'],
+  maxLength: zone.maxLength || CARD_FIELD_MAX_LENGTH
+});
+
+function cardSchema(template) {
+  const { textZones, imageSlots = {} } = TEMPLATE_CONFIG[template];
+  const fields = Object.fromEntries(Object.entries(textZones).map(([name, zone]) => [name, fieldSchema(zone)]));
+  const legacy = Object.entries(LEGACY_FIELD_ALIASES)
+    .filter(([field]) => textZones[field])
+    .flatMap(([field, aliases]) => aliases.map(alias => [alias, fieldSchema(textZones[field])]));
+
+  return {
+    type: 'object',
+    properties: {
+      template: { type: 'string' },
+      fields: { type: 'object', properties: fields, additionalProperties: false },
+      images: {
+        type: 'object',
+        properties: Object.fromEntries(Object.keys(imageSlots).map(name => [name, { imageSource: true }])),
+        additionalProperties: false
+      },
+      ...Object.fromEntries(legacy),
+      ...CARD_OPTIONS_SCHEMA,
+      row: { type: 'integer', minimum: 1 }
+    },
+    additionalProperties: false
+  };
+}
+
+const cardValidators = new Map();
+
+function cardValidator(template) {
+  if (!cardValidators.has(template)) {
+    cardValidators.set(template, ajv.compile(cardSchema(template)));
+  }
+  return cardValidators.get(template);
+}
+
+// `path` + key, in the same dotted/bracketed form as the rest of the messages
+function joinPath(path, key) {
+  if (/^\d+$/.test(String(key))) return `${path}[${key}]`;
+  return path ? `${path}.${key}` : String(key);
+}
+
+const describeType = type => ({ integer: 'an integer', object: 'an object', array: 'an array' }[type] || `a ${type}`);
+
+// One ajv error as "<path> <problem>"
+function formatSchemaError(error, path) {
+  const location = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce(joinPath, path);
+  const subject = location || 'card';
+
+  switch (error.keyword) {
+    case 'additionalProperties': {
+      const allowed = Object.keys(error.parentSchema.properties || {});
+      return `${joinPath(location, error.params.additionalProperty)} is not allowed (allowed: ${allowed.join(', ') || 'none'})`;
+    }
+    case 'required':
+      return `${joinPath(location, error.params.missingProperty)} is required`;
+    case 'type': {
+      const types = [].concat(error.params.type).join(',').split(',').filter(type => type !== 'null');
+      return `${subject} must be ${types.map(describeType).join(' or ')}`;
+    }
+    case 'enum':
+      return `${subject} has unsupported value '${error.data}' (use ${error.params.allowedValues.join(', ')})`;
+    case 'maxLength':
+      return `${subject} must be at most ${error.params.limit} characters`;
+    case 'minItems':
+      return `${subject} must have at least ${error.params.limit} item${error.params.limit === 1 ? '' : 's'}`;
+    case 'maxItems':
+      return `${subject} must have at most ${error.params.limit} items`;
+    case 'minimum':
+      return `${subject} must be at least ${error.params.limit}`;
+    case 'imageSource':
+      return `${subject} must be a URL, a base64 data URI or a local file path`;
+    default:
+      return `${subject} ${error.message}`;
+  }
+}
+
+function schemaErrors(validate, value, path) {
+  return validate(value) ? [] : validate.errors.map(error => formatSchemaError(error, path));
+}
+
+// Checks the schema leaves to the option's own validator
+function optionErrors(options, path) {
+  const errors = [];
+  if (options.renditions !== undefined) {
+    errors.push(...validateRenditions(options.renditions, joinPath(path, 'renditions')));
+  }
+  if (options.upload !== undefined) {
+    errors.push(...validateUploadOptions(options.upload, joinPath(path, 'upload')));
+  }
+  return errors;
+}
+
+// List every problem with one card; an empty array means it's valid.
+// `path` locates the card in the request (e.g. "cards[3]"); messages read
+// "cards[3].fields.header must be at most 80 characters".
+// With UNKNOWN_FIELDS=strip, properties no schema knows are removed from `card`
+function validateCard(card, path = '') {
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    return [`${path || 'card'} must be an object`];
+  }
+
+  const template = card.template || 'default';
+  if (typeof template !== 'string' || !TEMPLATE_CONFIG[template]) {
+    return [`${joinPath(path, 'template')} '${template}' is unknown (available: ${Object.keys(TEMPLATE_CONFIG).join(', ')})`];
+  }
+
+  const errors = schemaErrors(cardValidator(template), card, path);
+
+  // Required slots, after the legacy spellings have been folded into `fields`
+  const { fields, images } = normalizeCard(card);
+  const slots = getTemplateSlots(template);
+
+  slots.required
+    .filter(name => fields[name] === undefined || fields[name] === null || String(fields[name]).trim() === '')
+    .forEach(name => errors.push(`${joinPath(path, `fields.${name}`)} is required for template '${template}'`));
+
+  slots.images.required
+    .filter(name => !images[name])
+    .forEach(name => errors.push(`${joinPath(path, `images.${name}`)} is required for template '${template}'`));
+
+  return [...errors, ...optionErrors(card, path)];
+}
+
+// Request-wide options without the cards (e.g. the options of a spreadsheet upload)
+function validateBatchOptions(options, path = '') {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return [`${path || 'options'} must be an object`];
+  }
+  return [
+    ...schemaErrors(validateBatchOptionsShape, options, path),
+    ...optionErrors(options, path)
+  ];
+}
+
+// Every problem with a batch body - a bare array of cards or { cards, ...options } -
+// checked before the options are copied onto the cards, so each is reported once
+function validateBatchPayload(body) {
+  if (Array.isArray(body)) {
+    const errors = schemaErrors(validateCardList, body, '');
+    return errors.length > 0 ? errors : body.flatMap((card, index) => validateCard(card, `[${index}]`));
+  }
+  if (!body || typeof body !== 'object' || !Array.isArray(body.cards)) {
+    return ['Request body must be an array of cards or { cards: [...] }'];
+  }
+
+  const errors = schemaErrors(validateBatchShape, body, '');
+  if (body.cards.length === 0 || body.cards.length > BATCH_MAX_CARDS) return errors;
+  return [
+    ...errors,
+    ...optionErrors(body, ''),
+    ...body.cards.flatMap((card, index) => validateCard(card, `cards[${index}]`))
+  ];
+}
+
+module.exports = {
+  BATCH_MAX_CARDS,
+  CARD_FIELD_MAX_LENGTH,
+  LEGACY_FIELD_ALIASES,
+  UNKNOWN_FIELDS,
+  cardSchema,
+  normalizeCard,
+  parseBatchPayload,
+  validateBatchOptions,
+  validateBatchPayload,
+  validateCard
+};
@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+// cli.js
+// Command-line renderer: batch files, the Figma file's components and single-card previews
+//
+//   figma-cards render <cards.json|.csv|.xlsx> [--template T] [--format F] [--out-dir DIR] [--no-upload]
+//   figma-cards components [--json]
+//   figma-cards preview [card.json] [--template T] [--field name=value ...] [--format F] [--out FILE]
+//
+// `render` prints one JSON line per finished card on stdout and logs on stderr,
+// so it can feed other tools. Exit codes, for cron and shell pipelines:
+//   0  every card rendered
+//   1  some cards failed
+//   2  bad usage
+//   3  invalid input - an unreadable file or cards that fail validation
+//   4  nothing rendered - every card failed, or a missing setting or service error
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const { pathToFileURL } = require('url');
+
+const EXIT_CODES = {
+  ok: 0,
+  partial: 1,
+  usage: 2,
+  invalidInput: 3,
+  failed: 4
+};
+
+const USAGE = `Usage:
+  figma-cards render <file> [options]     Render every card of a JSON, CSV or XLSX file
+      -t, --template <name>   Template for cards that don't name one
+      -f, --format <format>   Encode every card as png, jpeg, webp or avif
+      -o, --out-dir <dir>     Write results.json here (and the images, with --no-upload)
+      --no-upload             Write images to --out-dir (default ./output) instead of uploading;
+                              always renders, without the render cache
+      --mapping <map>         Spreadsheet column mapping ("Column=field,...")
+      --worksheet <name>      Spreadsheet worksheet
+      --concurrency <n>       Cards rendered at once
+      --force                 Render again even if an identical card was rendered before
+  figma-cards components [--json]         List the Figma file's components
+  figma-cards preview [card.json] [options]
+                                          Render one card to a file without storing it
+      -t, --template <name>   Template, if the card doesn't name one
+      --field <name=value>    Set a field (repeatable)
+      -f, --format <format>   png (default), jpeg, webp or avif
+      --width, --height, --scale, --quality, --fit
+      --debug                 Draw text-zone boxes and wrap guides
+      --out <file>            Output file (default preview-<template>.<ext>)
+
+  -v, --verbose   Log progress to stderr
+  -h, --help      Show this help`;
+
+const COMMON_OPTIONS = {
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const RENDER_OPTIONS = {
+  ...COMMON_OPTIONS,
+  template: { type: 'string', short: 't' },
+  format: { type: 'string', short: 'f' },
+  'out-dir': { type: 'string', short: 'o' },
+  'no-upload': { type: 'boolean' },
+  mapping: { type: 'string' },
+  worksheet: { type: 'string' },
+  concurrency: { type: 'string' },
+  force: { type: 'boolean' }
+};
+
+const COMPONENTS_OPTIONS = {
+  ...COMMON_OPTIONS,
+  json: { type: 'boolean' }
+};
+
+const PREVIEW_OPTIONS = {
+  ...COMMON_OPTIONS,
+  template: { type: 'string', short: 't' },
+  field: { type: 'string', multiple: true },
+  format: { type: 'string', short: 'f' },
+  width: { type: 'string' },
+  height: { type: 'string' },
+  scale: { type: 'string' },
+  quality: { type: 'string' },
+  fit: { type: 'string' },
+  debug: { type: 'boolean' },
+  out: { type: 'string' }
+};
+
+// An error that ends the command with `exitCode`
+function fail(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+function parse(args, options) {
+  try {
+    return parseArgs({ args, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw fail(error.message, EXIT_CODES.usage);
+  }
+}
+
+function parseCount(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw fail(`--${name} must be a positive integer`, EXIT_CODES.usage);
+  }
+  return number;
+}
+
+async function readInput(file) {
+  try {
+    return await fs.readFile(file);
+  } catch (error) {
+    throw fail(`Could not read ${file}: ${error.message}`, EXIT_CODES.invalidInput);
+  }
+}
+
+function parseJson(buffer, file) {
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw fail(`${file} is not valid JSON: ${error.message}`, EXIT_CODES.invalidInput);
+  }
+}
+
+function invalidInput(errors, file) {
+  const lines = errors.slice(0, 20).map(error => `  ${error}`);
+  if (errors.length > 20) lines.push(`  ... and ${errors.length - 20} more`);
+  return fail(`${file} has ${errors.length} problem(s):\n${lines.join('\n')}`, EXIT_CODES.invalidInput);
+}
+
+// Cards from a JSON batch (bare array or { cards, ...options }) or a spreadsheet,
+// validated and normalized; `--template` fills in cards that don't name one
+async function readCards(file, values) {
+  const { normalizeCard, parseBatchPayload, validateBatchPayload } = require('./card_fields');
+  const { SPREADSHEET_EXTENSIONS, importSpreadsheet } = require('./spreadsheet_import');
+  const buffer = await readInput(file);
+  const extension = path.extname(file).toLowerCase();
+
+  if (SPREADSHEET_EXTENSIONS.includes(extension)) {
+    let imported;
+    try {
+      imported = await importSpreadsheet(buffer, file, {
+        template: values.template,
+        mapping: values.mapping,
+        worksheet: values.worksheet
+      });
+    } catch (error) {
+      throw fail(`Could not read ${file}: ${error.message}`, EXIT_CODES.invalidInput);
+    }
+    if (imported.errors.length > 0) throw invalidInput(imported.errors, file);
+    return imported.cards;
+  }
+
+  if (extension !== '.json') {
+    throw fail(`Unsupported input file type '${extension || file}' (use .json, ${SPREADSHEET_EXTENSIONS.join(', ')})`, EXIT_CODES.invalidInput);
+  }
+
+  const body = parseJson(buffer, file);
+  const withTemplate = card => (
+    values.template && card && typeof card === 'object' && !card.template ? { ...card, template: values.template } : card
+  );
+  const batch = Array.isArray(body)
+    ? body.map(withTemplate)
+    : { ...body, cards: Array.isArray(body && body.cards) ? body.cards.map(withTemplate) : body && body.cards };
+
+  const errors = validateBatchPayload(batch);
+  if (errors.length > 0) throw invalidInput(errors, file);
+  return parseBatchPayload(batch).cards.map(normalizeCard);
+}
+
+function checkConfig(errors) {
+  if (errors.length > 0) throw fail(errors[0], EXIT_CODES.failed);
+}
+
+async function render(args) {
+  const { values, positionals } = parse(args, RENDER_OPTIONS);
+  if (positionals.length !== 1) {
+    throw fail('render takes one input file', EXIT_CODES.usage);
+  }
+  const [file] = positionals;
+  const upload = !values['no-upload'];
+  const outDir = values['out-dir'] ? path.resolve(values['out-dir']) : null;
+  const concurrency = parseCount(values.concurrency, 'concurrency');
+
+  // Storage reads its settings when first required
+  const imageDir = outDir || path.resolve('output');
+  if (!upload) {
+    process.env.LOCAL_STORAGE_DIR = imageDir;
+    process.env.LOCAL_STORAGE_BASE_URL = pathToFileURL(imageDir).href;
+  }
+
+  const { validateRendition } = require('./renditions');
+  if (values.format !== undefined) {
+    const errors = validateRendition({ format: values.format }, '--format');
+    if (errors.length > 0) throw fail(errors[0], EXIT_CODES.usage);
+  }
+
+  // The render cache doesn't know the output directory, so --no-upload always
+  // renders - an earlier render's files may be in another directory or gone
+  const cards = (await readCards(file, values)).map(card => ({
+    ...card,
+    ...(values.format ? { renditions: [{ format: values.format }] } : {}),
+    ...(upload ? {} : { storage: 'local' }),
+    ...(values.force || !upload ? { force: true } : {})
+  }));
+
+  const HybridFigmaAutomation = require('./hybrid_figma_api');
+  const { checkTemplateSourceConfig } = require('./template_source');
+  const { STORAGE_BACKEND, checkStorageConfig } = require('./storage');
+  const { cardSummary } = require('./webhooks');
+
+  const automation = new HybridFigmaAutomation({ concurrency });
+  checkConfig(checkTemplateSourceConfig(automation.templateSource));
+  checkConfig(checkStorageConfig(cards.map(card => card.storage || STORAGE_BACKEND)));
+
+  // One line per card as it finishes, in the shape webhooks and the API use
+  const summarize = (index, result) => {
+    const summary = cardSummary({ index, status: result.success ? 'completed' : 'failed', result });
+    if (!upload && result.success) {
+      summary.files = result.renditions
+        .filter(rendition => rendition.storage === 'local')
+        .map(rendition => path.join(imageDir, rendition.key));
+    }
+    return summary;
+  };
+
+  const results = await automation.processBatch(cards, {
+    onCardComplete: (index, result) => {
+      process.stdout.write(`${JSON.stringify(summarize(index, result))}\n`);
+    }
+  });
+
+  if (outDir) {
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(path.join(outDir, 'results.json'), JSON.stringify(results, null, 2));
+  }
+
+  const failed = results.filter(result => !result.success).length;
+  console.error(`Rendered ${results.length - failed} of ${results.length} card(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+
+  if (failed === 0) return EXIT_CODES.ok;
+  return failed === results.length ? EXIT_CODES.failed : EXIT_CODES.partial;
+}
+
+async function components(args) {
+  const { values, positionals } = parse(args, COMPONENTS_OPTIONS);
+  if (positionals.length > 0) {
+    throw fail('components takes no arguments', EXIT_CODES.usage);
+  }
+
+  const HybridFigmaAutomation = require('./hybrid_figma_api');
+  const { FigmaTemplateSource } = require('./template_source');
+  checkConfig(new FigmaTemplateSource().missingConfig().map(name => `${name} not configured`));
+
+  let list;
+  try {
+    list = await new HybridFigmaAutomation().getFigmaFileStructure();
+  } catch (error) {
+    throw fail(`Could not list components: ${error.message}`, EXIT_CODES.failed);
+  }
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify(list, null, 2)}\n`);
+  } else {
+    list.forEach(component => {
+      process.stdout.write(`${component.id}\t${component.type}\t${component.path}/${component.name}\n`);
+    });
+  }
+  return EXIT_CODES.ok;
+}
+
+async function preview(args) {
+  const { values, positionals } = parse(args, PREVIEW_OPTIONS);
+  if (positionals.length > 1) {
+    throw fail('preview takes at most one card file', EXIT_CODES.usage);
+  }
+
+  const card = positionals.length > 0 ? parseJson(await readInput(positionals[0]), positionals[0]) : {};
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    throw fail(`${positionals[0]} must hold one card object`, EXIT_CODES.invalidInput);
+  }
+  if (values.template && !card.template) card.template = values.template;
+  (values.field || []).forEach(assignment => {
+    const separator = assignment.indexOf('=');
+    if (separator < 1) {
+      throw fail(`--field must look like name=value (got '${assignment}')`, EXIT_CODES.usage);
+    }
+    card.fields = { ...card.fields, [assignment.slice(0, separator)]: assignment.slice(separator + 1) };
+  });
+
+  const output = {
+    format: values.format || 'png',
+    width: values.width !== undefined ? Number(values.width) : undefined,
+    height: values.height !== undefined ? Number(values.height) : undefined,
+    scale: values.scale !== undefined ? Number(values.scale) : undefined,
+    quality: values.quality !== undefined ? Number(values.quality) : undefined,
+    fit: values.fit
+  };
+
+  const { normalizeCard, validateCard } = require('./card_fields');
+  const { validateRendition } = require('./renditions');
+  const errors = [...validateCard(card), ...validateRendition(output, 'preview')];
+  if (errors.length > 0) throw invalidInput(errors, positionals[0] || 'The card');
+
+  const HybridFigmaAutomation = require('./hybrid_figma_api');
+  const { checkTemplateSourceConfig } = require('./template_source');
+  const automation = new HybridFigmaAutomation();
+  checkConfig(checkTemplateSourceConfig(automation.templateSource));
+
+  const normalized = normalizeCard(card);
+  let rendered;
+  try {
+    rendered = await automation.previewCard(normalized, output, { debug: Boolean(values.debug) });
+  } catch (error) {
+    throw fail(`Preview failed: ${error.message}`, EXIT_CODES.failed);
+  }
+
+  const outPath = path.resolve(values.out || `preview-${normalized.template}.${rendered.extension}`);
+  await fs.mkdir(path.dirname(outPath), { recursive: true });
+  await fs.writeFile(outPath, rendered.buffer);
+
+  const fit = Object.entries(rendered.textFit).map(([zone, result]) => `${zone}=${result.status}`).join(', ');
+  console.error(`Wrote ${rendered.width}x${rendered.height} ${rendered.format}${fit ? ` (${fit})` : ''}`);
+  process.stdout.write(`${outPath}\n`);
+  return EXIT_CODES.ok;
+}
+
+const COMMANDS = { render, components, preview };
+
+// Resolves with the exit code
+async function main(argv) {
+  const [command, ...args] = argv;
+
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return command ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command '${command}'\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  try {
+    return await COMMANDS[command](args);
+  } catch (error) {
+    console.error(`figma-cards ${command}: ${error.message}`);
+    return error.exitCode !== undefined ? error.exitCode : EXIT_CODES.failed;
+  }
+}
+
+module.exports = { EXIT_CODES, main };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const argv = process.argv.slice(2);
+
+  // stdout carries results, so logs go to stderr - quiet unless asked for.
+  // Set before any module that logs is loaded
+  process.env.LOG_OUTPUT = 'stderr';
+  if (!process.env.LOG_LEVEL) {
+    process.env.LOG_LEVEL = argv.includes('--verbose') || argv.includes('-v') ? 'info' : 'warn';
+  }
+
+  main(argv).then(code => {
+    process.exitCode = code;
+  });
+}
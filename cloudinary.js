@@ -0,0 +1,123 @@
+// cloudinary.js
+// Signed Cloudinary uploads shared by both engines
+//
+// Credentials come from CLOUDINARY_URL (cloudinary://<api_key>:<api_secret>@<cloud_name>).
+// Every upload is signed with the API secret, so no unsigned preset is needed.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const FormData = require('form-data');
+const { withRetry } = require('./retry');
+const { observeRequest } = require('./metrics');
+
+const CLOUDINARY_API_BASE = (process.env.CLOUDINARY_API_BASE || 'https://api.cloudinary.com/v1_1').replace(/\/+$/, '');
+// Optional signed preset for account-side defaults (transformations, moderation, ...)
+const CLOUDINARY_UPLOAD_PRESET = process.env.CLOUDINARY_UPLOAD_PRESET || null;
+// Public IDs are deterministic, so re-rendering a card replaces the previous upload
+const CLOUDINARY_OVERWRITE = process.env.CLOUDINARY_OVERWRITE !== 'false';
+const CLOUDINARY_INVALIDATE = process.env.CLOUDINARY_INVALIDATE === 'true';
+
+// Parameters Cloudinary leaves out of the signature
+const UNSIGNED_PARAMS = ['file', 'api_key', 'resource_type', 'cloud_name', 'signature'];
+
+function parseCloudinaryUrl(url) {
+  const match = String(url || '').match(/^cloudinary:\/\/([^:]+):([^@]+)@([^/?#]+)/);
+  if (!match) {
+    throw new Error('Invalid CLOUDINARY_URL format (expected cloudinary://<api_key>:<api_secret>@<cloud_name>)');
+  }
+  const [, apiKey, apiSecret, cloudName] = match;
+  return { apiKey, apiSecret, cloudName };
+}
+
+// SHA-1 of the sorted "key=value" pairs joined with "&", followed by the secret
+function signParams(params, apiSecret) {
+  const payload = Object.keys(params)
+    .filter(key => !UNSIGNED_PARAMS.includes(key))
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+  return crypto.createHash('sha1').update(payload + apiSecret).digest('hex');
+}
+
+// Context metadata is "key=value|key=value" with "=" and "|" escaped
+function formatContext(context = {}) {
+  const escape = (value) => String(value).replace(/([=|])/g, '\\$1');
+  return Object.entries(context)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${escape(key)}=${escape(value)}`)
+    .join('|');
+}
+
+async function uploadImage(buffer, options) {
+  const {
+    cloudinaryUrl = process.env.CLOUDINARY_URL,
+    publicId,
+    filename = 'card',
+    contentType = 'application/octet-stream',
+    tags = [],
+    context = {},
+    overwrite = CLOUDINARY_OVERWRITE,
+    invalidate = CLOUDINARY_INVALIDATE,
+    uploadPreset = CLOUDINARY_UPLOAD_PRESET,
+    attempts = {},
+    retry = {}
+  } = options;
+  const { apiKey, apiSecret, cloudName } = parseCloudinaryUrl(cloudinaryUrl);
+
+  try {
+    const response = await withRetry(() => {
+      // Sign per attempt - the timestamp has to be fresh
+      const params = {
+        timestamp: Math.floor(Date.now() / 1000),
+        public_id: publicId,
+        overwrite: String(Boolean(overwrite)),
+        invalidate: String(Boolean(invalidate)),
+        tags: tags.length > 0 ? tags.join(',') : undefined,
+        context: formatContext(context) || undefined,
+        upload_preset: uploadPreset || undefined
+      };
+
+      // A FormData stream can only be sent once, so build it per attempt
+      const form = new FormData();
+      form.append('file', buffer, { filename, contentType });
+      Object.entries(params)
+        .filter(([, value]) => value !== undefined)
+        .forEach(([key, value]) => form.append(key, String(value)));
+      form.append('api_key', apiKey);
+      form.append('signature', signParams(params, apiSecret));
+
+      return observeRequest('cloudinary', 'upload', () => axios.post(
+        `${CLOUDINARY_API_BASE}/${cloudName}/image/upload`,
+        form,
+        {
+          headers: {
+            ...form.getHeaders()
+          },
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity
+        }
+      ));
+    }, {
+      ...retry,
+      label: 'Cloudinary upload',
+      onAttempt: n => { attempts.upload = n; }
+    });
+
+    return response.data;
+  } catch (error) {
+    // Surface Cloudinary's own explanation (bad signature, invalid public_id, ...)
+    const apiMessage = error.response && error.response.data && error.response.data.error
+      ? error.response.data.error.message
+      : null;
+    if (apiMessage) error.message = `Cloudinary upload failed: ${apiMessage}`;
+    throw error;
+  }
+}
+
+module.exports = {
+  parseCloudinaryUrl,
+  signParams,
+  formatContext,
+  uploadImage
+};
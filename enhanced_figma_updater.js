@@ -1,18 +1,20 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
-const axios = require('axios');
-const FormData = require('form-data');
+const { normalizeCard } = require('./card_fields');
+const { TEMPLATE_CONFIG } = require('./template_config');
+const {
+  STORAGE_BACKEND,
+  getStorage,
+  buildObjectKey,
+  buildUploadMetadata
+} = require('./storage');
+const { GoogleSheetsClient, resolveSheetTarget } = require('./google_sheets');
 
 const FIGMA_FILE_KEY = process.env.FIGMA_FILE_KEY || 'your-figma-file-key-here';
 const BASE_COMPONENT_NAME = 'BaseCard';
-const HEADER_LAYER_NAME = 'Header';
-const PROMO_LAYER_NAME = 'PromoText';
 const OFFSET_X = 400;
 
-const UPLOAD_SERVICE = process.env.UPLOAD_SERVICE || 'cloudinary';
-const CLOUDINARY_URL = process.env.CLOUDINARY_URL;
-
 async function loadCookies() {
   try {
     const cookiesPath = path.join(__dirname, 'cookies.json');
@@ -24,13 +26,16 @@ async function loadCookies() {
   }
 }
 
+// enhanced_server.js points these at per-run files so concurrent runs don't collide
+const UPDATES_FILE = process.env.UPDATES_FILE || path.join(__dirname, 'updates.json');
+const RESULTS_FILE = process.env.RESULTS_FILE || path.join(__dirname, 'image_results.json');
+
 async function loadUpdates() {
   try {
-    const updatesPath = path.join(__dirname, 'updates.json');
-    const updatesString = await fs.readFile(updatesPath, 'utf8');
-    return JSON.parse(updatesString);
+    const updatesString = await fs.readFile(UPDATES_FILE, 'utf8');
+    return JSON.parse(updatesString).map(normalizeCard);
   } catch (error) {
-    console.error('❌ Could not load updates.json:', error.message);
+    console.error(`❌ Could not load ${path.basename(UPDATES_FILE)}:`, error.message);
     throw error;
   }
 }
@@ -78,10 +83,23 @@ async function findBaseComponent(page) {
   return baseComponent;
 }
 
+// Map each card field to the text layer it fills, as configured per template
+function getLayerTexts(updateData) {
+  const config = TEMPLATE_CONFIG[updateData.template] || TEMPLATE_CONFIG.default;
+  const layerTexts = {};
+
+  Object.entries(updateData.fields).forEach(([field, text]) => {
+    const zone = config.textZones[field];
+    layerTexts[(zone && zone.layer) || field] = text;
+  });
+
+  return layerTexts;
+}
+
 async function duplicateAndUpdateComponent(page, baseComponent, updateData, index) {
-  console.log(`🔄 Processing item ${index + 1}: "${updateData.header}"`);
+  console.log(`🔄 Processing item ${index + 1}: "${updateData.fields.header}"`);
   
-  const result = await page.evaluate(async (componentId, data, idx, headerLayerName, promoLayerName, offsetX) => {
+  const result = await page.evaluate(async (componentId, layerTexts, idx, offsetX) => {
     try {
       const originalComponent = figma.currentPage.findOne(node => node.id === componentId);
       if (!originalComponent) {
@@ -111,19 +129,14 @@ async function duplicateAndUpdateComponent(page, baseComponent, updateData, inde
       
       const allNodes = instance.findAll();
       
-      const headerNode = allNodes.find(node => 
-        node.name === headerLayerName && node.type === 'TEXT'
-      );
-      if (headerNode) {
-        headerNode.characters = data.header;
-      }
-      
-      const promoNode = allNodes.find(node => 
-        node.name === promoLayerName && node.type === 'TEXT'
-      );
-      if (promoNode) {
-        promoNode.characters = data.promo;
-      }
+      Object.entries(layerTexts).forEach(([layerName, text]) => {
+        const textNode = allNodes.find(node => 
+          node.name === layerName && node.type === 'TEXT'
+        );
+        if (textNode) {
+          textNode.characters = text;
+        }
+      });
       
       return {
         success: true,
@@ -143,7 +156,7 @@ async function duplicateAndUpdateComponent(page, baseComponent, updateData, inde
         error: error.message
       };
     }
-  }, baseComponent.id, updateData, index, HEADER_LAYER_NAME, PROMO_LAYER_NAME, OFFSET_X);
+  }, baseComponent.id, getLayerTexts(updateData), index, OFFSET_X);
   
   if (!result.success) {
     throw new Error(`Failed to duplicate component: ${result.error}`);
@@ -212,58 +225,57 @@ async function exportComponentAsImage(page, componentData, updateData, index) {
 }
 
 async function uploadImage(filePath, fileName, updateData) {
-  console.log(`☁️ Uploading image: ${fileName}`);
+  const storage = getStorage(updateData.storage || STORAGE_BACKEND);
+  console.log(`☁️ Uploading image (${storage.name}): ${fileName}`);
   
   try {
-    if (UPLOAD_SERVICE === 'cloudinary') {
-      return await uploadToCloudinary(filePath, fileName, updateData);
-    } else {
-      throw new Error(`Unsupported upload service: ${UPLOAD_SERVICE}`);
-    }
+    const stored = await storage.put(await fs.readFile(filePath), {
+      ...buildUploadMetadata(updateData, 'original'),
+      key: buildObjectKey(updateData, { extension: 'png' }),
+      contentType: 'image/png'
+    });
+    return stored.url;
   } catch (error) {
     console.error('❌ Image upload failed:', error);
     throw error;
   }
 }
 
-async function uploadToCloudinary(filePath, fileName, updateData) {
-  if (!CLOUDINARY_URL) {
-    throw new Error('CLOUDINARY_URL not configured');
-  }
-  
-  const formData = new FormData();
-  formData.append('file', await fs.readFile(filePath));
-  formData.append('upload_preset', 'figma_automation');
-  formData.append('public_id', `figma/${fileName.replace('.png', '')}`);
-  formData.append('tags', `figma,automation,${updateData.header.toLowerCase().replace(/\s+/g, '-')}`);
-  
-  const cloudName = CLOUDINARY_URL.split('@')[1];
-  const uploadUrl = `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`;
-  
-  const response = await axios.post(uploadUrl, formData, {
-    headers: formData.getHeaders()
-  });
-  
-  console.log('✅ Uploaded to Cloudinary:', response.data.secure_url);
-  return response.data.secure_url;
-}
-
 async function updateGoogleSheet(results) {
   console.log('📋 Preparing to update Google Sheet with image links...');
   
-  const resultsPath = path.join(__dirname, 'image_results.json');
   const resultsData = results.map((result, index) => ({
     row: index + 1,
-    header: result.originalData.header,
-    promo: result.originalData.promo,
+    template: result.originalData.template,
+    fields: result.originalData.fields,
+    header: result.originalData.fields.header,
+    promo: result.originalData.fields.promo,
     imageUrl: result.export?.imageUrl || '',
     status: result.export?.success ? 'success' : 'failed',
-    error: result.export?.error || null,
+    error: result.export?.error || result.error || null,
+    durationMs: result.durationMs,
     timestamp: new Date().toISOString()
   }));
   
-  await fs.writeFile(resultsPath, JSON.stringify(resultsData, null, 2));
-  console.log('💾 Saved image results for Google Sheets update');
+  await fs.writeFile(RESULTS_FILE, JSON.stringify(resultsData, null, 2));
+  console.log(`💾 Saved image results to ${path.basename(RESULTS_FILE)}`);
+  
+  // SHEET_TARGET is set by enhanced_server.js for per-request targets
+  const sheetTarget = resolveSheetTarget(process.env.SHEET_TARGET ? JSON.parse(process.env.SHEET_TARGET) : undefined);
+  if (!sheetTarget) {
+    console.log('ℹ️  No sheet configured - skipping write-back');
+    return resultsData;
+  }
+  
+  try {
+    await new GoogleSheetsClient().writeResults(
+      resultsData.map((result, index) => ({ ...result, row: results[index].originalData.row })),
+      sheetTarget
+    );
+  } catch (error) {
+    // The results file is already saved, so a sheet failure doesn't fail the run
+    console.error('❌ Google Sheet update failed:', error.message);
+  }
   
   return resultsData;
 }
@@ -306,6 +318,7 @@ async function runEnhancedFigmaAutomation() {
     const results = [];
     for (let i = 0; i < updates.length; i++) {
       console.log(`\n🔄 Processing item ${i + 1}/${updates.length}`);
+      const itemStartedAt = Date.now();
       
       try {
         const componentResult = await duplicateAndUpdateComponent(page, baseComponent, updates[i], i);
@@ -319,7 +332,8 @@ async function runEnhancedFigmaAutomation() {
           success: true,
           originalData: updates[i],
           component: componentResult,
-          export: exportResult
+          export: exportResult,
+          durationMs: Date.now() - itemStartedAt
         });
         
         console.log(`✅ Item ${i + 1} completed - Image URL: ${exportResult.imageUrl || 'Failed'}`);
@@ -330,7 +344,8 @@ async function runEnhancedFigmaAutomation() {
           index: i,
           success: false,
           originalData: updates[i],
-          error: error.message
+          error: error.message,
+          durationMs: Date.now() - itemStartedAt
         });
       }
     }
@@ -1,45 +1,53 @@
+// Modules read their settings when first required, so .env is loaded before any of them
+require('dotenv').config();
+
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { spawn } = require('child_process');
-require('dotenv').config();
+const { normalizeCard, parseBatchPayload, validateBatchPayload } = require('./card_fields');
+const { STORAGE_BACKEND, checkStorageConfig, serveLocalFiles } = require('./storage');
+const { GoogleSheetsClient, resolveSheetTarget, validateSheetOptions } = require('./google_sheets');
+const { importSpreadsheet, spreadsheetUpload } = require('./spreadsheet_import');
+const { RunStore, runsRouter } = require('./run_store');
+const { ApiKeyStore, apiKeysRouter } = require('./api_keys');
+const { logger, requestLogger } = require('./logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// The Puppeteer scripts this server runs, overridable so tests can stand in for them
+const ENHANCED_UPDATER_SCRIPT = process.env.ENHANCED_UPDATER_SCRIPT || path.join(__dirname, 'enhanced_figma_updater.js');
+const FIGMA_TEST_SCRIPT = process.env.FIGMA_TEST_SCRIPT || path.join(__dirname, 'test_figma.js');
 
 app.use(helmet());
 app.set('trust proxy', 1);
 app.use(cors());
 
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 5,
-  message: 'Too many requests from this IP, please try again later.'
+// Request IDs (X-Request-Id) for every log line of the request, and one line per request
+app.use(requestLogger());
+
+// API keys: scopes per route, a rate-limit budget per key (anonymous callers per IP)
+// and every request logged against the key that made it
+const apiKeys = new ApiKeyStore();
+app.use(['/run', '/run-with-images', '/image-results', '/runs', '/test-figma', '/keys'], apiKeys.identify());
+
+const limiter = apiKeys.rateLimiter(rateLimit, {
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+  anonymousMax: parseInt(process.env.RATE_LIMIT_MAX, 10) || 5,
+  message: 'Too many requests for this API key or IP, please try again later.'
 });
 app.use('/run-with-images', limiter);
 app.use('/run', limiter);
 
 app.use(express.json({ limit: '10mb' }));
 
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
-
-function authenticateToken(req, res, next) {
-  if (!AUTH_TOKEN) {
-    return next();
-  }
-  
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (token !== AUTH_TOKEN) {
-    return res.status(401).json({ error: 'Invalid or missing token' });
-  }
-  
-  next();
-}
+// Cards stored with the local backend are served from here
+app.use('/files', serveLocalFiles(express));
 
 app.get('/health', (req, res) => {
   res.json({ 
@@ -51,11 +59,11 @@ app.get('/health', (req, res) => {
 });
 
 // Figma test endpoint for debugging
-app.get('/test-figma', async (req, res) => {
+app.get('/test-figma', apiKeys.authorize('admin-templates'), async (req, res) => {
   try {
-    console.log('🧪 Running Figma test...');
+    logger.info('running Figma test');
     
-    const child = spawn('node', ['test_figma.js'], {
+    const child = spawn(process.execPath, [FIGMA_TEST_SCRIPT], {
       stdio: ['inherit', 'pipe', 'pipe']
     });
 
@@ -65,17 +73,30 @@ app.get('/test-figma', async (req, res) => {
     child.stdout.on('data', (data) => {
       const text = data.toString();
       output += text;
-      console.log('Test output:', text.trim());
+      logger.info('figma test output', { output: text.trim() });
     });
 
     child.stderr.on('data', (data) => {
       const text = data.toString();
       error += text;
-      console.error('Test error:', text.trim());
+      logger.warn('figma test stderr', { output: text.trim() });
     });
 
+    // Timeout after 2 minutes
+    const timer = setTimeout(() => {
+      child.kill();
+      res.json({
+        success: false,
+        error: 'Test timed out after 2 minutes',
+        output,
+        stderr: error + '\nProcess timed out'
+      });
+    }, 120000);
+
     child.on('close', (code) => {
-      console.log(`🔍 Figma test completed with code ${code}`);
+      clearTimeout(timer);
+      if (res.headersSent) return;
+      logger.info('figma test finished', { code });
       res.json({
         success: code === 0,
         code,
@@ -84,20 +105,8 @@ app.get('/test-figma', async (req, res) => {
         timestamp: new Date().toISOString()
       });
     });
-
-    // Timeout after 2 minutes
-    setTimeout(() => {
-      child.kill();
-      res.json({
-        success: false,
-        error: 'Test timed out after 2 minutes',
-        output,
-        error: error + '\nProcess timed out'
-      });
-    }, 120000);
-    
   } catch (e) {
-    console.error('❌ Failed to start Figma test:', e);
+    logger.error('failed to start Figma test', { error: e });
     res.status(500).json({ 
       success: false,
       error: e.message,
@@ -107,36 +116,27 @@ app.get('/test-figma', async (req, res) => {
 });
 
 // Basic endpoint without images
-app.post('/run', authenticateToken, async (req, res) => {
+app.post('/run', apiKeys.authorize('render'), async (req, res) => {
   const startTime = Date.now();
   
   try {
-    console.log('🚀 Starting basic Figma automation...');
-    console.log('Received data:', JSON.stringify(req.body, null, 2));
-    
-    if (!Array.isArray(req.body)) {
+    const errors = validateBatchPayload(req.body);
+    if (errors.length > 0) {
       return res.status(400).json({ 
-        error: 'Request body must be an array of objects' 
+        error: errors[0],
+        errors
       });
     }
 
-    for (let i = 0; i < req.body.length; i++) {
-      const item = req.body[i];
-      if (!item.header || !item.promo) {
-        return res.status(400).json({ 
-          error: `Item at index ${i} is missing 'header' or 'promo' field` 
-        });
-      }
-    }
-
+    const { cards } = parseBatchPayload(req.body);
     const duration = Date.now() - startTime;
     
-    console.log(`✅ Basic automation completed in ${duration}ms`);
+    logger.info('validated cards', { cards: cards.length, durationMs: duration });
     
     res.json({
       success: true,
       message: 'Basic Figma automation completed successfully (no images)',
-      itemsProcessed: req.body.length,
+      itemsProcessed: cards.length,
       duration: `${duration}ms`,
       timestamp: new Date().toISOString(),
       type: 'basic',
@@ -144,7 +144,7 @@ app.post('/run', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Basic automation failed:', error);
+    logger.error('basic automation failed', { error });
     const duration = Date.now() - startTime;
     
     res.status(500).json({
@@ -157,70 +157,168 @@ app.post('/run', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/run-with-images', authenticateToken, async (req, res) => {
-  const startTime = Date.now();
-  
+// Every /run-with-images call is recorded as a run in the history log
+const runStore = new RunStore();
+
+// Shared by the JSON and spreadsheet endpoints once the cards are validated
+async function runWithImages(res, cards, options, startTime, extra = {}) {
+  const normalized = cards.map(normalizeCard);
+  const storageErrors = checkStorageConfig(normalized.map(card => card.storage || STORAGE_BACKEND));
+  if (storageErrors.length > 0) {
+    return res.status(500).json({
+      error: storageErrors[0],
+      errors: storageErrors
+    });
+  }
+
+  if (resolveSheetTarget(options.sheet) && !new GoogleSheetsClient().isConfigured()) {
+    return res.status(500).json({
+      error: 'Sheet write-back requested but GOOGLE_SERVICE_ACCOUNT_FILE / GOOGLE_SERVICE_ACCOUNT_JSON not configured'
+    });
+  }
+
+  // Per-run input/output files, so concurrent runs can't overwrite each other
+  const runId = crypto.randomUUID();
+  const updatesPath = path.join(os.tmpdir(), `figma-run-${runId}-updates.json`);
+  const resultsPath = path.join(os.tmpdir(), `figma-run-${runId}-results.json`);
+  await fs.writeFile(updatesPath, JSON.stringify(normalized, null, 2));
+  // Lines about this run carry its ID, like the hybrid server's job lines
+  const runLogger = logger.child({ runId });
+  runLogger.info('saved updates for enhanced run', { cards: cards.length });
+
+  await runStore.startRun({
+    id: runId,
+    engine: 'enhanced',
+    source: options.source || 'json',
+    options: { sheet: options.sheet },
+    total: normalized.length
+  });
+
+  let imageResults = [];
   try {
-    console.log('🚀 Starting enhanced Figma automation with images...');
-    console.log('Received data:', JSON.stringify(req.body, null, 2));
-    
-    if (!Array.isArray(req.body)) {
-      return res.status(400).json({ 
-        error: 'Request body must be an array of objects' 
-      });
+    await runEnhancedFigmaUpdater({
+      UPDATES_FILE: updatesPath,
+      RESULTS_FILE: resultsPath,
+      ...(options.sheet ? { SHEET_TARGET: JSON.stringify(options.sheet) } : {})
+    }, runLogger);
+
+    try {
+      imageResults = JSON.parse(await fs.readFile(resultsPath, 'utf8'));
+    } catch (e) {
+      runLogger.warn('could not load image results', { error: e });
     }
 
-    for (let i = 0; i < req.body.length; i++) {
-      const item = req.body[i];
-      if (!item.header || !item.promo) {
-        return res.status(400).json({ 
-          error: `Item at index ${i} is missing 'header' or 'promo' field` 
-        });
-      }
+    for (let i = 0; i < imageResults.length; i++) {
+      await runStore.recordCard(runId, { index: i, input: normalized[i], result: imageResults[i] });
     }
+    await runStore.finishRun(runId);
+  } catch (error) {
+    await runStore.finishRun(runId, { status: 'failed', error: error.message });
+    throw error;
+  } finally {
+    await Promise.all([updatesPath, resultsPath].map(file => fs.unlink(file).catch(() => {})));
+  }
 
-    const uploadService = process.env.UPLOAD_SERVICE;
-    if (!uploadService || !['cloudinary', 'imgur', 's3'].includes(uploadService)) {
-      return res.status(500).json({
-        error: 'Image upload service not properly configured. Set UPLOAD_SERVICE to cloudinary, imgur, or s3'
+  const duration = Date.now() - startTime;
+  runLogger.info('enhanced automation completed', {
+    durationMs: duration,
+    successful: imageResults.filter(r => r.status === 'success').length,
+    failed: imageResults.filter(r => r.status === 'failed').length
+  });
+  
+  res.json({
+    success: true,
+    message: 'Enhanced Figma automation with images completed',
+    runId,
+    itemsProcessed: cards.length,
+    duration: `${duration}ms`,
+    timestamp: new Date().toISOString(),
+    type: 'enhanced',
+    ...extra,
+    imageResults: imageResults,
+    summary: {
+      total: cards.length,
+      successful: imageResults.filter(r => r.status === 'success').length,
+      failed: imageResults.filter(r => r.status === 'failed').length
+    }
+  });
+}
+
+app.post('/run-with-images', apiKeys.authorize('render'), async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    // Accept a bare array of cards or { cards, storage, upload, sheet };
+    // validate against each template's schema before the options are copied onto the cards
+    const errors = validateBatchPayload(req.body);
+    const { cards, options } = parseBatchPayload(req.body);
+    if (options.sheet !== undefined) {
+      errors.push(...validateSheetOptions(options.sheet));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        error: errors[0],
+        errors
       });
     }
 
-    const updatesPath = path.join(__dirname, 'updates.json');
-    await fs.writeFile(updatesPath, JSON.stringify(req.body, null, 2));
-    console.log(`📄 Saved ${req.body.length} updates for enhanced processing`);
+    await runWithImages(res, cards, options, startTime);
 
-    const result = await runEnhancedFigmaUpdater();
+  } catch (error) {
+    logger.error('enhanced automation failed', { error });
     const duration = Date.now() - startTime;
     
-    console.log(`✅ Enhanced automation completed in ${duration}ms`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      duration: `${duration}ms`,
+      timestamp: new Date().toISOString(),
+      type: 'enhanced'
+    });
+  }
+});
+
+// Spreadsheet upload - same as /run-with-images with CSV/XLSX rows as the cards.
+// Form fields: file, template, mapping, worksheet, options (JSON batch options)
+app.post('/run-with-images/upload', apiKeys.authorize('render'), spreadsheetUpload(), async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    logger.info('starting enhanced run from upload', { file: req.file.originalname, bytes: req.file.size });
     
-    let imageResults = [];
+    let options;
+    let imported;
     try {
-      const resultsPath = path.join(__dirname, 'image_results.json');
-      const resultsData = await fs.readFile(resultsPath, 'utf8');
-      imageResults = JSON.parse(resultsData);
-    } catch (e) {
-      console.warn('Could not load image results');
+      options = req.body.options ? JSON.parse(req.body.options) : {};
+      imported = await importSpreadsheet(req.file.buffer, req.file.originalname, {
+        template: req.body.template,
+        mapping: req.body.mapping,
+        worksheet: req.body.worksheet,
+        batchOptions: options
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read upload: ${error.message}`
+      });
     }
     
-    res.json({
-      success: true,
-      message: 'Enhanced Figma automation with images completed',
-      itemsProcessed: req.body.length,
-      duration: `${duration}ms`,
-      timestamp: new Date().toISOString(),
-      type: 'enhanced',
-      imageResults: imageResults,
-      summary: {
-        total: req.body.length,
-        successful: imageResults.filter(r => r.status === 'success').length,
-        failed: imageResults.filter(r => r.status === 'failed').length
-      }
-    });
+    const { cards, errors, ignoredColumns } = imported;
+    if (options.sheet !== undefined) {
+      errors.push(...validateSheetOptions(options.sheet));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        error: errors[0],
+        errors,
+        ignoredColumns
+      });
+    }
+
+    await runWithImages(res, cards, { ...options, source: 'upload' }, startTime, { ignoredColumns });
 
   } catch (error) {
-    console.error('❌ Enhanced automation failed:', error);
+    logger.error('enhanced automation failed', { error });
     const duration = Date.now() - startTime;
     
     res.status(500).json({
@@ -233,33 +331,40 @@ app.post('/run-with-images', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/image-results', authenticateToken, async (req, res) => {
-  try {
-    const resultsPath = path.join(__dirname, 'image_results.json');
-    const resultsData = await fs.readFile(resultsPath, 'utf8');
-    const results = JSON.parse(resultsData);
-    
-    res.json({
-      success: true,
-      results: results,
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    res.status(404).json({
+app.get('/image-results', apiKeys.authorize('read-results'), (req, res) => {
+  const latest = runStore.latestResults({ engine: 'enhanced' });
+  
+  if (!latest) {
+    return res.status(404).json({
       success: false,
       error: 'No image results found',
       message: 'Run /run-with-images first to generate results'
     });
   }
+  
+  res.json({
+    success: true,
+    runId: latest.run.id,
+    results: latest.results,
+    timestamp: new Date().toISOString()
+  });
 });
 
-function runEnhancedFigmaUpdater() {
+// Run history: list with filters, one run, and its cards page by page
+app.use('/runs', runsRouter(express, runStore, scope => apiKeys.authorize(scope)));
+
+// API keys: list, create (the token is shown once), get, revoke and the request log
+app.use('/keys', apiKeysRouter(express, apiKeys));
+
+// `env` adds per-run settings: UPDATES_FILE, RESULTS_FILE and SHEET_TARGET;
+// the script's output is logged line by line through `runLogger`
+function runEnhancedFigmaUpdater(env = {}, runLogger = logger) {
   return new Promise((resolve, reject) => {
-    console.log('🤖 Starting enhanced Puppeteer script with image export...');
+    runLogger.info('starting enhanced Puppeteer script');
     
-    const child = spawn('node', ['enhanced_figma_updater.js'], {
-      stdio: ['inherit', 'pipe', 'pipe']
+    const child = spawn(process.execPath, [ENHANCED_UPDATER_SCRIPT], {
+      stdio: ['inherit', 'pipe', 'pipe'],
+      env: { ...process.env, ...env }
     });
 
     let stdout = '';
@@ -268,34 +373,34 @@ function runEnhancedFigmaUpdater() {
     child.stdout.on('data', (data) => {
       const output = data.toString();
       stdout += output;
-      console.log('Enhanced Puppeteer:', output.trim());
+      runLogger.info('updater output', { output: output.trim() });
     });
 
     child.stderr.on('data', (data) => {
       const error = data.toString();
       stderr += error;
-      console.error('Enhanced Puppeteer Error:', error.trim());
+      runLogger.warn('updater stderr', { output: error.trim() });
     });
 
     child.on('close', (code) => {
       if (code === 0) {
-        console.log('✅ Enhanced Puppeteer script completed');
+        runLogger.info('enhanced Puppeteer script completed');
         resolve({ stdout, stderr, code });
       } else {
-        console.error(`❌ Enhanced Puppeteer script failed with code ${code}`);
+        runLogger.error('enhanced Puppeteer script failed', { code });
         reject(new Error(`Enhanced script failed with exit code ${code}. Error: ${stderr}`));
       }
     });
 
     child.on('error', (error) => {
-      console.error('❌ Failed to spawn enhanced Puppeteer script:', error);
+      runLogger.error('failed to spawn enhanced Puppeteer script', { error });
       reject(error);
     });
   });
 }
 
 app.use((error, req, res, next) => {
-  console.error('Server error:', error);
+  logger.error('unhandled error', { error });
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -306,38 +411,46 @@ app.use((error, req, res, next) => {
 app.use('*', (req, res) => {
   res.status(404).json({
     error: 'Endpoint not found',
-    availableEndpoints: ['/health', '/run', '/run-with-images', '/image-results', '/test-figma']
+    availableEndpoints: ['/health', '/run', '/run-with-images', '/run-with-images/upload', '/image-results', '/runs', '/runs/:id', '/runs/:id/cards', '/keys', '/keys/:id', '/keys/:id/requests', '/test-figma', '/files/*']
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🌐 Enhanced Server running on port ${PORT}`);
-  console.log(`📡 Health check: http://localhost:${PORT}/health`);
-  console.log(`🧪 Figma test: http://localhost:${PORT}/test-figma`);
-  console.log(`🔧 Basic automation: http://localhost:${PORT}/run`);
-  console.log(`🖼️  Enhanced automation: http://localhost:${PORT}/run-with-images`);
-  console.log(`📊 Image results: http://localhost:${PORT}/image-results`);
+// Exported for tests; listens only when run directly
+module.exports = app;
+
+// Stored runs are loaded before the first request
+async function start() {
+  await runStore.load();
+
+  app.listen(PORT, async () => {
+    logger.info('enhanced server listening', {
+      port: Number(PORT),
+      health: `http://localhost:${PORT}/health`,
+      run: `http://localhost:${PORT}/run-with-images`
+    });
   
-  if (AUTH_TOKEN) {
-    console.log('🔐 Token authentication enabled');
-  } else {
-    console.log('⚠️  No authentication token set');
-  }
+    const authMode = await apiKeys.describeMode();
+    logger.log(authMode.level, authMode.message);
   
-  const uploadService = process.env.UPLOAD_SERVICE;
-  if (uploadService) {
-    console.log(`☁️  Image upload: ${uploadService.toUpperCase()}`);
-  } else {
-    console.log('⚠️  No image upload service configured');
-  }
-});
+    const storageErrors = checkStorageConfig();
+    if (storageErrors.length === 0) {
+      logger.info('storage ready', { storage: STORAGE_BACKEND });
+    } else {
+      logger.warn(storageErrors[0]);
+    }
+  });
+}
 
-process.on('SIGTERM', () => {
-  console.log('🛑 Received SIGTERM, shutting down gracefully...');
-  process.exit(0);
-});
+if (require.main === module) {
+  start();
 
-process.on('SIGINT', () => {
-  console.log('🛑 Received SIGINT, shutting down gracefully...');
-  process.exit(0);
-});
+  process.on('SIGTERM', () => {
+    logger.info('received SIGTERM, shutting down');
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    logger.info('received SIGINT, shutting down');
+    process.exit(0);
+  });
+}
@@ -0,0 +1,198 @@
+// figma_layout.js
+// Derive text zones from the named TEXT layers of a Figma template node
+//
+// The REST API exports a node as it is in the file, placeholder copy included,
+// and can't hide layers for one export. hidePlaceholderText() paints over that
+// copy with the average colour around it: invisible on flat colour, a visible
+// patch on gradients and photos. For such art, hide the TEXT layers in Figma -
+// hidden layers keep their box and style in the file but aren't exported, so
+// there's nothing to paint over. `hidePlaceholders: false` on a template (or
+// `hidePlaceholder: false` on a zone) turns the fill off.
+
+const sharp = require('sharp');
+
+const ALIGN = {
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right',
+  JUSTIFIED: 'left'
+};
+
+const VERTICAL_ALIGN = {
+  TOP: 'top',
+  CENTER: 'middle',
+  BOTTOM: 'bottom'
+};
+
+const toByte = (value) => Math.round(value * 255);
+
+// Figma colors are 0-1 floats; paint opacity multiplies the color alpha
+function figmaColorToCss(color, opacity = 1) {
+  const alpha = (color.a === undefined ? 1 : color.a) * opacity;
+  const [r, g, b] = [color.r, color.g, color.b].map(toByte);
+
+  if (alpha >= 1) {
+    return `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+  }
+  return `rgba(${r},${g},${b},${Number(alpha.toFixed(3))})`;
+}
+
+// Depth-first search for TEXT nodes by layer name
+// A layer under a hidden group isn't exported either, so it's marked hidden too
+function findTextLayers(node, names, found = {}, hidden = false) {
+  const nodeHidden = hidden || node.visible === false;
+  if (node.type === 'TEXT' && names.includes(node.name) && !found[node.name]) {
+    found[node.name] = nodeHidden ? { ...node, visible: false } : node;
+  }
+  (node.children || []).forEach(child => findTextLayers(child, names, found, nodeHidden));
+  return found;
+}
+
+// Convert one TEXT node into a zone relative to the template root
+function textNodeToZone(textNode, rootBox) {
+  const box = textNode.absoluteBoundingBox;
+  const style = textNode.style || {};
+  const zone = {
+    box: {
+      x: (box.x - rootBox.x) / rootBox.width,
+      y: (box.y - rootBox.y) / rootBox.height,
+      width: box.width / rootBox.width,
+      height: box.height / rootBox.height
+    }
+  };
+
+  if (style.fontFamily) zone.fontFamily = style.fontFamily;
+  if (style.fontWeight) zone.fontWeight = style.fontWeight;
+  if (style.italic) zone.fontStyle = 'italic';
+  if (style.fontSize) zone.fontSize = style.fontSize / rootBox.width;
+  if (ALIGN[style.textAlignHorizontal]) zone.align = ALIGN[style.textAlignHorizontal];
+  if (VERTICAL_ALIGN[style.textAlignVertical]) zone.verticalAlign = VERTICAL_ALIGN[style.textAlignVertical];
+  if (style.lineHeightPx && style.fontSize && style.lineHeightUnit !== 'INTRINSIC_%') {
+    zone.lineHeight = style.lineHeightPx / style.fontSize;
+  }
+
+  const fill = (textNode.fills || []).find(paint => paint.type === 'SOLID' && paint.visible !== false);
+  if (fill) {
+    zone.color = figmaColorToCss(fill.color, fill.opacity === undefined ? 1 : fill.opacity);
+  }
+
+  const dropShadow = (textNode.effects || []).find(effect => effect.type === 'DROP_SHADOW' && effect.visible !== false);
+  if (dropShadow) {
+    zone.shadow = {
+      offsetX: dropShadow.offset.x / rootBox.width,
+      offsetY: dropShadow.offset.y / rootBox.width,
+      blur: dropShadow.radius / 2 / rootBox.width,
+      color: figmaColorToCss(dropShadow.color)
+    };
+  }
+
+  // A hidden layer isn't in the export, so there's no placeholder copy to cover
+  if (textNode.visible === false) return zone;
+
+  // Rendered glyph bounds, used to paint over the placeholder copy
+  const renderBox = textNode.absoluteRenderBounds || box;
+  zone.placeholderBox = {
+    x: (renderBox.x - rootBox.x) / rootBox.width,
+    y: (renderBox.y - rootBox.y) / rootBox.height,
+    width: renderBox.width / rootBox.width,
+    height: renderBox.height / rootBox.height
+  };
+
+  return zone;
+}
+
+// Build zones for every configured zone that names a layer.
+// Values from Figma win over the template's declared fallbacks.
+function deriveTextZones(rootNode, textZones) {
+  const rootBox = rootNode.absoluteBoundingBox;
+  const layerNames = Object.values(textZones)
+    .map(zone => zone.layer)
+    .filter(Boolean);
+  const layers = findTextLayers(rootNode, layerNames);
+
+  const zones = {};
+  const missing = [];
+
+  Object.entries(textZones).forEach(([name, zone]) => {
+    const layer = zone.layer && layers[zone.layer];
+    if (!layer) {
+      if (zone.layer) missing.push(zone.layer);
+      zones[name] = zone;
+      return;
+    }
+    zones[name] = { ...zone, ...textNodeToZone(layer, rootBox), derivedFromLayer: layer.name };
+  });
+
+  return { zones, missing };
+}
+
+// Average color of a thin ring just outside the box, used as the fill
+async function sampleSurroundingColor(imageBuffer, box, width, height) {
+  const ring = 3;
+  const strips = [
+    { left: box.left, top: box.top - ring, width: box.width, height: ring },
+    { left: box.left, top: box.top + box.height, width: box.width, height: ring },
+    { left: box.left - ring, top: box.top, width: ring, height: box.height },
+    { left: box.left + box.width, top: box.top, width: ring, height: box.height }
+  ].filter(strip =>
+    strip.left >= 0 && strip.top >= 0 && strip.width > 0 && strip.height > 0 &&
+    strip.left + strip.width <= width && strip.top + strip.height <= height
+  );
+
+  if (strips.length === 0) return null;
+
+  // Average the raw pixels; sharp's stats() reads the whole input and ignores extract()
+  const totals = [0, 0, 0, 0];
+  let pixels = 0;
+  for (const strip of strips) {
+    const data = await sharp(imageBuffer).ensureAlpha().extract(strip).raw().toBuffer();
+    for (let i = 0; i < data.length; i += 4) {
+      for (let c = 0; c < 4; c++) totals[c] += data[i + c];
+    }
+    pixels += data.length / 4;
+  }
+  const [r, g, b, a] = totals.map(total => Math.round(total / pixels));
+  return `rgba(${r},${g},${b},${Number((a / 255).toFixed(3))})`;
+}
+
+// Paint over the placeholder text of every zone derived from a Figma layer
+async function hidePlaceholderText(imageBuffer, zones) {
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const rects = [];
+
+  for (const zone of Object.values(zones)) {
+    if (!zone.placeholderBox || zone.hidePlaceholder === false) continue;
+
+    const pad = Math.ceil(width * 0.003);
+    const left = Math.max(0, Math.floor(zone.placeholderBox.x * width) - pad);
+    const top = Math.max(0, Math.floor(zone.placeholderBox.y * height) - pad);
+    const box = {
+      left,
+      top,
+      width: Math.min(width - left, Math.ceil(zone.placeholderBox.width * width) + pad * 2),
+      height: Math.min(height - top, Math.ceil(zone.placeholderBox.height * height) + pad * 2)
+    };
+    if (box.width <= 0 || box.height <= 0) continue;
+
+    const color = await sampleSurroundingColor(imageBuffer, box, width, height);
+    if (color) {
+      rects.push(`<rect x="${box.left}" y="${box.top}" width="${box.width}" height="${box.height}" fill="${color}"/>`);
+    }
+  }
+
+  if (rects.length === 0) return imageBuffer;
+
+  const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${rects.join('')}</svg>`;
+  return sharp(imageBuffer)
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  figmaColorToCss,
+  findTextLayers,
+  textNodeToZone,
+  deriveTextZones,
+  hidePlaceholderText
+};
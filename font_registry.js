@@ -0,0 +1,111 @@
+// font_registry.js
+// Local font registry - every font used in an overlay must come from FONTS_DIR
+
+const fsSync = require('fs');
+const path = require('path');
+const fontkit = require('fontkit');
+const { logger } = require('./logger');
+
+const FONTS_DIR = process.env.FONTS_DIR || path.join(__dirname, 'fonts');
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.woff', '.woff2'];
+
+const WEIGHT_NAMES = {
+  normal: 400,
+  bold: 700
+};
+
+class FontRegistry {
+  constructor(dir = FONTS_DIR) {
+    this.dir = dir;
+    this.families = null;
+  }
+
+  // Scan the fonts directory once and index faces by family
+  load() {
+    if (this.families) return this.families;
+
+    this.families = new Map();
+    let files = [];
+
+    try {
+      files = fsSync.readdirSync(this.dir);
+    } catch (error) {
+      logger.warn('fonts directory not readable', { dir: this.dir, error });
+    }
+
+    files
+      .filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort()
+      .forEach(file => {
+        try {
+          const font = fontkit.openSync(path.join(this.dir, file));
+          // Typographic family groups weights like "Inter SemiBold" under "Inter"
+          const family = font.getName('preferredFamily') || font.familyName || path.basename(file, path.extname(file));
+          const weight = (font['OS/2'] && font['OS/2'].usWeightClass) || 400;
+          const italic = font.italicAngle !== 0 || /italic|oblique/i.test(font.subfamilyName || '');
+          const key = family.toLowerCase();
+
+          if (!this.families.has(key)) {
+            this.families.set(key, { family, faces: [] });
+          }
+          this.families.get(key).faces.push({
+            font,
+            weight,
+            italic,
+            file,
+            id: `${key}-${weight}${italic ? 'i' : ''}`.replace(/[^\w-]/g, '_')
+          });
+        } catch (error) {
+          logger.warn('could not load font', { file, error });
+        }
+      });
+
+    return this.families;
+  }
+
+  // Drop the index so newly installed fonts are picked up
+  reload() {
+    this.families = null;
+    return this.load();
+  }
+
+  // Closest installed weight of the family (preferring the requested style);
+  // throws if the family is missing
+  resolve(family, weight = 400, style = 'normal') {
+    const entry = this.load().get(String(family).toLowerCase());
+
+    if (!entry || entry.faces.length === 0) {
+      const installed = this.list().map(f => `${f.family} (${f.weights.join(', ')})`).join('; ') || 'none';
+      const error = new Error(
+        `Font "${family}" is not installed in ${this.dir}. Add its TTF/OTF/WOFF2 files there. Installed: ${installed}`
+      );
+      error.code = 'FONT_NOT_INSTALLED';
+      throw error;
+    }
+
+    const target = Number(weight) || WEIGHT_NAMES[weight] || 400;
+    const wantItalic = style === 'italic';
+    const sameStyle = entry.faces.filter(face => face.italic === wantItalic);
+    const candidates = sameStyle.length > 0 ? sameStyle : entry.faces;
+
+    return candidates.reduce((best, face) =>
+      Math.abs(face.weight - target) < Math.abs(best.weight - target) ? face : best
+    );
+  }
+
+  list() {
+    return [...this.load().values()].map(({ family, faces }) => ({
+      family,
+      weights: faces.map(face => face.weight).sort((a, b) => a - b),
+      files: faces.map(face => face.file)
+    }));
+  }
+}
+
+const fontRegistry = new FontRegistry();
+
+module.exports = {
+  FONTS_DIR,
+  FontRegistry,
+  fontRegistry
+};
@@ -0,0 +1,253 @@
+// google_sheets.js
+// Write generated image URLs and statuses back to the sheet rows the cards came from
+//
+// Authenticates as a Google service account (JWT bearer grant, RS256) and writes
+// with values:batchUpdate. A target is { spreadsheetId, range, columns, headerRow }:
+//   range     "Sheet1!A2" - sheet name and first data row (card i -> row 2 + i)
+//   columns   { imageUrl: 'F', status: 'G', error: 'H' } - letters or header names
+// Cards that carry their own `row` are written to that row instead.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const { withRetry } = require('./retry');
+const { logger } = require('./logger');
+
+const GOOGLE_SHEETS_API_BASE = (process.env.GOOGLE_SHEETS_API_BASE || 'https://sheets.googleapis.com/v4').replace(/\/+$/, '');
+const GOOGLE_TOKEN_URL = process.env.GOOGLE_TOKEN_URL || null;
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+const RESULT_COLUMNS = ['imageUrl', 'status', 'error', 'timestamp'];
+const DEFAULT_COLUMNS = 'imageUrl=F,status=G,error=H';
+
+// "imageUrl=F,status=Status" -> { imageUrl: 'F', status: 'Status' }
+function parseColumns(value) {
+  if (value && typeof value === 'object') return value;
+  return String(value || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([key, column]) => key && column)
+    .reduce((columns, [key, column]) => ({ ...columns, [key]: column }), {});
+}
+
+// Request options win over GOOGLE_SHEET_* settings; null means no write-back
+function resolveSheetTarget(options = {}) {
+  const spreadsheetId = options.spreadsheetId || process.env.GOOGLE_SHEET_ID;
+  if (!spreadsheetId) return null;
+
+  return {
+    spreadsheetId,
+    range: options.range || process.env.GOOGLE_SHEET_RANGE || 'Sheet1!A2',
+    columns: parseColumns(options.columns || process.env.GOOGLE_SHEET_COLUMNS || DEFAULT_COLUMNS),
+    headerRow: options.headerRow || parseInt(process.env.GOOGLE_SHEET_HEADER_ROW, 10) || null
+  };
+}
+
+// List every problem with a request's `sheet` option
+function validateSheetOptions(sheet, where = 'sheet') {
+  if (!sheet || typeof sheet !== 'object' || Array.isArray(sheet)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  if (sheet.spreadsheetId !== undefined && (typeof sheet.spreadsheetId !== 'string' || !/^[\w-]+$/.test(sheet.spreadsheetId))) {
+    errors.push(`${where}.spreadsheetId must be a spreadsheet ID`);
+  }
+  if (sheet.range !== undefined && (typeof sheet.range !== 'string' || !parseRange(sheet.range))) {
+    errors.push(`${where}.range must look like "Sheet1!A2"`);
+  }
+  if (sheet.headerRow !== undefined && !(Number.isInteger(sheet.headerRow) && sheet.headerRow > 0)) {
+    errors.push(`${where}.headerRow must be a positive integer`);
+  }
+  if (sheet.columns !== undefined) {
+    if (!sheet.columns || typeof sheet.columns !== 'object' || Array.isArray(sheet.columns)) {
+      errors.push(`${where}.columns must map ${RESULT_COLUMNS.join('/')} to column letters or header names`);
+    } else {
+      Object.entries(sheet.columns).forEach(([key, column]) => {
+        if (!RESULT_COLUMNS.includes(key)) {
+          errors.push(`${where}.columns.${key} is not a result column (use ${RESULT_COLUMNS.join(', ')})`);
+        } else if (typeof column !== 'string' || column.trim() === '') {
+          errors.push(`${where}.columns.${key} must be a column letter or header name`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// "'My Sheet'!B5" -> { sheet: 'My Sheet', column: 'B', row: 5 }
+function parseRange(range) {
+  const match = String(range).match(/^(?:'((?:[^']|'')+)'|([^!]+))!\$?([A-Z]*)\$?(\d*)(?::.*)?$/i);
+  if (!match) return null;
+  return {
+    sheet: (match[1] || match[2]).replace(/''/g, "'"),
+    column: (match[3] || 'A').toUpperCase(),
+    row: parseInt(match[4], 10) || 2
+  };
+}
+
+const quoteSheet = (sheet) => `'${sheet.replace(/'/g, "''")}'`;
+const isColumnLetter = (value) => /^[A-Z]{1,3}$/.test(value);
+
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+function loadServiceAccount() {
+  if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
+    return JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
+  }
+  if (process.env.GOOGLE_SERVICE_ACCOUNT_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.GOOGLE_SERVICE_ACCOUNT_FILE, 'utf8'));
+  }
+  return null;
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+class GoogleSheetsClient {
+  // options.http is any axios-compatible client (get/post/request), e.g. one
+  // pointed at a local stand-in together with apiBase/tokenUrl
+  constructor(options = {}) {
+    this.credentials = options.credentials || loadServiceAccount();
+    this.http = options.http || axios;
+    this.apiBase = (options.apiBase || GOOGLE_SHEETS_API_BASE).replace(/\/+$/, '');
+    this.tokenUrl = options.tokenUrl || GOOGLE_TOKEN_URL ||
+      (this.credentials && this.credentials.token_uri) || 'https://oauth2.googleapis.com/token';
+    this.retryOptions = options.retry || {};
+    this.token = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.credentials && this.credentials.client_email && this.credentials.private_key);
+  }
+
+  createAssertion(now = Math.floor(Date.now() / 1000)) {
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const claims = {
+      iss: this.credentials.client_email,
+      scope: SHEETS_SCOPE,
+      aud: this.tokenUrl,
+      iat: now,
+      exp: now + 3600
+    };
+    const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.credentials.private_key);
+    return `${unsigned}.${signature.toString('base64url')}`;
+  }
+
+  // Exchange a signed JWT for an access token, reused until shortly before it expires
+  async getAccessToken() {
+    if (this.token && this.token.expiresAt > Date.now() + 60000) {
+      return this.token.value;
+    }
+    if (!this.isConfigured()) {
+      throw new Error('Google service account not configured (set GOOGLE_SERVICE_ACCOUNT_FILE or GOOGLE_SERVICE_ACCOUNT_JSON)');
+    }
+
+    const response = await withRetry(() => this.http.post(
+      this.tokenUrl,
+      new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: this.createAssertion()
+      }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    ), { ...this.retryOptions, label: 'Google token exchange' });
+
+    this.token = {
+      value: response.data.access_token,
+      expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
+    };
+    return this.token.value;
+  }
+
+  async request(method, path, data) {
+    const token = await this.getAccessToken();
+    const response = await withRetry(() => this.http.request({
+      method,
+      url: `${this.apiBase}${path}`,
+      data,
+      headers: { Authorization: `Bearer ${token}` }
+    }), { ...this.retryOptions, label: 'Google Sheets request' });
+    return response.data;
+  }
+
+  // Map header names in `columns` to letters by reading the header row
+  async resolveColumns(target, range) {
+    const columns = {};
+    const byHeader = Object.entries(target.columns).filter(([, column]) => !isColumnLetter(column));
+    Object.entries(target.columns)
+      .filter(([, column]) => isColumnLetter(column))
+      .forEach(([key, column]) => { columns[key] = column; });
+
+    if (byHeader.length > 0) {
+      const headerRow = target.headerRow || Math.max(1, range.row - 1);
+      const headerRange = encodeURIComponent(`${quoteSheet(range.sheet)}!${headerRow}:${headerRow}`);
+      const data = await this.request('GET', `/spreadsheets/${target.spreadsheetId}/values/${headerRange}`);
+      const headers = ((data.values || [])[0] || []).map(value => String(value).trim().toLowerCase());
+
+      byHeader.forEach(([key, name]) => {
+        const index = headers.indexOf(name.trim().toLowerCase());
+        if (index === -1) {
+          throw new Error(`Sheet column '${name}' not found in header row ${headerRow}`);
+        }
+        columns[key] = columnLetter(index);
+      });
+    }
+
+    return columns;
+  }
+
+  // entries: [{ row?, imageUrl, status | success, error, timestamp }] in card order;
+  // null entries (cards that never ran) keep their row untouched
+  async writeResults(entries, target) {
+    const range = parseRange(target.range);
+    if (!range) {
+      throw new Error(`Invalid sheet range '${target.range}'`);
+    }
+
+    const columns = await this.resolveColumns(target, range);
+    const data = [];
+
+    entries.forEach((entry, index) => {
+      if (!entry) return;
+      const row = entry.row || range.row + index;
+      const values = {
+        imageUrl: entry.imageUrl || '',
+        status: entry.status || (entry.success ? 'success' : 'failed'),
+        error: entry.error || '',
+        timestamp: entry.timestamp || new Date().toISOString()
+      };
+
+      Object.entries(columns).forEach(([key, column]) => {
+        data.push({
+          range: `${quoteSheet(range.sheet)}!${column}${row}`,
+          values: [[values[key]]]
+        });
+      });
+    });
+
+    if (data.length === 0) return { updatedCells: 0 };
+
+    const response = await this.request('POST', `/spreadsheets/${target.spreadsheetId}/values:batchUpdate`, {
+      valueInputOption: 'RAW',
+      data
+    });
+
+    logger.info('wrote results to sheet', { cells: response.totalUpdatedCells || data.length, spreadsheetId: target.spreadsheetId });
+    return { updatedCells: response.totalUpdatedCells || data.length };
+  }
+}
+
+module.exports = {
+  RESULT_COLUMNS,
+  GoogleSheetsClient,
+  parseColumns,
+  parseRange,
+  resolveSheetTarget,
+  validateSheetOptions
+};
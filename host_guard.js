@@ -0,0 +1,71 @@
+// host_guard.js
+// Keep URLs that callers supply (card images, webhook callbacks) off internal hosts
+//
+// Refused: this host, private networks, link-local (cloud metadata at
+// 169.254.169.254), CGNAT, multicast and reserved addresses. IP literals are
+// checked up front with isInternalAddress(); names are checked when connecting,
+// by the agents' DNS lookup, so a name can't resolve to a public address when
+// checked and a private one when used. Hosts an operator allowlists skip both.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const INTERNAL_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isInternalAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && INTERNAL_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Lowercase host of a URL, IPv6 literals without their brackets
+function urlHost(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+}
+
+// e.g. "Image host '10.0.0.8' is an internal address (10.0.0.8); add it to IMAGE_URL_ALLOWLIST to allow it"
+function internalHostError(label, host, address, setting) {
+  return Object.assign(
+    new Error(`${label} host '${host}' is an internal address (${address}); add it to ${setting} to allow it`),
+    { retryable: false }
+  );
+}
+
+// axios { httpAgent, httpsAgent } whose lookup refuses internal addresses
+function publicOnlyAgents(label, setting) {
+  const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      const internal = addresses.find(isInternalAddress);
+      if (internal) return callback(internalHostError(label, hostname, internal, setting));
+      callback(null, address, family);
+    });
+  };
+  return {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  };
+}
+
+// The lookup's refusal arrives wrapped as an axios network error, which would be retried
+function unwrapRefusal(error) {
+  return error.cause && error.cause.retryable === false ? error.cause : error;
+}
+
+module.exports = {
+  internalHostError,
+  isInternalAddress,
+  publicOnlyAgents,
+  unwrapRefusal,
+  urlHost
+};
@@ -1,175 +1,135 @@
 // hybrid_figma_api.js
 // Complete updated version with auto-sizing fix
+// Run it from the command line with cli.js (render, components, preview)
 
-const axios = require('axios');
 const sharp = require('sharp');
-const FormData = require('form-data');
 const fs = require('fs').promises;
-const path = require('path');
+const BaseImageCache = require('./base_image_cache');
+const RenderCache = require('./render_cache');
+const { resolveZone, renderZoneSvg, renderZoneGuides, renderGlyphDefs } = require('./text_layout');
+const { TEMPLATE_SOURCE, createTemplateSource } = require('./template_source');
+const { TEMPLATE_CONFIG } = require('./template_config');
+const { normalizeCard } = require('./card_fields');
+const { buildImageLayers, imageVersions, resolveSlot } = require('./image_slots');
+const {
+  FORMATS,
+  DEFAULT_RENDITIONS,
+  getExportScale,
+  renderRendition
+} = require('./renditions');
+const {
+  STORAGE_BACKEND,
+  getStorage,
+  buildObjectKey,
+  buildUploadMetadata
+} = require('./storage');
+const { recordCard, timeStage } = require('./metrics');
+const { logger: rootLogger, withLogContext } = require('./logger');
+
+const logger = rootLogger.child({ component: 'renderer' });
 
 // Configuration
-const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
-const FIGMA_FILE_KEY = process.env.FIGMA_FILE_KEY || 'RxhmuaosdbiwMrC4Skf2Hr';
-const CLOUDINARY_URL = process.env.CLOUDINARY_URL;
-
-// Template configurations - only need node IDs now!
-const TEMPLATE_CONFIG = {
-  'default': {
-    nodeId: '1:14'  // Your BaseCard component ID
-  },
-  'sale': {
-    nodeId: '1:14'  // Can use same component or create variants
-  }
-};
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+// Part of every render hash - bump when the same inputs would render differently
+const RENDERER_VERSION = '1';
 
 class SharpOnlyFigmaAutomation {
-  constructor() {
-    this.figmaHeaders = {
-      'X-Figma-Token': FIGMA_TOKEN
-    };
-  }
-
-  // Export Figma component as image
-  async exportFigmaComponent(nodeId, scale = 2) {
-    try {
-      console.log(`🖼️ Exporting Figma component ${nodeId}...`);
-      
-      const response = await axios.get(
-        `https://api.figma.com/v1/images/${FIGMA_FILE_KEY}`,
-        {
-          headers: this.figmaHeaders,
-          params: {
-            ids: nodeId,
-            format: 'png',
-            scale: scale
-          }
-        }
-      );
-
-      if (!response.data.images || !response.data.images[nodeId]) {
-        throw new Error('No image URL returned from Figma');
-      }
-
-      const imageUrl = response.data.images[nodeId];
-      console.log('📥 Downloading image...');
-
-      const imageResponse = await axios.get(imageUrl, {
-        responseType: 'arraybuffer'
+  // options.templateSource is a source name ('figma' | 'local') or a source instance
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || BATCH_CONCURRENCY;
+    this.retryOptions = options.retry || {};
+    this.baseImageCache = options.baseImageCache || new BaseImageCache();
+    this.renderCache = options.renderCache || new RenderCache();
+    this.storageBackend = options.storage || STORAGE_BACKEND;
+    this.templateSource = typeof options.templateSource === 'object'
+      ? options.templateSource
+      : createTemplateSource(options.templateSource || TEMPLATE_SOURCE, {
+        baseImageCache: this.baseImageCache,
+        retry: this.retryOptions
       });
-
-      return Buffer.from(imageResponse.data);
-    } catch (error) {
-      console.error('❌ Failed to export Figma component:', error.message);
-      throw error;
-    }
   }
 
-  // Create SVG text overlay with dynamic sizing
-  createTextSvg(headerText, promoText, width, height) {
-    // Calculate positions based on actual image size
-    const headerX = width / 2;
-    const headerY = height * 0.3;  // 30% from top
-    const promoX = width / 2;
-    const promoY = height * 0.6;   // 60% from top
-    
-    // Escape special characters for XML
-    const escapeXml = (text) => {
-      return text
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&apos;');
-    };
+  // Create SVG text overlay from the template's text zones
+  // `texts` maps zone (slot) names to the copy drawn in them; `textFit` is filled in
+  // with how each zone's text was fitted (fit, shrunk, truncated or overflow)
+  createTextSvg(texts, width, height, textZones = TEMPLATE_CONFIG.default.textZones, textFit = {}) {
+    const defs = [];
+    const bodies = [];
+    const glyphs = new Map();
 
-    // Calculate font sizes based on image width
-    const headerFontSize = Math.round(width * 0.06);  // 6% of width
-    const promoFontSize = Math.round(width * 0.04);   // 4% of width
+    Object.entries(textZones).forEach(([name, zoneConfig]) => {
+      const text = texts[name];
+      if (text === undefined || text === null || text === '') return;
 
-    // Word wrap function for long text
-    const wrapText = (text, maxWidth, fontSize) => {
-      const words = text.split(' ');
-      const lines = [];
-      let currentLine = '';
-      
-      const charWidth = fontSize * 0.6;
-      const maxChars = Math.floor(maxWidth / charWidth);
-      
-      words.forEach(word => {
-        if ((currentLine + word).length > maxChars) {
-          if (currentLine) lines.push(currentLine.trim());
-          currentLine = word + ' ';
-        } else {
-          currentLine += word + ' ';
-        }
-      });
-      
-      if (currentLine) lines.push(currentLine.trim());
-      return lines;
-    };
+      const zone = resolveZone(zoneConfig, width, height);
+      const rendered = renderZoneSvg(name, text, zone, glyphs);
+      textFit[name] = rendered.fit;
+      if (rendered.fit.status !== 'fit') {
+        logger.warn('text did not fit its zone', { zone: name, ...rendered.fit });
+      }
+      defs.push(rendered.defs);
+      bodies.push(rendered.body);
+    });
 
-    // Wrap promo text if needed
-    const promoLines = wrapText(promoText, width * 0.8, promoFontSize);
-    const lineHeight = promoFontSize * 1.3;
-    
-    // Create SVG with text
+    // Fonts are embedded as glyph outlines, so nothing is fetched at render time
     const svg = `
-      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-        <defs>
-          <style>
-            @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;700&amp;display=swap');
-            .header { 
-              fill: #1a1a1a; 
-              font-size: ${headerFontSize}px; 
-              font-weight: 700; 
-              font-family: 'Inter', Arial, sans-serif;
-              text-anchor: middle;
-            }
-            .promo { 
-              fill: #666666; 
-              font-size: ${promoFontSize}px; 
-              font-weight: 400;
-              font-family: 'Inter', Arial, sans-serif;
-              text-anchor: middle;
-            }
-            .shadow {
-              fill: rgba(0,0,0,0.3);
-              filter: blur(2px);
-            }
-          </style>
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+        <defs>${renderGlyphDefs(glyphs)}${defs.join('')}
         </defs>
-        
-        <!-- Header with shadow -->
-        <text x="${headerX + 2}" y="${headerY + 2}" class="header shadow">
-          ${escapeXml(headerText)}
-        </text>
-        <text x="${headerX}" y="${headerY}" class="header">
-          ${escapeXml(headerText)}
-        </text>
-        
-        <!-- Promo text with multiple lines -->
-        ${promoLines.map((line, index) => `
-          <text x="${promoX}" y="${promoY + (index * lineHeight)}" class="promo">
-            ${escapeXml(line)}
-          </text>
-        `).join('')}
+        ${bodies.join('')}
       </svg>
     `;
 
     return Buffer.from(svg);
   }
 
-  // Process image with Sharp - now with auto-sizing
-  async addTextOverlay(imageBuffer, headerText, promoText, templateType = 'default') {
+  // Composite the card's images into the template's image slots
+  async addImageSlots(imageBuffer, images, templateType = 'default') {
+    const config = TEMPLATE_CONFIG[templateType] || TEMPLATE_CONFIG.default;
+    if (!config.imageSlots || !images || Object.keys(images).length === 0) {
+      return imageBuffer;
+    }
+
     try {
-      console.log('🎨 Adding text overlay with Sharp...');
+      const metadata = await sharp(imageBuffer).metadata();
+      const layers = await buildImageLayers(
+        config.imageSlots,
+        images,
+        metadata.width,
+        metadata.height,
+        { retry: this.retryOptions }
+      );
       
+      if (layers.length === 0) return imageBuffer;
+      
+      return await sharp(imageBuffer)
+        .composite(layers)
+        .png()
+        .toBuffer();
+    } catch (error) {
+      logger.error('failed to composite image slots', { template: templateType, error });
+      throw error;
+    }
+  }
+
+  // Process image with Sharp - now with auto-sizing
+  // `fields` maps slot names to copy; `textZones` overrides the template's
+  // declared zones (e.g. zones read from Figma)
+  async addTextOverlay(imageBuffer, fields, templateType = 'default', textZones = null, textFit = {}) {
+    try {
       // Get actual image dimensions
       const metadata = await sharp(imageBuffer).metadata();
-      console.log(`📐 Image dimensions: ${metadata.width}x${metadata.height}`);
+      logger.debug('adding text overlay', { template: templateType, width: metadata.width, height: metadata.height });
       
-      // Create SVG with actual dimensions
-      const svgBuffer = this.createTextSvg(headerText, promoText, metadata.width, metadata.height);
+      // Create SVG with actual dimensions and the template's text zones
+      const config = TEMPLATE_CONFIG[templateType] || TEMPLATE_CONFIG.default;
+      const svgBuffer = this.createTextSvg(
+        fields,
+        metadata.width,
+        metadata.height,
+        textZones || config.textZones,
+        textFit
+      );
       
       // Composite SVG text over image
       const processedImage = await sharp(imageBuffer)
@@ -189,177 +149,344 @@ class SharpOnlyFigmaAutomation {
 
       return processedImage;
     } catch (error) {
-      console.error('❌ Failed to add text overlay:', error.message);
+      logger.error('failed to add text overlay', { template: templateType, error });
       throw error;
     }
   }
 
-  // Upload to Cloudinary
-  async uploadToCloudinary(imageBuffer, filename) {
+  // Store an encoded image with the chosen storage backend
+  async storeImage(imageBuffer, key, options = {}) {
+    const { format = 'png', attempts = {}, backend = this.storageBackend, metadata = {} } = options;
+    const { contentType } = FORMATS[format] || FORMATS.png;
+    const storage = getStorage(backend);
+
     try {
-      console.log('☁️ Uploading to Cloudinary...');
-      
-      const urlMatch = CLOUDINARY_URL.match(/cloudinary:\/\/(\d+):([^@]+)@(.+)/);
-      if (!urlMatch) {
-        throw new Error('Invalid CLOUDINARY_URL format');
-      }
+      logger.debug('storing image', { storage: storage.name, key, bytes: imageBuffer.length });
 
-      const [, apiKey, apiSecret, cloudName] = urlMatch;
-      
-      const form = new FormData();
-      form.append('file', imageBuffer, {
-        filename: `${filename}.png`,
-        contentType: 'image/png'
+      return await storage.put(imageBuffer, {
+        ...metadata,
+        key,
+        contentType,
+        attempts,
+        retry: this.retryOptions
       });
-      form.append('upload_preset', 'figma_automation');
-      form.append('folder', 'figma-cards');
-      form.append('resource_type', 'image');
-      
-      const response = await axios.post(
-        `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`,
-        form,
-        {
-          headers: {
-            ...form.getHeaders()
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity
-        }
-      );
-
-      console.log('✅ Uploaded successfully');
-      return response.data.secure_url;
     } catch (error) {
-      console.error('❌ Failed to upload to Cloudinary:', error.message);
-      if (error.response) {
-        console.error('Response:', error.response.data);
-      }
+      logger.error('failed to store image', {
+        storage: storage.name,
+        key,
+        error,
+        response: error.response ? error.response.data : undefined
+      });
       throw error;
     }
   }
 
+  // Export the template and composite the card's images and text onto it
+  async composeCard(card, config, textZones, exportScale, attempts, textFit) {
+    const { template: templateType, fields, images } = card;
+    
+    // Step 2: Get the base template from the template source (Figma export, cached, or a local file)
+    const baseImage = await this.templateSource.getBaseImage(templateType, config, {
+      scale: exportScale,
+      attempts,
+      textZones
+    });
+    const baseImageBuffer = baseImage.buffer;
+    
+    // Save base image for debugging
+    if (process.env.NODE_ENV === 'development') {
+      await fs.writeFile('debug_base.png', baseImageBuffer);
+      logger.debug('saved base image to debug_base.png');
+    }
+    
+    // Step 3: Composite product photos/logos, then the text on top
+    const processedImage = await timeStage('overlay', async () => {
+      const withImages = await this.addImageSlots(baseImageBuffer, images, templateType);
+      return this.addTextOverlay(
+        withImages, 
+        fields,
+        templateType,
+        textZones,
+        textFit
+      );
+    });
+    
+    // Save processed image for debugging
+    if (process.env.NODE_ENV === 'development') {
+      await fs.writeFile('debug_processed.png', processedImage);
+      logger.debug('saved processed image to debug_processed.png');
+    }
+    
+    return { buffer: processedImage, baseImage };
+  }
+
+  // Export, composite, encode and store one card (the uncached path of processCard).
+  // Files are named after `renderHash`, so different renders never share a key
+  async renderCard(card, config, textZones, renditions, attempts, textFit, renderHash) {
+    const { template: templateType, storage: storageBackend = this.storageBackend } = card;
+    const exportScale = getExportScale(renditions);
+    const { buffer: processedImage, baseImage } = await this.composeCard(
+      card,
+      config,
+      textZones,
+      exportScale,
+      attempts,
+      textFit
+    );
+    
+    // Step 4: Encode every rendition and store each one
+    const outputs = [];
+    for (let i = 0; i < renditions.length; i++) {
+      const rendition = await timeStage('encode', () => renderRendition(processedImage, renditions[i], exportScale, i));
+      const key = buildObjectKey(card, {
+        rendition: rendition.name,
+        extension: rendition.extension,
+        multiple: renditions.length > 1,
+        hash: renderHash
+      });
+      const uploadAttempts = {};
+      const stored = await timeStage('upload', () => this.storeImage(rendition.buffer, key, {
+        format: rendition.format,
+        attempts: uploadAttempts,
+        backend: storageBackend,
+        metadata: buildUploadMetadata(card, rendition.name)
+      }));
+      attempts.upload = Math.max(attempts.upload, uploadAttempts.upload || 0);
+      const { buffer, ...details } = rendition;
+      outputs.push({
+        ...details,
+        url: stored.url,
+        storage: stored.backend,
+        key: stored.key,
+        attempts: uploadAttempts.upload
+      });
+    }
+    
+    return {
+      template: templateType,
+      imageUrl: outputs[0].url,
+      storage: storageBackend,
+      renditions: outputs,
+      textFit,
+      baseImageCached: baseImage.cached,
+      templateVersion: baseImage.version
+    };
+  }
+
+  // Draw text-zone boxes, wrap guides and image-slot boxes over a rendered card
+  async addDebugOverlay(imageBuffer, fields, textZones, imageSlots = {}) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+    const stroke = Math.max(1, Math.round(width / 400));
+
+    const zones = Object.entries(textZones)
+      .map(([name, zone]) => renderZoneGuides(name, fields[name], resolveZone(zone, width, height)));
+    const slots = Object.values(imageSlots).map(slot => {
+      const box = resolveSlot(slot, width, height);
+      return `
+        <rect x="${box.left}" y="${box.top}" width="${box.width}" height="${box.height}" fill="none" stroke="#457b9d" stroke-width="${stroke * 2}" stroke-dasharray="${stroke * 2} ${stroke * 4}"/>`;
+    });
+
+    const svg = `
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${slots.join('')}${zones.join('')}
+      </svg>
+    `;
+
+    return sharp(imageBuffer)
+      .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+      .png()
+      .toBuffer();
+  }
+
+  // Render one card to an encoded image without storing it or touching the render cache.
+  // `output` is a single rendition ({ format, width, height, scale, quality, fit });
+  // `debug` draws the zone boxes and wrap guides on top.
+  async previewCard(card, output = {}, { debug = false } = {}) {
+    const normalized = normalizeCard(card);
+    const config = TEMPLATE_CONFIG[normalized.template];
+    if (!config) {
+      throw new Error(`Unknown template '${normalized.template}'`);
+    }
+
+    const attempts = { export: 0, download: 0 };
+    const textFit = {};
+    const rendition = { name: 'preview', ...output };
+    const exportScale = getExportScale([rendition]);
+    const textZones = await this.templateSource.getTextZones(normalized.template, config);
+
+    const { buffer, baseImage } = await this.composeCard(normalized, config, textZones, exportScale, attempts, textFit);
+    const image = debug
+      ? await this.addDebugOverlay(buffer, normalized.fields, textZones, config.imageSlots)
+      : buffer;
+
+    return {
+      ...(await renderRendition(image, rendition, exportScale)),
+      template: normalized.template,
+      textFit,
+      attempts,
+      baseImageCached: baseImage.cached,
+      templateVersion: baseImage.version
+    };
+  }
+
   // Main processing function
-  async processCard(headerText, promoText, templateType = 'default') {
+  // Takes a card as { template, fields, images } (legacy { header, promo } also accepted).
+  // A card whose render hash matches an earlier render reuses that upload and is
+  // marked `cached`; `force: true` renders it again.
+  async processCard(card) {
+    const startedAt = Date.now();
+    const attempts = { export: 0, download: 0, upload: 0 };
+    const textFit = {};
+    // What the failed result reports if the card can't even be normalized (e.g. null)
+    let normalized = { template: card && card.template, fields: {} };
+    let label = normalized.template;
+
     try {
-      console.log(`\n🎯 Processing card: "${headerText}"`);
+      normalized = normalizeCard(card);
+      const {
+        template: templateType,
+        fields,
+        images,
+        renditions: requestedRenditions,
+        storage: storageBackend = this.storageBackend,
+        upload,
+        force
+      } = normalized;
+      label = fields.header || Object.values(fields)[0] || templateType;
+      logger.info('processing card', { template: templateType, label });
       
-      const config = TEMPLATE_CONFIG[templateType] || TEMPLATE_CONFIG.default;
+      const config = TEMPLATE_CONFIG[templateType];
+      if (!config) {
+        throw new Error(`Unknown template '${templateType}'`);
+      }
       
-      // Step 1: Export base template from Figma
-      const baseImageBuffer = await this.exportFigmaComponent(config.nodeId);
+      // Step 1: Read text zones (from the template's Figma layers with the Figma source)
+      const textZones = await this.templateSource.getTextZones(templateType, config);
       
-      // Save base image for debugging
-      if (process.env.NODE_ENV === 'development') {
-        await fs.writeFile('debug_base.png', baseImageBuffer);
-        console.log('💾 Saved base image to debug_base.png');
-      }
+      // Request renditions win over the template's, which win over a single PNG
+      const renditions = requestedRenditions || config.renditions || DEFAULT_RENDITIONS;
+      
+      // Everything that changes the output or where it's stored
+      const { version } = await this.templateSource.getVersion(templateType, config);
+      const renderHash = this.renderCache.keyFor({
+        rendererVersion: RENDERER_VERSION,
+        ...this.templateSource.identify(templateType, config),
+        templateVersion: version,
+        template: templateType,
+        textZones,
+        imageSlots: config.imageSlots,
+        fields,
+        images,
+        // The same URL or path with new content is a new render
+        imageVersions: await imageVersions(config.imageSlots, images, { retry: this.retryOptions }),
+        renditions,
+        storage: storageBackend,
+        upload
+      });
       
-      // Step 2: Add text overlay
-      const processedImage = await this.addTextOverlay(
-        baseImageBuffer, 
-        headerText, 
-        promoText,
-        templateType
+      const { entry, cached } = await this.renderCache.getOrCreate(
+        renderHash,
+        () => this.renderCard({ ...normalized, storage: storageBackend }, config, textZones, renditions, attempts, textFit, renderHash),
+        { force }
       );
       
-      // Save processed image for debugging
-      if (process.env.NODE_ENV === 'development') {
-        await fs.writeFile('debug_processed.png', processedImage);
-        console.log('💾 Saved processed image to debug_processed.png');
+      if (cached) {
+        logger.info('reusing earlier render', { template: templateType, renderHash: renderHash.substring(0, 12) });
       }
-      
-      // Step 3: Upload to Cloudinary
-      const filename = `card_${Date.now()}_${headerText.replace(/\s+/g, '_').substring(0, 20)}`;
-      const imageUrl = await this.uploadToCloudinary(processedImage, filename);
+      recordCard(templateType);
+      logger.info('card rendered', {
+        template: templateType,
+        cached,
+        imageUrl: entry.imageUrl,
+        durationMs: Date.now() - startedAt
+      });
       
       return {
         success: true,
-        header: headerText,
-        promo: promoText,
         template: templateType,
-        imageUrl: imageUrl,
+        fields,
+        row: normalized.row,
+        // header/promo kept for consumers of the original result shape
+        header: fields.header,
+        promo: fields.promo,
+        imageUrl: entry.imageUrl,
+        storage: entry.storage,
+        renditions: entry.renditions,
+        cached,
+        renderHash,
+        attempts,
+        textFit: entry.textFit,
+        baseImageCached: entry.baseImageCached,
+        templateVersion: entry.templateVersion,
+        durationMs: Date.now() - startedAt,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error(`❌ Failed to process card "${headerText}":`, error.message);
+      const { template: templateType, fields } = normalized;
+      logger.error('failed to process card', { template: templateType, label, error });
+      // Unknown names would each become a new metric series
+      recordCard(TEMPLATE_CONFIG[templateType] ? templateType : 'unknown', error);
       return {
         success: false,
-        header: headerText,
-        promo: promoText,
         template: templateType,
+        fields,
+        row: normalized.row,
+        header: fields.header,
+        promo: fields.promo,
         error: error.message,
+        attempts,
+        durationMs: Date.now() - startedAt,
         timestamp: new Date().toISOString()
       };
     }
   }
 
-  // Process multiple cards
-  async processBatch(cards) {
-    console.log(`\n📦 Processing batch of ${cards.length} cards...`);
+  // Process multiple cards with a bounded number running at once.
+  // `indexes` numbers the cards in log lines when they're part of a larger set
+  async processBatch(cards, options = {}) {
+    const { onCardStart, onCardComplete } = options;
+    const concurrency = Math.max(1, Math.min(options.concurrency || this.concurrency, cards.length));
+
+    logger.info('processing batch', { cards: cards.length, concurrency });
     
-    const results = [];
-    for (let i = 0; i < cards.length; i++) {
-      const card = cards[i];
-      console.log(`\n[${i + 1}/${cards.length}] Processing...`);
-      
-      const result = await this.processCard(
-        card.header || card.Header,
-        card.promo || card.PromoText || card.promo_text,
-        card.template || 'default'
-      );
-      results.push(result);
-      
-      // Add delay to avoid rate limits
-      if (i < cards.length - 1) {
-        console.log('⏳ Waiting 1 second before next card...');
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    const results = new Array(cards.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < cards.length) {
+        const i = next++;
+        const card = cards[i];
+        // Every line logged for this card carries its index
+        const cardIndex = options.indexes ? options.indexes[i] : i;
+        await withLogContext({ cardIndex }, async () => {
+          if (onCardStart) onCardStart(i);
+          
+          const result = await this.processCard(card);
+          results[i] = result;
+          if (onCardComplete) onCardComplete(i, result);
+        });
       }
-    }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
     
     // Summary
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
     
-    console.log('\n📊 Batch processing complete!');
-    console.log(`✅ Successful: ${successful}`);
-    console.log(`❌ Failed: ${failed}`);
+    logger.info('batch complete', { successful, failed });
     
     return results;
   }
 
-  // Get Figma file structure
+  // Get Figma file structure (from Figma even when templates render from local files)
   async getFigmaFileStructure() {
     try {
-      console.log('📋 Fetching Figma file structure...');
-      const response = await axios.get(
-        `https://api.figma.com/v1/files/${FIGMA_FILE_KEY}`,
-        { headers: this.figmaHeaders }
-      );
-
-      const components = [];
-      const findComponents = (node, path = '') => {
-        if (node.type === 'COMPONENT' || node.type === 'COMPONENT_SET') {
-          components.push({
-            id: node.id,
-            name: node.name,
-            type: node.type,
-            path: path
-          });
-        }
-        if (node.children) {
-          node.children.forEach(child => 
-            findComponents(child, path + '/' + node.name)
-          );
-        }
-      };
-
-      response.data.document.children.forEach(page => {
-        findComponents(page, page.name);
-      });
-
-      return components;
+      const figma = this.templateSource.name === 'figma'
+        ? this.templateSource
+        : createTemplateSource('figma', { retry: this.retryOptions });
+      return await figma.listComponents();
     } catch (error) {
-      console.error('❌ Failed to get Figma structure:', error.message);
+      logger.error('failed to get Figma structure', { error });
       throw error;
     }
   }
@@ -367,60 +494,3 @@ class SharpOnlyFigmaAutomation {
 
 // Export for use in server
 module.exports = SharpOnlyFigmaAutomation;
-
-// Standalone execution for testing
-if (require.main === module) {
-  const automation = new SharpOnlyFigmaAutomation();
-  
-  // Check for required environment variables
-  if (!process.env.FIGMA_TOKEN) {
-    console.error('❌ FIGMA_TOKEN environment variable is required');
-    console.log('Get it from: https://www.figma.com/settings');
-    process.exit(1);
-  }
-  
-  if (!process.env.CLOUDINARY_URL) {
-    console.error('❌ CLOUDINARY_URL environment variable is required');
-    process.exit(1);
-  }
-  
-  // Test with sample data
-  const testCards = [
-    { 
-      header: 'Summer Sale', 
-      promo: '50% off all items! Limited time offer on selected products.',
-      template: 'default'
-    },
-    { 
-      header: 'New Arrivals', 
-      promo: 'Check out our latest collection of amazing products',
-      template: 'default'
-    }
-  ];
-  
-  console.log('🚀 Starting Sharp-only Figma automation test...');
-  
-  automation.processBatch(testCards)
-    .then(async results => {
-      console.log('\n✅ Test complete!');
-      
-      // Save results
-      await fs.writeFile(
-        path.join(__dirname, 'sharp_test_results.json'),
-        JSON.stringify(results, null, 2)
-      );
-      
-      console.log('💾 Results saved to sharp_test_results.json');
-      
-      // Print successful image URLs
-      results
-        .filter(r => r.success)
-        .forEach(r => {
-          console.log(`\n🖼️ ${r.header}: ${r.imageUrl}`);
-        });
-    })
-    .catch(error => {
-      console.error('\n💥 Test failed:', error);
-      process.exit(1);
-    });
-}
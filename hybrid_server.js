@@ -1,12 +1,25 @@
 // hybrid_server.js
+// Modules read their settings when first required, so .env is loaded before any of them
+require('dotenv').config();
+
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const HybridFigmaAutomation = require('./hybrid_figma_api');
-require('dotenv').config();
+const JobQueue = require('./job_queue');
+const { normalizeCard, parseBatchPayload, validateBatchPayload, validateCard } = require('./card_fields');
+const { TEMPLATE_CONFIG, getTemplateSlots } = require('./template_config');
+const { validateRendition } = require('./renditions');
+const { checkTemplateSourceConfig } = require('./template_source');
+const { STORAGE_BACKEND, checkStorageConfig, serveLocalFiles } = require('./storage');
+const { GoogleSheetsClient, resolveSheetTarget, validateSheetOptions } = require('./google_sheets');
+const { importSpreadsheet, spreadsheetUpload } = require('./spreadsheet_import');
+const { RunStore, runsRouter } = require('./run_store');
+const { WebhookDispatcher, cardSummary, redactWebhook, storableWebhook, validateWebhookOptions, webhooksRouter } = require('./webhooks');
+const { ApiKeyStore, apiKeysRouter } = require('./api_keys');
+const { metricsHandler, trackJobQueue } = require('./metrics');
+const { logger, requestLogger } = require('./logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,34 +28,92 @@ app.use(helmet());
 app.set('trust proxy', 1);
 app.use(cors());
 
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10,
-  message: 'Too many requests from this IP, please try again later.'
+// Request IDs (X-Request-Id) for every log line of the request, and one line per request
+app.use(requestLogger());
+
+// API keys: scopes per route, a rate-limit budget per key (anonymous callers per IP)
+// and every /api request recorded against the key that made it
+const apiKeys = new ApiKeyStore();
+
+const limiter = apiKeys.rateLimiter(rateLimit, {
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+  anonymousMax: parseInt(process.env.RATE_LIMIT_MAX, 10) || 10,
+  message: 'Too many requests for this API key or IP, please try again later.'
 });
-app.use('/api/', limiter);
+app.use('/api/', apiKeys.identify(), limiter);
 
 app.use(express.json({ limit: '10mb' }));
 
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// Cards stored with the local backend are served from here
+app.use('/files', serveLocalFiles(express));
 
-function authenticateToken(req, res, next) {
-  if (!AUTH_TOKEN) {
-    return next();
-  }
-  
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Initialize automation instance
+const automation = new HybridFigmaAutomation();
+const sheets = new GoogleSheetsClient();
+const webhooks = new WebhookDispatcher();
+
+// Job options as shown in job and run views - webhook secrets stay private
+const publicOptions = (options = {}) => ({ ...options, webhook: redactWebhook(options.webhook) });
+
+// Background job queue - batches run outside the request
+// Every job is recorded as a run in the history log
+const runStore = new RunStore();
+
+const jobQueue = new JobQueue(automation, {
+  // Webhook secrets are kept in memory, never in the jobs file
+  storedOptions: options => ({ ...options, webhook: storableWebhook(options.webhook) }),
+  onJobStart: (job) => runStore.startRun({
+    id: job.id,
+    engine: 'hybrid',
+    source: job.options.source,
+    options: publicOptions(job.options),
+    total: job.progress.total,
+    createdAt: job.createdAt
+  }),
+  onCardComplete: async (jobId, card) => {
+    await runStore.recordCard(jobId, card);
 
-  if (token !== AUTH_TOKEN) {
-    return res.status(401).json({ error: 'Invalid or missing token' });
+    if (card.status === 'failed') {
+      const job = jobQueue.getJob(jobId);
+      await webhooks.dispatch('card.failed', {
+        runId: jobId,
+        card: cardSummary(card)
+      }, { runId: jobId, webhook: job && job.options.webhook });
+    }
+  },
+  onJobComplete: async (job) => {
+    await runStore.finishRun(job.id, { status: job.status, error: job.error });
+
+    logger.info('job finished', {
+      status: job.status,
+      successful: job.progress.successful,
+      failed: job.progress.failed
+    });
+
+    await webhooks.dispatch('batch.completed', {
+      runId: job.id,
+      status: job.status,
+      error: job.error,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      summary: {
+        total: job.progress.total,
+        successful: job.progress.successful,
+        failed: job.progress.failed
+      },
+      results: job.cards.map(cardSummary),
+      statusUrl: `/api/jobs/${job.id}`
+    }, { runId: job.id, webhook: job.options.webhook });
+
+    // Write image URLs back to the rows the cards came from
+    const sheetTarget = resolveSheetTarget(job.options.sheet);
+    if (sheetTarget) {
+      await sheets.writeResults(job.cards.map(card => card.result), sheetTarget);
+    }
   }
-  
-  next();
-}
+});
 
-// Initialize automation instance
-const automation = new HybridFigmaAutomation();
+trackJobQueue(jobQueue);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -51,12 +122,17 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     mode: 'hybrid-api',
-    features: ['figma-rest-api', 'canvas-text-overlay', 'cloudinary-upload']
+    features: ['figma-rest-api', 'canvas-text-overlay', 'pluggable-storage', 'background-jobs', 'webhooks', 'api-keys', 'metrics'],
+    storage: STORAGE_BACKEND,
+    templateSource: automation.templateSource.name
   });
 });
 
+// Prometheus scrape endpoint - outside /api/ like /health, so no API key or rate limit
+app.get('/metrics', metricsHandler());
+
 // Get Figma components structure
-app.get('/api/figma-components', authenticateToken, async (req, res) => {
+app.get('/api/figma-components', apiKeys.authorize('admin-templates'), async (req, res) => {
   try {
     const components = await automation.getFigmaFileStructure();
     res.json({
@@ -72,118 +148,280 @@ app.get('/api/figma-components', authenticateToken, async (req, res) => {
   }
 });
 
-// Main processing endpoint
-app.post('/api/process', authenticateToken, async (req, res) => {
-  const startTime = Date.now();
+// List templates and the text slots each one accepts
+app.get('/api/templates', apiKeys.authorize('render'), (req, res) => {
+  const templates = Object.keys(TEMPLATE_CONFIG).map(name => ({
+    name,
+    nodeId: TEMPLATE_CONFIG[name].nodeId,
+    pinned: TEMPLATE_CONFIG[name].pinned || null,
+    slots: getTemplateSlots(name)
+  }));
+
+  res.json({
+    success: true,
+    templates
+  });
+});
+
+// Shared by the JSON and spreadsheet endpoints once the cards are validated
+async function queueBatch(res, cards, options, extra = {}) {
+  // Check required environment variables
+  const templateSourceErrors = checkTemplateSourceConfig(automation.templateSource);
+  if (templateSourceErrors.length > 0) {
+    return res.status(500).json({
+      error: templateSourceErrors[0]
+    });
+  }
+
+  const normalized = cards.map(normalizeCard);
+  const storageErrors = checkStorageConfig(normalized.map(card => card.storage || STORAGE_BACKEND));
+  if (storageErrors.length > 0) {
+    return res.status(500).json({
+      error: storageErrors[0],
+      errors: storageErrors
+    });
+  }
+
+  const sheetTarget = resolveSheetTarget(options.sheet);
+  if (sheetTarget && !sheets.isConfigured()) {
+    return res.status(500).json({
+      error: 'Sheet write-back requested but GOOGLE_SERVICE_ACCOUNT_FILE / GOOGLE_SERVICE_ACCOUNT_JSON not configured'
+    });
+  }
+
+  const job = await jobQueue.enqueue(normalized, {
+    sheet: options.sheet,
+    webhook: options.webhook,
+    source: options.source || 'json'
+  });
   
+  res.status(202).json({
+    success: true,
+    message: 'Batch queued for processing',
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    itemsQueued: cards.length,
+    ...extra,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Main processing endpoint - queues the batch and returns a job ID
+app.post('/api/process', apiKeys.authorize('render'), async (req, res) => {
   try {
-    console.log('🚀 Starting hybrid processing...');
-    console.log('Received data:', JSON.stringify(req.body, null, 2));
-    
-    // Validate input
-    if (!Array.isArray(req.body)) {
+    // Accept a bare array of cards or { cards, renditions, storage, upload, sheet, webhook };
+    // validate against each template's schema before the options are copied onto the cards
+    const errors = validateBatchPayload(req.body);
+    const { cards, options } = parseBatchPayload(req.body);
+    if (options.sheet !== undefined) {
+      errors.push(...validateSheetOptions(options.sheet));
+    }
+    if (options.webhook !== undefined) {
+      errors.push(...validateWebhookOptions(options.webhook));
+    }
+    if (errors.length > 0) {
       return res.status(400).json({ 
-        error: 'Request body must be an array of objects' 
+        error: errors[0],
+        errors
       });
     }
 
-    for (let i = 0; i < req.body.length; i++) {
-      const item = req.body[i];
-      if (!item.header && !item.Header) {
-        return res.status(400).json({ 
-          error: `Item at index ${i} is missing 'header' field` 
-        });
-      }
-      if (!item.promo && !item.PromoText && !item.promo_text) {
-        return res.status(400).json({ 
-          error: `Item at index ${i} is missing 'promo' field` 
-        });
-      }
-    }
+    await queueBatch(res, cards, options);
 
-    // Check required environment variables
-    if (!process.env.FIGMA_TOKEN) {
-      return res.status(500).json({
-        error: 'FIGMA_TOKEN not configured. Get it from Figma settings.'
+  } catch (error) {
+    logger.error('failed to queue batch', { error });
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Spreadsheet upload - CSV/XLSX rows become cards, validated before anything renders.
+// Form fields: file, template (default for rows without a template column),
+// mapping ("Column=field,..." or JSON), worksheet, options (JSON batch options)
+app.post('/api/process/upload', apiKeys.authorize('render'), spreadsheetUpload(), async (req, res) => {
+  try {
+    logger.info('queueing spreadsheet upload', { file: req.file.originalname, bytes: req.file.size });
+
+    let options;
+    let imported;
+    try {
+      options = req.body.options ? JSON.parse(req.body.options) : {};
+      imported = await importSpreadsheet(req.file.buffer, req.file.originalname, {
+        template: req.body.template,
+        mapping: req.body.mapping,
+        worksheet: req.body.worksheet,
+        batchOptions: options
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read upload: ${error.message}`
       });
     }
 
-    if (!process.env.CLOUDINARY_URL) {
-      return res.status(500).json({
-        error: 'CLOUDINARY_URL not configured'
+    const { cards, errors, ignoredColumns } = imported;
+    if (options.sheet !== undefined) {
+      errors.push(...validateSheetOptions(options.sheet));
+    }
+    if (options.webhook !== undefined) {
+      errors.push(...validateWebhookOptions(options.webhook));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: errors[0],
+        errors,
+        ignoredColumns
       });
     }
 
-    // Process cards
-    const results = await automation.processBatch(req.body);
-    
-    // Save results to file
-    await fs.writeFile(
-      path.join(__dirname, 'image_results.json'),
-      JSON.stringify(results, null, 2)
-    );
+    await queueBatch(res, cards, { ...options, source: 'upload' }, { ignoredColumns });
+
+  } catch (error) {
+    logger.error('failed to queue spreadsheet upload', { error });
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get job status and per-card progress
+app.get('/api/jobs/:id', apiKeys.authorize('read-results'), (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: { ...job, options: publicOptions(job.options) },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get latest results (the newest finished run)
+app.get('/api/results', apiKeys.authorize('read-results'), (req, res) => {
+  const latest = runStore.latestResults({ engine: 'hybrid' });
+  
+  if (!latest) {
+    return res.status(404).json({
+      success: false,
+      error: 'No results found',
+      message: 'Run /api/process and wait for the job to finish to generate results'
+    });
+  }
+  
+  res.json({
+    success: true,
+    runId: latest.run.id,
+    results: latest.results,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Run history: list with filters, one run, and its cards page by page
+app.use('/api/runs', runsRouter(express, runStore, scope => apiKeys.authorize(scope)));
+
+// Webhook delivery log: list (?runId=&event=&status=&url=), one delivery with its
+// attempts and payload, and manual redelivery
+app.use('/api/webhooks', webhooksRouter(express, webhooks, scope => apiKeys.authorize(scope)));
+
+// API keys: list, create (the token is shown once), get, revoke and the request log
+app.use('/api/keys', apiKeysRouter(express, apiKeys));
+
+// Inspect the base image cache
+app.get('/api/cache', apiKeys.authorize('admin-templates'), async (req, res) => {
+  try {
+    const entries = await automation.baseImageCache.list();
     
-    const duration = Date.now() - startTime;
+    res.json({
+      success: true,
+      stats: automation.baseImageCache.getStats(),
+      renders: automation.renderCache.getStats(),
+      entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Purge the base image cache (optionally only one node)
+app.delete('/api/cache', apiKeys.authorize('admin-templates'), async (req, res) => {
+  try {
+    const removed = await automation.baseImageCache.purge({
+      nodeId: req.query.nodeId
+    });
     
-    console.log(`✅ Processing completed in ${duration}ms`);
+    logger.info('purged cached base images', { removed, nodeId: req.query.nodeId });
     
     res.json({
       success: true,
-      message: 'Hybrid processing completed successfully',
-      itemsProcessed: req.body.length,
-      duration: `${duration}ms`,
-      timestamp: new Date().toISOString(),
-      results: results,
-      summary: {
-        total: results.length,
-        successful: results.filter(r => r.success).length,
-        failed: results.filter(r => !r.success).length
-      }
+      removed,
+      timestamp: new Date().toISOString()
     });
-
   } catch (error) {
-    console.error('❌ Processing failed:', error);
-    const duration = Date.now() - startTime;
-    
     res.status(500).json({
       success: false,
-      error: error.message,
-      duration: `${duration}ms`,
-      timestamp: new Date().toISOString()
+      error: error.message
     });
   }
 });
 
-// Get latest results
-app.get('/api/results', authenticateToken, async (req, res) => {
+// Forget earlier renders so matching cards render again (optionally one template)
+app.delete('/api/cache/renders', apiKeys.authorize('admin-templates'), async (req, res) => {
   try {
-    const resultsPath = path.join(__dirname, 'image_results.json');
-    const resultsData = await fs.readFile(resultsPath, 'utf8');
-    const results = JSON.parse(resultsData);
+    const removed = await automation.renderCache.purge({
+      template: req.query.template
+    });
+    
+    logger.info('forgot earlier renders', { removed, template: req.query.template });
     
     res.json({
       success: true,
-      results: results,
+      removed,
       timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    res.status(404).json({
+    res.status(500).json({
       success: false,
-      error: 'No results found',
-      message: 'Run /api/process first to generate results'
+      error: error.message
     });
   }
 });
 
 // Test single card processing
-app.post('/api/test', authenticateToken, async (req, res) => {
+app.post('/api/test', apiKeys.authorize('render'), async (req, res) => {
   try {
-    const { header = 'Test Header', promo = 'Test Promo Text' } = req.body;
+    const body = { ...req.body };
+    if (Object.keys(normalizeCard(body).fields).length === 0) {
+      body.fields = { header: 'Test Header', promo: 'Test Promo Text' };
+    }
     
-    console.log('🧪 Testing single card processing...');
+    const errors = validateCard(body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
     
-    const result = await automation.processCard(header, promo);
+    const result = await automation.processCard(normalizeCard(body));
     
     res.json({
       success: true,
@@ -199,23 +437,103 @@ app.post('/api/test', authenticateToken, async (req, res) => {
   }
 });
 
+// Preview - render one card and send the image back; nothing is stored or cached.
+// Body: a card plus format, width, height, scale, quality, fit (one rendition)
+// and debug (draw text-zone boxes, wrap guides and image-slot boxes)
+app.post('/api/preview', apiKeys.authorize('render'), async (req, res) => {
+  try {
+    const { format = 'png', width, height, scale, quality, fit, debug = false, ...body } = req.body || {};
+    const output = { format, width, height, scale, quality, fit };
+
+    const errors = [
+      ...validateCard(body),
+      ...validateRendition(output, 'preview')
+    ];
+    if (typeof debug !== 'boolean') {
+      errors.push('preview.debug must be true or false');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const templateSourceErrors = checkTemplateSourceConfig(automation.templateSource);
+    if (templateSourceErrors.length > 0) {
+      return res.status(500).json({
+        error: templateSourceErrors[0]
+      });
+    }
+
+    const card = normalizeCard(body);
+    logger.info('rendering preview', { template: card.template, format, debug });
+
+    const preview = await automation.previewCard(card, output, { debug });
+
+    res.set({
+      'Content-Type': preview.contentType,
+      'Content-Length': preview.bytes,
+      'Content-Disposition': `inline; filename="preview-${card.template}.${preview.extension}"`,
+      'Cache-Control': 'no-store',
+      'X-Image-Width': preview.width,
+      'X-Image-Height': preview.height,
+      // e.g. "header=fit;promo=shrunk"
+      'X-Text-Fit': Object.entries(preview.textFit).map(([zone, result]) => `${zone}=${result.status}`).join(';')
+    });
+    // Sources without versions would otherwise send the string "undefined"
+    if (preview.templateVersion !== undefined && preview.templateVersion !== null) {
+      res.set('X-Template-Version', String(preview.templateVersion));
+    }
+    res.send(preview.buffer);
+
+  } catch (error) {
+    logger.error('preview failed', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
     error: 'Endpoint not found',
     availableEndpoints: {
       'GET /health': 'Health check',
+      'GET /metrics': 'Prometheus metrics: stage latency, card results, Figma/Cloudinary statuses, queue depth, cache hits',
       'GET /api/figma-components': 'Get Figma file structure',
-      'POST /api/process': 'Process batch of cards',
+      'GET /api/templates': 'List templates and their text slots',
+      'POST /api/process': 'Queue batch of cards for processing',
+      'POST /api/process/upload': 'Queue a CSV/XLSX upload (multipart field "file")',
+      'GET /api/jobs/:id': 'Get job status and per-card progress',
       'GET /api/results': 'Get latest processing results',
-      'POST /api/test': 'Test single card processing'
+      'GET /api/runs': 'List runs (?status=&engine=&source=&template=&since=&until=&limit=&offset=)',
+      'GET /api/runs/:id': 'Get one run with its summary',
+      'GET /api/runs/:id/cards': 'Page through a run\'s card results (?status=&limit=&offset=)',
+      'GET /api/webhooks/deliveries': 'List webhook deliveries (?runId=&event=&status=&url=&limit=&offset=)',
+      'GET /api/webhooks/deliveries/:id': 'Get one delivery with its attempts and payload',
+      'POST /api/webhooks/deliveries/:id/redeliver': 'Send a delivery again',
+      'GET /api/keys': 'List API keys (admin-keys scope)',
+      'POST /api/keys': 'Create an API key { name, scopes, rateLimit } - the token is returned once',
+      'GET /api/keys/:id': 'Get one API key',
+      'DELETE /api/keys/:id': 'Revoke an API key',
+      'GET /api/keys/:id/requests': 'Requests made with a key, newest first (?limit=&offset=)',
+      'GET /api/cache': 'Inspect cached base images',
+      'DELETE /api/cache': 'Purge cached base images (optional ?nodeId=)',
+      'DELETE /api/cache/renders': 'Forget earlier renders so cards render again (optional ?template=)',
+      'POST /api/test': 'Test single card processing',
+      'POST /api/preview': 'Render one card and return the image without storing it (format, width, height, scale, quality, debug)',
+      'GET /files/*': 'Cards stored with the local storage backend'
     }
   });
 });
 
 // Error handler
 app.use((error, req, res, next) => {
-  console.error('Server error:', error);
+  logger.error('unhandled error', { error });
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -223,38 +541,67 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🌐 Hybrid Figma API Server running on port ${PORT}`);
-  console.log(`📡 Health check: http://localhost:${PORT}/health`);
-  console.log(`🎯 Mode: REST API + Canvas text overlay`);
+// Exported for tests; listens only when run directly
+module.exports = app;
+
+// Start server - stored runs, deliveries and jobs are loaded before the first request
+async function start() {
+  await runStore.load();
+  await webhooks.load();
+  await jobQueue.load();
+
+  app.listen(PORT, async () => {
+    logger.info('hybrid server listening', {
+      port: Number(PORT),
+      health: `http://localhost:${PORT}/health`,
+      metrics: `http://localhost:${PORT}/metrics`
+    });
   
-  if (AUTH_TOKEN) {
-    console.log('🔐 Token authentication enabled');
-  } else {
-    console.log('⚠️  No authentication token set');
-  }
+    const authMode = await apiKeys.describeMode();
+    logger.log(authMode.level, authMode.message);
   
-  if (process.env.FIGMA_TOKEN) {
-    console.log('✅ Figma API token configured');
-  } else {
-    console.log('❌ FIGMA_TOKEN not set - get it from Figma settings');
-  }
+    const templateSourceErrors = checkTemplateSourceConfig(automation.templateSource);
+    if (templateSourceErrors.length === 0) {
+      logger.info('template source ready', { templateSource: automation.templateSource.name });
+    } else {
+      logger.error(`${templateSourceErrors[0]} - get a token from Figma settings or set TEMPLATE_SOURCE=local`);
+    }
   
-  if (process.env.CLOUDINARY_URL) {
-    console.log('☁️  Cloudinary configured');
-  } else {
-    console.log('❌ CLOUDINARY_URL not set');
-  }
-});
+    const storageErrors = checkStorageConfig();
+    if (storageErrors.length === 0) {
+      logger.info('storage ready', { storage: STORAGE_BACKEND });
+    } else {
+      logger.error(storageErrors[0]);
+    }
+  
+    if (process.env.GOOGLE_SHEET_ID) {
+      logger.info('sheet write-back enabled', {
+        sheetId: process.env.GOOGLE_SHEET_ID,
+        serviceAccount: sheets.isConfigured()
+      });
+    }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 Received SIGTERM, shutting down gracefully...');
-  process.exit(0);
-});
+    if (process.env.WEBHOOK_URL) {
+      if (process.env.WEBHOOK_SECRET) {
+        logger.info('webhooks enabled', { url: process.env.WEBHOOK_URL });
+      } else {
+        logger.error('WEBHOOK_URL set without WEBHOOK_SECRET - global webhook disabled');
+      }
+    }
+  });
+}
 
-process.on('SIGINT', () => {
-  console.log('🛑 Received SIGINT, shutting down gracefully...');
-  process.exit(0);
-});
+if (require.main === module) {
+  start();
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('received SIGTERM, shutting down');
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    logger.info('received SIGINT, shutting down');
+    process.exit(0);
+  });
+}
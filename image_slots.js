@@ -0,0 +1,270 @@
+// image_slots.js
+// Load card images (URL, base64 or local file) and fit them into template image slots
+//
+// Slot units match text zones: box x/width are fractions of the image width,
+// box y/height fractions of its height, radius a fraction of the width.
+//
+// Image URLs come from card payloads, so they're fetched carefully: redirects
+// aren't followed and hosts that are (or resolve to) loopback, private,
+// link-local or other internal addresses are refused (host_guard.js) - unless
+// they're listed in IMAGE_URL_ALLOWLIST. Set the allowlist in production to the hosts card
+// images really come from (your CDN, Cloudinary).
+//
+// imageVersions() tells the render cache when an image changed behind the same
+// source: ETag/Last-Modified for URLs (a hash of the bytes when the server
+// sends neither), size and mtime for local files.
+
+const axios = require('axios');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { withRetry } = require('./retry');
+const { internalHostError, isInternalAddress, publicOnlyAgents, unwrapRefusal, urlHost } = require('./host_guard');
+
+const LOCAL_IMAGE_DIR = process.env.LOCAL_IMAGE_DIR || path.join(__dirname, 'assets');
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES, 10) || 15 * 1024 * 1024;
+// Optional comma-separated list of hosts card image URLs may point at
+const IMAGE_URL_ALLOWLIST = (process.env.IMAGE_URL_ALLOWLIST || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const FIT_MODES = ['cover', 'contain'];
+
+// Card image URLs may not reach internal hosts that aren't allowlisted
+const publicAgents = publicOnlyAgents('Image', 'IMAGE_URL_ALLOWLIST');
+
+// Normalize the accepted source shapes to { type, value }
+function parseImageSource(source) {
+  if (source && typeof source === 'object') {
+    if (source.url) return { type: 'url', value: source.url };
+    if (source.base64) return { type: 'base64', value: source.base64 };
+    if (source.path) return { type: 'path', value: source.path };
+    return null;
+  }
+  if (typeof source !== 'string' || source.trim() === '') return null;
+  if (/^https?:\/\//i.test(source)) return { type: 'url', value: source };
+  if (/^data:image\/[\w.+-]+;base64,/i.test(source)) return { type: 'base64', value: source };
+  return { type: 'path', value: source };
+}
+
+// Local paths are confined to LOCAL_IMAGE_DIR
+function resolveLocalPath(filePath, baseDir = LOCAL_IMAGE_DIR) {
+  const resolved = path.resolve(baseDir, filePath);
+  const root = path.resolve(baseDir);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`Image path '${filePath}' is outside ${root}`);
+  }
+  return resolved;
+}
+
+// `options`: baseDir for local paths, allowlist (hosts) for URLs, retry
+async function loadImageSource(source, options = {}) {
+  const parsed = parseImageSource(source);
+  if (!parsed) {
+    throw new Error('Image must be a URL, a base64 data URI or a local file path');
+  }
+
+  if (parsed.type === 'url') {
+    const response = await fetchImageUrl('get', parsed.value, options);
+    return Buffer.from(response.data);
+  }
+
+  if (parsed.type === 'base64') {
+    const buffer = Buffer.from(parsed.value.replace(/^data:[^,]*,/, ''), 'base64');
+    if (buffer.length === 0) throw new Error('Base64 image payload is empty');
+    if (buffer.length > MAX_IMAGE_BYTES) throw new Error('Base64 image payload is too large');
+    return buffer;
+  }
+
+  return fs.readFile(resolveLocalPath(parsed.value, options.baseDir));
+}
+
+// GET or HEAD a card image URL behind the allowlist and internal-host checks
+async function fetchImageUrl(method, url, options = {}) {
+  const allowlist = options.allowlist || IMAGE_URL_ALLOWLIST;
+  const host = urlHost(url);
+  const allowlisted = allowlist.includes(host);
+  if (allowlist.length > 0 && !allowlisted) {
+    throw new Error(`Image host '${host}' is not in IMAGE_URL_ALLOWLIST`);
+  }
+  // IP literals skip DNS, so they're checked here; names are checked by the agents' lookup
+  if (!allowlisted && isInternalAddress(host)) {
+    throw internalHostError('Image', host, host, 'IMAGE_URL_ALLOWLIST');
+  }
+
+  return withRetry(
+    async () => {
+      try {
+        return await axios.request({
+          method,
+          url,
+          responseType: 'arraybuffer',
+          maxContentLength: MAX_IMAGE_BYTES,
+          maxRedirects: 0,
+          ...(allowlisted ? {} : publicAgents)
+        });
+      } catch (error) {
+        if (error.response && error.response.status >= 300 && error.response.status < 400) {
+          throw Object.assign(
+            new Error(`Image URL redirects (HTTP ${error.response.status}) - use the image's final URL`),
+            { retryable: false }
+          );
+        }
+        throw unwrapRefusal(error);
+      }
+    },
+    { ...options.retry, label: method === 'head' ? 'Card image check' : 'Card image download' }
+  );
+}
+
+// What identifies the content behind an image source, short of the bytes where possible
+async function imageVersion(source, options = {}) {
+  const parsed = parseImageSource(source);
+  if (!parsed) {
+    throw new Error('Image must be a URL, a base64 data URI or a local file path');
+  }
+
+  if (parsed.type === 'url') {
+    // Servers that refuse HEAD are hashed like those without validators
+    const head = await fetchImageUrl('head', parsed.value, options).catch(error => {
+      if (error.response && [405, 501].includes(error.response.status)) return null;
+      throw error;
+    });
+    const headers = head ? head.headers : {};
+    if (headers.etag || headers['last-modified']) {
+      return { etag: headers.etag || null, lastModified: headers['last-modified'] || null };
+    }
+    const response = await fetchImageUrl('get', parsed.value, options);
+    return { sha256: crypto.createHash('sha256').update(Buffer.from(response.data)).digest('hex') };
+  }
+
+  if (parsed.type === 'base64') {
+    // The data is the source itself
+    return null;
+  }
+
+  const stats = await fs.stat(resolveLocalPath(parsed.value, options.baseDir));
+  return { size: stats.size, mtimeMs: stats.mtimeMs };
+}
+
+// imageVersion() of every image the template has a slot for, by slot name
+async function imageVersions(imageSlots, images, options = {}) {
+  const versions = {};
+
+  for (const name of Object.keys(imageSlots || {})) {
+    const source = images && images[name];
+    if (!source) continue;
+
+    try {
+      versions[name] = await imageVersion(source, options);
+    } catch (error) {
+      throw new Error(`Image slot '${name}': ${error.message}`);
+    }
+  }
+
+  return versions;
+}
+
+// Convert a slot's fractional box and radius to pixels
+function resolveSlot(slot, width, height) {
+  const left = Math.round(slot.box.x * width);
+  const top = Math.round(slot.box.y * height);
+  return {
+    ...slot,
+    fit: FIT_MODES.includes(slot.fit) ? slot.fit : 'cover',
+    left,
+    top,
+    width: Math.max(1, Math.round(slot.box.width * width)),
+    height: Math.max(1, Math.round(slot.box.height * height)),
+    radius: slot.radius ? slot.radius * width : 0
+  };
+}
+
+// Alpha mask for the slot: rounded corners, a circle/ellipse, or a mask image
+async function buildMask(slot, options = {}) {
+  const { width, height } = slot;
+
+  if (slot.mask === 'circle' || slot.mask === 'ellipse') {
+    return Buffer.from(
+      `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">` +
+      `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${width / 2}" ry="${height / 2}" fill="#fff"/></svg>`
+    );
+  }
+
+  if (slot.mask) {
+    const maskBuffer = await fs.readFile(resolveLocalPath(slot.mask, options.baseDir));
+    return sharp(maskBuffer).resize(width, height, { fit: 'fill' }).ensureAlpha().png().toBuffer();
+  }
+
+  if (slot.radius > 0) {
+    return Buffer.from(
+      `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">` +
+      `<rect width="${width}" height="${height}" rx="${slot.radius}" ry="${slot.radius}" fill="#fff"/></svg>`
+    );
+  }
+
+  return null;
+}
+
+// Resize an image into a resolved slot and apply its mask
+async function renderSlotImage(imageBuffer, slot, options = {}) {
+  let image = await sharp(imageBuffer)
+    .rotate()
+    .resize(slot.width, slot.height, {
+      fit: slot.fit,
+      position: slot.position || 'centre',
+      background: slot.background || { r: 0, g: 0, b: 0, alpha: 0 }
+    })
+    .ensureAlpha()
+    .png()
+    .toBuffer();
+
+  const mask = await buildMask(slot, options);
+  if (mask) {
+    image = await sharp(image)
+      .composite([{ input: mask, blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+  }
+
+  return image;
+}
+
+// Composite layers for every slot the card supplies an image for
+async function buildImageLayers(imageSlots, images, width, height, options = {}) {
+  const layers = [];
+
+  for (const [name, slotConfig] of Object.entries(imageSlots || {})) {
+    const source = images && images[name];
+    if (!source) continue;
+
+    try {
+      const slot = resolveSlot(slotConfig, width, height);
+      const buffer = await loadImageSource(source, options);
+      layers.push({
+        input: await renderSlotImage(buffer, slot, options),
+        left: slot.left,
+        top: slot.top
+      });
+    } catch (error) {
+      throw new Error(`Image slot '${name}': ${error.message}`);
+    }
+  }
+
+  return layers;
+}
+
+module.exports = {
+  LOCAL_IMAGE_DIR,
+  FIT_MODES,
+  parseImageSource,
+  resolveLocalPath,
+  loadImageSource,
+  imageVersion,
+  imageVersions,
+  resolveSlot,
+  renderSlotImage,
+  buildImageLayers
+};
@@ -0,0 +1,305 @@
+// job_queue.js
+// Persistent background queue for batch processing jobs
+//
+// The jobs file holds each job's status and card results; card inputs, which
+// can carry base64 images, are written once per job to JOB_INPUTS_DIR and
+// removed when the job finishes. Card status changes are saved at most every
+// JOB_SAVE_INTERVAL_MS; a job starting or finishing is saved right away.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { logger: rootLogger, getLogContext, withLogContext } = require('./logger');
+
+const logger = rootLogger.child({ component: 'job-queue' });
+
+const JOBS_FILE = process.env.JOBS_FILE || path.join(__dirname, 'jobs.json');
+const JOB_HISTORY_LIMIT = parseInt(process.env.JOB_HISTORY_LIMIT, 10) || 100;
+const JOB_INPUTS_DIR = process.env.JOB_INPUTS_DIR || null;
+const JOB_SAVE_INTERVAL_MS = parseInt(process.env.JOB_SAVE_INTERVAL_MS, 10) || 1000;
+
+// Hooks: onJobStart(job), onCardComplete(jobId, card), onJobComplete(job),
+// where `job` is the public view from describe() and `card` is { index, status, input, result }.
+// `storedOptions(options)` picks what of a job's options is written to disk -
+// anything it leaves out (e.g. secrets) lives only as long as the process
+class JobQueue {
+  constructor(automation, options = {}) {
+    this.automation = automation;
+    this.filePath = options.filePath || JOBS_FILE;
+    this.historyLimit = options.historyLimit || JOB_HISTORY_LIMIT;
+    // Next to the jobs file unless set
+    this.inputsDir = options.inputsDir || JOB_INPUTS_DIR || path.join(path.dirname(this.filePath), 'job-inputs');
+    this.saveInterval = options.saveInterval || JOB_SAVE_INTERVAL_MS;
+    this.onJobStart = options.onJobStart || null;
+    this.onCardComplete = options.onCardComplete || null;
+    this.onJobComplete = options.onJobComplete || null;
+    this.storedOptions = options.storedOptions || (jobOptions => jobOptions);
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = false;
+    this.saving = Promise.resolve();
+    this.queuedSave = null;
+    this.saveTimer = null;
+  }
+
+  // Load jobs from disk and resume anything that was interrupted
+  async load() {
+    let stored = [];
+    try {
+      stored = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('could not load jobs file', { error });
+      }
+    }
+
+    stored.forEach(job => this.jobs.set(job.id, job));
+
+    const interrupted = stored
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of interrupted) {
+      if (!(await this.restoreInputs(job))) continue;
+
+      job.status = 'queued';
+      job.cards.forEach(card => {
+        if (card.status === 'processing') card.status = 'pending';
+      });
+      this.queue.push(job.id);
+    }
+
+    if (interrupted.length > 0) {
+      logger.info('resuming interrupted jobs', { jobs: interrupted.length });
+      await this.save();
+      this.drain();
+    }
+  }
+
+  // Put the stored inputs back on an interrupted job's cards; a job whose
+  // inputs are gone fails instead of resuming
+  async restoreInputs(job) {
+    // Jobs files from before inputs had their own file hold them inline
+    if (job.cards.every(card => card.input !== undefined)) {
+      await this.writeInputs(job);
+      return true;
+    }
+
+    try {
+      const inputs = JSON.parse(await fs.readFile(this.inputsPath(job.id), 'utf8'));
+      job.cards.forEach(card => { card.input = inputs[card.index]; });
+      return true;
+    } catch (error) {
+      logger.error('could not load inputs of interrupted job', { runId: job.id, error });
+      job.status = 'failed';
+      job.error = 'Card inputs were lost across the restart - queue the batch again';
+      job.completedAt = new Date().toISOString();
+      return false;
+    }
+  }
+
+  inputsPath(jobId) {
+    return path.join(this.inputsDir, `${jobId}.json`);
+  }
+
+  async writeInputs(job) {
+    await fs.mkdir(this.inputsDir, { recursive: true });
+    await fs.writeFile(this.inputsPath(job.id), JSON.stringify(job.cards.map(card => card.input)));
+  }
+
+  // Add a batch to the queue and return the job record;
+  // `options` are request-wide settings kept with the job (e.g. sheet write-back)
+  async enqueue(cards, options = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      options,
+      // The request that queued it, so the job's log lines can be traced back
+      requestId: getLogContext().requestId || null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      error: null,
+      cards: cards.map((card, index) => ({
+        index,
+        status: 'pending',
+        input: card,
+        result: null
+      }))
+    };
+
+    await this.writeInputs(job);
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    await this.save();
+
+    logger.info('queued job', { runId: job.id, cards: cards.length });
+    this.drain();
+
+    return this.describe(job);
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.describe(job) : null;
+  }
+
+  // Public view of a job with progress counters
+  describe(job) {
+    const count = status => job.cards.filter(card => card.status === status).length;
+    const completed = count('completed');
+    const failed = count('failed');
+
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      error: job.error,
+      options: job.options || {},
+      progress: {
+        total: job.cards.length,
+        done: completed + failed,
+        successful: completed,
+        failed,
+        pending: count('pending') + count('processing')
+      },
+      cards: job.cards.map(card => ({
+        index: card.index,
+        status: card.status,
+        result: card.result
+      }))
+    };
+  }
+
+  // Process queued jobs one at a time
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const job = this.jobs.get(this.queue.shift());
+        if (job) await this.runJob(job);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Log lines of the job carry its run ID and the request that queued it -
+  // not the request that happened to start the queue draining
+  runJob(job) {
+    return withLogContext({ requestId: job.requestId || null, runId: job.id }, () => this.processJob(job));
+  }
+
+  async processJob(job) {
+    logger.info('starting job', { cards: job.cards.length });
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.save();
+    await this.notify('start', this.onJobStart, job, this.describe(job));
+
+    const remaining = job.cards.filter(card => card.status === 'pending');
+
+    try {
+      await this.automation.processBatch(remaining.map(card => card.input), {
+        indexes: remaining.map(card => card.index),
+        onCardStart: i => {
+          remaining[i].status = 'processing';
+          this.saveSoon();
+        },
+        onCardComplete: (i, result) => {
+          remaining[i].status = result.success ? 'completed' : 'failed';
+          remaining[i].result = result;
+          this.saveSoon();
+          this.notify('card', this.onCardComplete, job, job.id, remaining[i]);
+        }
+      });
+      job.status = 'completed';
+    } catch (error) {
+      logger.error('job failed', { error });
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.completedAt = new Date().toISOString();
+    // The inputs aren't needed once every card has its result
+    job.cards.forEach(card => { delete card.input; });
+    this.prune();
+    await this.save();
+    await this.removeInputs(job.id);
+
+    await this.notify('completion', this.onJobComplete, job, this.describe(job));
+  }
+
+  async removeInputs(jobId) {
+    try {
+      await fs.rm(this.inputsPath(jobId), { force: true });
+    } catch (error) {
+      logger.error('could not remove job inputs', { runId: jobId, error });
+    }
+  }
+
+  // Run a hook without letting its failure affect the job
+  async notify(name, hook, job, ...args) {
+    if (!hook) return;
+    try {
+      await hook(...args);
+    } catch (error) {
+      logger.error(`job ${name} handler failed`, { runId: job.id, error });
+    }
+  }
+
+  // Drop the oldest finished jobs beyond the history limit
+  prune() {
+    const finished = [...this.jobs.values()]
+      .filter(job => job.status === 'completed' || job.status === 'failed')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    finished
+      .slice(0, Math.max(0, finished.length - this.historyLimit))
+      .forEach(job => this.jobs.delete(job.id));
+  }
+
+  // Save within saveInterval, together with whatever else changes meanwhile
+  saveSoon() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.saveInterval);
+    this.saveTimer.unref();
+  }
+
+  // Serialize writes so concurrent updates never interleave on disk;
+  // calls made while a write is waiting to start share that write
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    if (!this.queuedSave) {
+      this.queuedSave = this.saving.then(() => {
+        this.queuedSave = null;
+        return this.write();
+      });
+      this.saving = this.queuedSave;
+    }
+    return this.queuedSave;
+  }
+
+  async write() {
+    try {
+      const tmpPath = `${this.filePath}.tmp`;
+      const stored = [...this.jobs.values()].map(job => ({
+        ...job,
+        options: this.storedOptions(job.options || {}),
+        cards: job.cards.map(({ input, ...card }) => card)
+      }));
+      await fs.writeFile(tmpPath, JSON.stringify(stored, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error('failed to save jobs file', { error });
+    }
+  }
+}
+
+module.exports = JobQueue;
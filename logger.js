@@ -0,0 +1,191 @@
+// logger.js
+// Structured logging: one JSON object per line, with levels, correlation IDs and redaction
+//
+// Every line carries the context it was logged in - the request ID of the HTTP
+// request, the run (job) ID and the card index of the card being rendered - so
+// lines from concurrent batches can be told apart. The context follows async
+// calls (AsyncLocalStorage); set it with withLogContext().
+//
+//   LOG_LEVEL   debug | info | warn | error (default info)
+//   LOG_FORMAT  json (default) | pretty, a one-line human format for local use
+//   LOG_OUTPUT  stdout (default: debug/info on stdout, warn/error on stderr) |
+//               stderr (everything on stderr, e.g. when stdout carries results)
+//
+// Tokens, API keys and secrets are redacted from fields by name and from any
+// string that contains them (Bearer tokens, fk_ API keys, the Cloudinary URL
+// secret, PEM private keys and the values of the secret settings below).
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+const LOG_OUTPUT = process.env.LOG_OUTPUT === 'stderr' ? 'stderr' : 'stdout';
+
+// Context fields, in the order they're printed
+const CONTEXT_FIELDS = ['requestId', 'runId', 'cardIndex'];
+
+// Field names whose values are never logged (compared lowercase, without - and _)
+const REDACTED_FIELDS = new Set([
+  'authorization', 'token', 'authtoken', 'accesstoken', 'figmatoken', 'xfigmatoken',
+  'apikey', 'xapikey', 'apisecret', 'secret', 'secretaccesskey', 'password',
+  'signature', 'cookie', 'cloudinaryurl', 'privatekey', 's3secretaccesskey'
+]);
+// Settings whose values are redacted wherever they turn up
+const SECRET_SETTINGS = ['FIGMA_TOKEN', 'AUTH_TOKEN', 'WEBHOOK_SECRET', 'S3_SECRET_ACCESS_KEY', 'GOOGLE_SERVICE_ACCOUNT_JSON'];
+const REDACTED = '[REDACTED]';
+
+const storage = new AsyncLocalStorage();
+
+// Run `fn` with `fields` added to the log context of everything it does
+function withLogContext(fields, fn) {
+  return storage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+function getLogContext() {
+  return storage.getStore() || {};
+}
+
+// Values of the secret settings, read per call so a later .env still applies
+function secretValues() {
+  const values = SECRET_SETTINGS.map(name => process.env[name]);
+  const cloudinary = /^cloudinary:\/\/[^:]+:([^@]+)@/.exec(process.env.CLOUDINARY_URL || '');
+  if (cloudinary) values.push(cloudinary[1]);
+  return values.filter(value => value && value.length >= 4);
+}
+
+function redactString(text) {
+  let redacted = text
+    .replace(/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`)
+    .replace(/\b(fk_[0-9a-f]{12}_)[A-Za-z0-9_-]+/g, `$1${REDACTED}`)
+    .replace(/(cloudinary:\/\/[^:\s]+:)[^@\s]+@/g, `$1${REDACTED}@`)
+    .replace(/-----BEGIN ([A-Z ]*)PRIVATE KEY-----[\s\S]*?-----END \1PRIVATE KEY-----/g, REDACTED);
+  secretValues().forEach(secret => {
+    redacted = redacted.split(secret).join(REDACTED);
+  });
+  return redacted;
+}
+
+// Errors keep what helps debugging - never the request config, which holds headers
+function serializeError(error) {
+  const serialized = { name: error.name, message: redactString(String(error.message)) };
+  if (error.code) serialized.code = error.code;
+  if (error.response && error.response.status) serialized.status = error.response.status;
+  if (!error.response && error.stack) serialized.stack = redactString(error.stack);
+  return serialized;
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+  if (depth >= 6) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    REDACTED_FIELDS.has(key.toLowerCase().replace(/[-_]/g, '')) && item ? REDACTED : redact(item, depth + 1)
+  ]));
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const context = CONTEXT_FIELDS
+    .filter(name => fields[name] !== undefined)
+    .map(name => `${name}=${fields[name]}`);
+  CONTEXT_FIELDS.forEach(name => delete fields[name]);
+  const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time.substring(11, 23)} ${level.toUpperCase().padEnd(5)}${context.length > 0 ? ` [${context.join(' ')}]` : ''} ${msg}${details}`;
+}
+
+class Logger {
+  // `bindings` are added to every line, e.g. { component: 'job-queue' }
+  constructor(bindings = {}, level = LOG_LEVEL) {
+    this.bindings = bindings;
+    this.level = level;
+  }
+
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, this.level);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  // `fields` may include `error`, which is reduced to name, message, code and status
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const context = Object.fromEntries(
+      Object.entries(getLogContext()).filter(([, value]) => value !== undefined && value !== null)
+    );
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...context,
+      ...this.bindings,
+      ...fields
+    });
+    const line = LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+
+    // Looked up per call so tests can capture or silence the output
+    if (LOG_OUTPUT === 'stderr' || LEVELS[level] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+}
+
+const logger = new Logger();
+
+// Accept a caller's X-Request-Id (if it looks like an ID) or make one, return it
+// on the response, run the rest of the request in its log context and log the
+// request when it finishes
+function requestLogger() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const started = Date.now();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    storage.run({ requestId }, () => {
+      res.on('finish', () => {
+        const fields = {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          durationMs: Date.now() - started
+        };
+        if (req.apiKey) {
+          fields.keyId = req.apiKey.id;
+          fields.keyName = req.apiKey.name;
+        }
+        logger.log(res.statusCode >= 500 ? 'error' : 'info', 'request completed', { requestId, ...fields });
+      });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  LOG_FORMAT,
+  LOG_LEVEL,
+  Logger,
+  getLogContext,
+  logger,
+  redact,
+  requestLogger,
+  withLogContext
+};
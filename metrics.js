@@ -0,0 +1,184 @@
+// metrics.js
+// Prometheus metrics for the rendering pipeline, served as text at GET /metrics
+//
+// Everything lives in one registry with a common prefix (METRICS_PREFIX):
+//   stage_duration_seconds{stage,result}       export, download, overlay, encode, upload
+//   cards_total{template,result,error_class}   finished cards (result: success | failure)
+//   upstream_responses_total{service,operation,status}
+//                                              every Figma/Cloudinary/S3 response, per attempt;
+//                                              status is the HTTP code or 'error' without one
+//   cache_lookups_total{cache,result}          base-image and render cache hits/misses
+//   cache_hit_ratio{cache}                     hits / (hits + misses) since start
+//   queue_jobs{status}, queue_cards_pending    background job queue depth
+// plus the default Node.js process metrics.
+// Figma throttling shows up as upstream_responses_total{service="figma",status="429"}.
+
+const client = require('prom-client');
+
+const METRICS_PREFIX = process.env.METRICS_PREFIX || 'figma_cards_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: METRICS_PREFIX });
+
+const stageDuration = new client.Histogram({
+  name: `${METRICS_PREFIX}stage_duration_seconds`,
+  help: 'Time spent in each rendering stage',
+  labelNames: ['stage', 'result'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+const cardsProcessed = new client.Counter({
+  name: `${METRICS_PREFIX}cards_total`,
+  help: 'Cards processed, by template, result and error class',
+  labelNames: ['template', 'result', 'error_class'],
+  registers: [register]
+});
+
+const upstreamResponses = new client.Counter({
+  name: `${METRICS_PREFIX}upstream_responses_total`,
+  help: 'Responses from Figma, Cloudinary and S3 by HTTP status',
+  labelNames: ['service', 'operation', 'status'],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: `${METRICS_PREFIX}cache_lookups_total`,
+  help: 'Cache lookups by cache and result (hit, miss, forced)',
+  labelNames: ['cache', 'result'],
+  registers: [register]
+});
+
+// Worked out from the lookup counters when scraped
+new client.Gauge({
+  name: `${METRICS_PREFIX}cache_hit_ratio`,
+  help: 'Share of cache lookups served from the cache since start',
+  labelNames: ['cache'],
+  registers: [register],
+  async collect() {
+    const lookups = {};
+    (await cacheLookups.get()).values.forEach(({ labels, value }) => {
+      const counts = lookups[labels.cache] || (lookups[labels.cache] = { hit: 0, total: 0 });
+      if (labels.result === 'hit') counts.hit += value;
+      if (labels.result !== 'forced') counts.total += value;
+    });
+    Object.entries(lookups).forEach(([cache, { hit, total }]) => {
+      this.set({ cache }, total > 0 ? hit / total : 0);
+    });
+  }
+});
+
+// Job queues whose depth is reported; see trackJobQueue()
+const jobQueues = new Set();
+
+new client.Gauge({
+  name: `${METRICS_PREFIX}queue_jobs`,
+  help: 'Background jobs waiting or running',
+  labelNames: ['status'],
+  registers: [register],
+  collect() {
+    const counts = { queued: 0, running: 0 };
+    jobQueues.forEach(queue => {
+      queue.jobs.forEach(job => {
+        if (counts[job.status] !== undefined) counts[job.status]++;
+      });
+    });
+    Object.entries(counts).forEach(([status, count]) => this.set({ status }, count));
+  }
+});
+
+new client.Gauge({
+  name: `${METRICS_PREFIX}queue_cards_pending`,
+  help: 'Cards of queued or running jobs not yet processed',
+  registers: [register],
+  collect() {
+    let pending = 0;
+    jobQueues.forEach(queue => {
+      queue.jobs.forEach(job => {
+        if (job.status !== 'queued' && job.status !== 'running') return;
+        pending += job.cards.filter(card => card.status === 'pending' || card.status === 'processing').length;
+      });
+    });
+    this.set(pending);
+  }
+});
+
+function trackJobQueue(queue) {
+  jobQueues.add(queue);
+}
+
+// Run `fn` as one pipeline stage and record how long it took
+async function timeStage(stage, fn) {
+  const end = stageDuration.startTimer({ stage });
+  try {
+    const result = await fn();
+    end({ result: 'success' });
+    return result;
+  } catch (error) {
+    end({ result: 'failure' });
+    throw error;
+  }
+}
+
+// Count the status of one upstream HTTP call (an axios request) and pass it through
+async function observeRequest(service, operation, request) {
+  try {
+    const response = await request();
+    upstreamResponses.inc({ service, operation, status: String(response.status) });
+    return response;
+  } catch (error) {
+    const status = error.response ? String(error.response.status) : 'error';
+    upstreamResponses.inc({ service, operation, status });
+    throw error;
+  }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+// Coarse reason a card failed, small enough to use as a label
+function errorClass(error) {
+  const status = error.response && error.response.status;
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'http_5xx';
+  if (status >= 400) return 'http_4xx';
+  if (TIMEOUT_ERROR_CODES.includes(error.code)) return 'timeout';
+  if (NETWORK_ERROR_CODES.includes(error.code)) return 'network';
+  return 'other';
+}
+
+function recordCard(template, error = null) {
+  cardsProcessed.inc({
+    template,
+    result: error ? 'failure' : 'success',
+    error_class: error ? errorClass(error) : 'none'
+  });
+}
+
+function recordCacheLookup(cache, result) {
+  cacheLookups.inc({ cache, result });
+}
+
+// GET /metrics in the Prometheus text format
+function metricsHandler() {
+  return async (req, res, next) => {
+    try {
+      res.set('Content-Type', register.contentType);
+      res.send(await register.metrics());
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  METRICS_PREFIX,
+  register,
+  errorClass,
+  metricsHandler,
+  observeRequest,
+  recordCacheLookup,
+  recordCard,
+  timeStage,
+  trackJobQueue
+};
@@ -0,0 +1,146 @@
+// render_cache.js
+// Content-addressed index of finished renders: render hash -> stored outputs
+//
+// The hash covers everything that changes the pixels or where they're stored
+// (template version, zones, fields, images, renditions, storage, renderer
+// version), so an identical card reuses its earlier upload instead of rendering again.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { recordCacheLookup } = require('./metrics');
+const { logger: rootLogger } = require('./logger');
+
+const RENDER_CACHE_FILE = process.env.RENDER_CACHE_FILE || path.join(__dirname, 'cache', 'renders.json');
+const RENDER_CACHE_MAX_ENTRIES = parseInt(process.env.RENDER_CACHE_MAX_ENTRIES, 10) || 5000;
+
+const logger = rootLogger.child({ component: 'render-cache' });
+
+// Key order doesn't matter for the hash
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .reduce((sorted, key) => ({ ...sorted, [key]: canonicalize(value[key]) }), {});
+  }
+  return value;
+}
+
+class RenderCache {
+  constructor(options = {}) {
+    this.filePath = options.filePath || RENDER_CACHE_FILE;
+    this.maxEntries = options.maxEntries || RENDER_CACHE_MAX_ENTRIES;
+    this.entries = null;
+    this.inFlight = new Map();
+    this.saving = Promise.resolve();
+    this.stats = { hits: 0, misses: 0, forced: 0 };
+  }
+
+  keyFor(parts) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(canonicalize(parts)))
+      .digest('hex');
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+
+    this.entries = new Map();
+    try {
+      const stored = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      Object.entries(stored).forEach(([key, entry]) => this.entries.set(key, entry));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('could not load render cache', { error });
+      }
+    }
+    return this.entries;
+  }
+
+  // Return the earlier render for `key` or produce it once, even if several
+  // identical cards ask at the same time. `force` skips the lookup but still
+  // records the fresh render.
+  async getOrCreate(key, factory, { force = false } = {}) {
+    const entries = await this.load();
+
+    if (!force && entries.has(key)) {
+      this.stats.hits++;
+      recordCacheLookup('render', 'hit');
+      return { entry: entries.get(key), cached: true };
+    }
+
+    if (!force && this.inFlight.has(key)) {
+      this.stats.hits++;
+      recordCacheLookup('render', 'hit');
+      return { entry: await this.inFlight.get(key), cached: true };
+    }
+
+    this.stats[force ? 'forced' : 'misses']++;
+    recordCacheLookup('render', force ? 'forced' : 'miss');
+    const pending = (async () => {
+      const entry = { ...(await factory()), key, createdAt: new Date().toISOString() };
+      await this.set(key, entry);
+      return entry;
+    })();
+
+    this.inFlight.set(key, pending);
+    try {
+      return { entry: await pending, cached: false };
+    } finally {
+      if (this.inFlight.get(key) === pending) this.inFlight.delete(key);
+    }
+  }
+
+  async set(key, entry) {
+    const entries = await this.load();
+    // Re-insert so Map order stays oldest-first for eviction
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > this.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return this.save();
+  }
+
+  // Forget everything, or only entries for one template
+  async purge(filter = {}) {
+    const entries = await this.load();
+    const matches = [...entries.entries()]
+      .filter(([, entry]) => !filter.template || entry.template === filter.template)
+      .map(([key]) => key);
+
+    matches.forEach(key => entries.delete(key));
+    await this.save();
+    return matches.length;
+  }
+
+  // Serialize writes so concurrent renders never interleave on disk
+  save() {
+    this.saving = this.saving
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+        await fs.rename(tmpPath, this.filePath);
+      })
+      .catch(error => {
+        // The index is best effort - a lost entry only means one extra render
+        logger.error('failed to save render cache', { error });
+      });
+    return this.saving;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      entries: this.entries ? this.entries.size : 0
+    };
+  }
+}
+
+module.exports = RenderCache;
@@ -0,0 +1,157 @@
+// renditions.js
+// Encode a rendered card into the output formats and sizes a template or request asks for
+//
+// A rendition is { name, format, width, height, scale, quality, fit, position, background }.
+// `scale` is relative to the Figma design size (1x), like Figma's own export
+// scale; `width`/`height` are exact pixels and win over `scale`. Requests are
+// held to Figma's 4x export limit and RENDITION_MAX_DIMENSION pixels a side, so
+// a card can't ask sharp for an enormous image.
+
+const sharp = require('sharp');
+
+const FORMATS = {
+  png: { contentType: 'image/png', extension: 'png' },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+  avif: { contentType: 'image/avif', extension: 'avif' }
+};
+
+const FIT_MODES = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// Figma's images endpoint accepts scales up to 4
+const MAX_SCALE = 4;
+const RENDITION_MAX_DIMENSION = parseInt(process.env.RENDITION_MAX_DIMENSION, 10) || 8192;
+
+// Matches the original single-PNG output
+const DEFAULT_RENDITIONS = [
+  { name: 'original', format: 'png' }
+];
+
+const DEFAULT_QUALITY = {
+  png: 95,
+  jpeg: 85,
+  webp: 85,
+  avif: 60
+};
+
+const normalizeFormat = (format) => {
+  const value = String(format || 'png').toLowerCase();
+  return value === 'jpg' ? 'jpeg' : value;
+};
+
+// List every problem with a renditions array
+function validateRenditions(renditions, path = 'renditions') {
+  if (!Array.isArray(renditions) || renditions.length === 0) {
+    return [`${path} must be a non-empty array`];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  renditions.forEach((rendition, i) => {
+    const where = `${path}[${i}]`;
+    if (!rendition || typeof rendition !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    const name = rendition.name || `r${i}`;
+    if (names.has(name)) errors.push(`${where} duplicates rendition name '${name}'`);
+    names.add(name);
+
+    errors.push(...validateRendition(rendition, where));
+  });
+
+  return errors;
+}
+
+// Format, size and quality checks for one rendition
+function validateRendition(rendition, where = 'rendition') {
+  const errors = [];
+  if (!FORMATS[normalizeFormat(rendition.format)]) {
+    errors.push(`${where} has unsupported format '${rendition.format}' (use ${Object.keys(FORMATS).join(', ')})`);
+  }
+  ['width', 'height', 'scale'].forEach(key => {
+    if (rendition[key] !== undefined && !(Number(rendition[key]) > 0)) {
+      errors.push(`${where}.${key} must be a positive number`);
+    }
+  });
+  ['width', 'height'].forEach(key => {
+    if (Number(rendition[key]) > RENDITION_MAX_DIMENSION) {
+      errors.push(`${where}.${key} must be at most ${RENDITION_MAX_DIMENSION} pixels`);
+    }
+  });
+  if (Number(rendition.scale) > MAX_SCALE) {
+    errors.push(`${where}.scale must be at most ${MAX_SCALE}`);
+  }
+  if (rendition.quality !== undefined && !(rendition.quality >= 1 && rendition.quality <= 100)) {
+    errors.push(`${where}.quality must be between 1 and 100`);
+  }
+  if (rendition.fit !== undefined && !FIT_MODES.includes(rendition.fit)) {
+    errors.push(`${where}.fit must be one of ${FIT_MODES.join(', ')}`);
+  }
+  return errors;
+}
+
+// Highest scale any rendition needs, so the Figma export is never upscaled.
+// Template renditions aren't validated, so this clamps to MAX_SCALE as well
+function getExportScale(renditions, defaultScale = 2) {
+  const scales = renditions.map(rendition => Number(rendition.scale) || 0);
+  return Math.min(MAX_SCALE, Math.max(defaultScale, ...scales));
+}
+
+// Encode one rendition. `exportScale` is the scale the source was exported at.
+async function renderRendition(imageBuffer, rendition, exportScale, index = 0) {
+  const format = normalizeFormat(rendition.format);
+  const { contentType, extension } = FORMATS[format];
+  const quality = rendition.quality || DEFAULT_QUALITY[format];
+
+  let pipeline = sharp(imageBuffer);
+
+  if (rendition.width || rendition.height) {
+    const side = value => (value ? Math.min(Number(value), RENDITION_MAX_DIMENSION) : null);
+    pipeline = pipeline.resize(side(rendition.width), side(rendition.height), {
+      fit: rendition.fit || 'cover',
+      position: rendition.position || 'centre',
+      background: rendition.background || { r: 255, g: 255, b: 255, alpha: 1 }
+    });
+  } else if (rendition.scale && Math.min(rendition.scale, MAX_SCALE) !== exportScale) {
+    const { width } = await sharp(imageBuffer).metadata();
+    pipeline = pipeline.resize(Math.round(width * Math.min(rendition.scale, MAX_SCALE) / exportScale));
+  }
+
+  if (format === 'png') {
+    pipeline = pipeline.png({ quality, compressionLevel: rendition.compressionLevel || 8 });
+  } else if (format === 'jpeg') {
+    // JPEG has no alpha - flatten onto the background
+    pipeline = pipeline
+      .flatten({ background: rendition.background || '#ffffff' })
+      .jpeg({ quality, mozjpeg: true });
+  } else if (format === 'webp') {
+    pipeline = pipeline.webp({ quality, lossless: Boolean(rendition.lossless) });
+  } else {
+    pipeline = pipeline.avif({ quality, effort: rendition.effort || 4 });
+  }
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+
+  return {
+    name: rendition.name || `r${index}`,
+    format,
+    contentType,
+    extension,
+    width: info.width,
+    height: info.height,
+    bytes: data.length,
+    buffer: data
+  };
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_RENDITIONS,
+  validateRenditions,
+  validateRendition,
+  getExportScale,
+  renderRendition
+};
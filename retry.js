@@ -0,0 +1,83 @@
+// retry.js
+// Retry helper with exponential backoff, jitter and Retry-After support
+
+const { logger } = require('./logger');
+
+const RETRY_ATTEMPTS = parseInt(process.env.RETRY_ATTEMPTS, 10) || 4;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 500;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 30000;
+
+const RETRYABLE_STATUSES = [408, 420, 429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network failures and throttling/server errors are worth another try,
+// anything else (bad token, missing node, invalid config) is not
+function isRetryable(error) {
+  if (error.retryable !== undefined) {
+    return error.retryable;
+  }
+  if (error.isAxiosError) {
+    return !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return false;
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function getRetryAfterMs(error) {
+  const header = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter, overridden by Retry-After when present.
+// Either way the wait never exceeds maxDelay, whatever the upstream asks for
+function getRetryDelay(error, attempt, baseDelay, maxDelay) {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, maxDelay);
+  }
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+async function withRetry(fn, options = {}) {
+  const {
+    attempts = RETRY_ATTEMPTS,
+    baseDelay = RETRY_BASE_DELAY_MS,
+    maxDelay = RETRY_MAX_DELAY_MS,
+    label = 'Request',
+    onAttempt
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    if (onAttempt) onAttempt(attempt);
+
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, baseDelay, maxDelay);
+      logger.warn(`${label} failed - retrying`, { attempt, attempts, delayMs: delay, error });
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isRetryable,
+  getRetryAfterMs,
+  getRetryDelay,
+  sleep
+};
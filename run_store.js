@@ -0,0 +1,259 @@
+// run_store.js
+// Durable history of every run and card, kept as an append-only JSON Lines log
+//
+// Each line is one event; replaying them rebuilds the in-memory index:
+//   { type: 'run',      run: { id, engine, source, status, createdAt, options, total } }
+//   { type: 'card',     runId, card: { index, status, input, result, durationMs, completedAt } }
+//   { type: 'finish',   runId, status, error, completedAt }
+// Appends are serialized, so concurrent runs never interleave or overwrite each other.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger: rootLogger } = require('./logger');
+
+const RUNS_FILE = process.env.RUNS_FILE || path.join(__dirname, 'runs.jsonl');
+const RUNS_PAGE_LIMIT = 100;
+
+const logger = rootLogger.child({ component: 'run-store' });
+
+class RunStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || RUNS_FILE;
+    this.runs = new Map();
+    this.writing = Promise.resolve();
+    this.loaded = null;
+  }
+
+  // Replay the log; safe to call more than once
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.replay();
+    }
+    return this.loaded;
+  }
+
+  async replay() {
+    let content = '';
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('could not load run history', { error });
+      }
+      return;
+    }
+
+    let skipped = 0;
+    content.split('\n').filter(Boolean).forEach(line => {
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-write can leave a partial last line
+        skipped++;
+      }
+    });
+
+    logger.info('loaded run history', { runs: this.runs.size, skippedLines: skipped });
+  }
+
+  apply(event) {
+    if (event.type === 'run') {
+      const existing = this.runs.get(event.run.id);
+      this.runs.set(event.run.id, {
+        ...event.run,
+        cards: existing ? existing.cards : [],
+        completedAt: null,
+        error: null
+      });
+    } else if (event.type === 'card') {
+      const run = this.runs.get(event.runId);
+      if (!run) return;
+      run.cards = run.cards.filter(card => card.index !== event.card.index);
+      run.cards.push(event.card);
+    } else if (event.type === 'finish') {
+      const run = this.runs.get(event.runId);
+      if (!run) return;
+      run.status = event.status;
+      run.error = event.error || null;
+      run.completedAt = event.completedAt;
+    }
+  }
+
+  append(event) {
+    this.apply(event);
+    this.writing = this.writing
+      .then(() => fs.appendFile(this.filePath, JSON.stringify(event) + '\n'))
+      .catch(error => {
+        logger.error('failed to write run history', { error });
+      });
+    return this.writing;
+  }
+
+  // Record a new run (or a resumed one - cards already recorded are kept)
+  startRun({ id, engine, source = 'json', options = {}, total, createdAt }) {
+    return this.append({
+      type: 'run',
+      run: {
+        id,
+        engine,
+        source,
+        status: 'running',
+        createdAt: createdAt || new Date().toISOString(),
+        options,
+        total
+      }
+    });
+  }
+
+  recordCard(runId, { index, input, result, durationMs }) {
+    return this.append({
+      type: 'card',
+      runId,
+      card: {
+        index,
+        status: result && (result.success || result.status === 'success') ? 'success' : 'failed',
+        input,
+        result,
+        durationMs: durationMs !== undefined ? durationMs : (result && result.durationMs) || null,
+        completedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  finishRun(runId, { status = 'completed', error = null } = {}) {
+    return this.append({
+      type: 'finish',
+      runId,
+      status,
+      error,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  // Public view of a run without its cards
+  summarize(run) {
+    const successful = run.cards.filter(card => card.status === 'success').length;
+    const templates = [...new Set(run.cards.map(card => card.input && card.input.template).filter(Boolean))];
+
+    return {
+      id: run.id,
+      engine: run.engine,
+      source: run.source,
+      status: run.status,
+      error: run.error,
+      createdAt: run.createdAt,
+      completedAt: run.completedAt,
+      durationMs: run.completedAt ? Date.parse(run.completedAt) - Date.parse(run.createdAt) : null,
+      options: run.options,
+      templates,
+      summary: {
+        total: run.total !== undefined ? run.total : run.cards.length,
+        recorded: run.cards.length,
+        successful,
+        failed: run.cards.length - successful
+      }
+    };
+  }
+
+  // Newest first; filters: status, engine, source, template, since, until
+  listRuns(filters = {}) {
+    const { offset, limit } = paging(filters);
+    const since = filters.since ? Date.parse(filters.since) : null;
+    const until = filters.until ? Date.parse(filters.until) : null;
+
+    const matching = [...this.runs.values()]
+      .filter(run => !filters.status || run.status === filters.status)
+      .filter(run => !filters.engine || run.engine === filters.engine)
+      .filter(run => !filters.source || run.source === filters.source)
+      .filter(run => !filters.template || run.cards.some(card => card.input && card.input.template === filters.template))
+      .filter(run => since === null || Date.parse(run.createdAt) >= since)
+      .filter(run => until === null || Date.parse(run.createdAt) <= until)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: matching.length,
+      offset,
+      limit,
+      runs: matching.slice(offset, offset + limit).map(run => this.summarize(run))
+    };
+  }
+
+  getRun(id) {
+    const run = this.runs.get(id);
+    return run ? this.summarize(run) : null;
+  }
+
+  // Card results in index order; filter by status ('success' | 'failed')
+  getCards(id, filters = {}) {
+    const run = this.runs.get(id);
+    if (!run) return null;
+
+    const { offset, limit } = paging(filters);
+    const matching = run.cards
+      .filter(card => !filters.status || card.status === filters.status)
+      .sort((a, b) => a.index - b.index);
+
+    return {
+      total: matching.length,
+      offset,
+      limit,
+      cards: matching.slice(offset, offset + limit)
+    };
+  }
+
+  // Results of the newest finished run, for the legacy "latest results" endpoints
+  latestResults(filters = {}) {
+    const latest = [...this.runs.values()]
+      .filter(run => run.completedAt)
+      .filter(run => !filters.engine || run.engine === filters.engine)
+      .sort((a, b) => b.completedAt.localeCompare(a.completedAt))[0];
+
+    if (!latest) return null;
+    return {
+      run: this.summarize(latest),
+      results: [...latest.cards].sort((a, b) => a.index - b.index).map(card => card.result)
+    };
+  }
+}
+
+function paging({ offset, limit }) {
+  return {
+    offset: Math.max(0, parseInt(offset, 10) || 0),
+    limit: Math.min(RUNS_PAGE_LIMIT, Math.max(1, parseInt(limit, 10) || 20))
+  };
+}
+
+// GET /, /:id and /:id/cards for a run store, mounted by both servers;
+// `authorize(scope)` returns the middleware that guards a route
+function runsRouter(express, store, authorize) {
+  const router = express.Router();
+  const read = authorize('read-results');
+
+  router.get('/', read, (req, res) => {
+    res.json({ success: true, ...store.listRuns(req.query) });
+  });
+
+  router.get('/:id', read, (req, res) => {
+    const run = store.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    res.json({ success: true, run });
+  });
+
+  router.get('/:id/cards', read, (req, res) => {
+    const page = store.getCards(req.params.id, req.query);
+    if (!page) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    res.json({ success: true, runId: req.params.id, ...page });
+  });
+
+  return router;
+}
+
+module.exports = {
+  RUNS_FILE,
+  RunStore,
+  runsRouter
+};
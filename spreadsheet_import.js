@@ -0,0 +1,197 @@
+// spreadsheet_import.js
+// Turn an uploaded CSV/XLSX file into cards, with row-numbered validation errors
+//
+// The first row holds column headers. Each header maps to a card property:
+//   template            the row's template (falls back to the upload's default)
+//   images.<slot>       an image slot
+//   fields.<name>       a text field; a bare name works too, and the legacy
+//                       header/promo spellings go through normalizeCard's aliases
+// A mapping ("Headline=header,Photo=images.product") renames headers first;
+// map a header to an empty value to ignore it.
+//
+// CSV goes through csv-parse and XLSX through exceljs; the legacy binary .xls
+// format isn't read - save it as .xlsx or .csv first.
+
+const multer = require('multer');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { LEGACY_FIELD_ALIASES, normalizeCard, parseBatchPayload, validateBatchOptions, validateCard } = require('./card_fields');
+const { getTemplateSlots } = require('./template_config');
+
+const IMPORT_MAX_BYTES = parseInt(process.env.IMPORT_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+// Default header mapping for every upload, same format as the `mapping` form field
+const IMPORT_COLUMN_MAP = process.env.IMPORT_COLUMN_MAP || '';
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const LEGACY_ALIASES = Object.values(LEGACY_FIELD_ALIASES).flat();
+
+// Accepts a JSON object or "Header=target,Other=target"
+function parseColumnMap(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  const text = String(value).trim();
+  if (text.startsWith('{')) return JSON.parse(text);
+
+  return text
+    .split(',')
+    .map(pair => pair.split('='))
+    .filter(([header]) => header && header.trim())
+    .reduce((map, [header, target = '']) => ({ ...map, [header.trim()]: target.trim() }), {});
+}
+
+// Displayed text of an XLSX cell; dates as YYYY-MM-DD rather than Date#toString()
+function cellText(cell) {
+  if (cell.value instanceof Date) return cell.value.toISOString().slice(0, 10);
+  return cell.text;
+}
+
+// Read the first (or named) worksheet as rows of strings. CSV values stay as
+// typed, so "1/2" or "007" aren't turned into dates and numbers
+async function readRows(buffer, filename, worksheet) {
+  if (path.extname(filename || '').toLowerCase() === '.csv') {
+    return parseCsv(buffer, { bom: true, relax_column_count: true, relax_quotes: true })
+      .map(row => row.map(value => value.trim()));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheetNames = workbook.worksheets.map(sheet => sheet.name);
+  const sheetName = worksheet || sheetNames[0];
+  const sheet = workbook.getWorksheet(sheetName);
+  if (!sheet) {
+    throw new Error(`Worksheet '${sheetName}' not found (available: ${sheetNames.join(', ')})`);
+  }
+
+  const rows = [];
+  for (let r = 1; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    const values = [];
+    for (let c = 1; c <= sheet.columnCount; c++) {
+      values.push(cellText(row.getCell(c)).trim());
+    }
+    rows.push(values);
+  }
+  return rows;
+}
+
+// Columns a template can use, plus the names normalizeCard understands
+function knownColumns(template) {
+  const slots = getTemplateSlots(template);
+  if (!slots) return null;
+  return [...slots.all, ...LEGACY_ALIASES];
+}
+
+// One row -> card; `row` is the sheet row number for errors and write-back
+function rowToCard(headers, values, row, options) {
+  const card = { template: options.template || 'default', fields: {}, images: {}, row };
+  const cells = [];
+
+  headers.forEach((header, i) => {
+    const value = values[i];
+    if (!header || value === undefined || value === '') return;
+
+    if (header === 'template') card.template = value;
+    else cells.push([header, value]);
+  });
+
+  const known = knownColumns(card.template) || [];
+  const ignored = [];
+
+  cells.forEach(([header, value]) => {
+    if (header.startsWith('images.')) {
+      card.images[header.slice('images.'.length)] = value;
+    } else if (header.startsWith('fields.')) {
+      card.fields[header.slice('fields.'.length)] = value;
+    } else if (LEGACY_ALIASES.includes(header)) {
+      card[header] = value;
+    } else if (known.includes(header)) {
+      card.fields[header] = value;
+    } else {
+      ignored.push(header);
+    }
+  });
+
+  return { card, ignored };
+}
+
+// Parse and validate an upload; nothing is rendered here.
+// options: { template, mapping, worksheet, batchOptions } - batchOptions are the
+// request-wide settings ({ renditions, storage, upload, ... }) applied to every row
+async function importSpreadsheet(buffer, filename, options = {}) {
+  const rows = await readRows(buffer, filename, options.worksheet);
+  if (rows.length === 0) {
+    return { cards: [], errors: ['Spreadsheet is empty'], ignoredColumns: [] };
+  }
+
+  const mapping = { ...parseColumnMap(IMPORT_COLUMN_MAP), ...parseColumnMap(options.mapping) };
+  const headers = rows[0].map(header => (
+    Object.prototype.hasOwnProperty.call(mapping, header) ? mapping[header] : header
+  ));
+
+  const rawCards = [];
+  const ignoredColumns = new Set();
+
+  rows.slice(1).forEach((values, i) => {
+    if (values.every(value => value === '')) return;
+
+    const { card, ignored } = rowToCard(headers, values, i + 2, options);
+    ignored.forEach(header => ignoredColumns.add(header));
+    rawCards.push(card);
+  });
+
+  // The options are checked once, each row before they're copied onto it
+  const errors = [
+    ...validateBatchOptions(options.batchOptions || {}, 'options'),
+    ...rawCards.flatMap(card => validateCard(card).map(error => `Row ${card.row}: ${error}`))
+  ];
+  const { cards: withOptions } = parseBatchPayload({ ...options.batchOptions, cards: rawCards });
+  const cards = withOptions.map(normalizeCard);
+
+  if (cards.length === 0) {
+    errors.push('Spreadsheet has a header row but no data rows');
+  } else if (cards.length > IMPORT_MAX_ROWS) {
+    errors.unshift(`Spreadsheet has ${cards.length} rows (limit ${IMPORT_MAX_ROWS})`);
+  }
+
+  return { cards, errors, ignoredColumns: [...ignoredColumns] };
+}
+
+// multer in memory, answering 400 for bad uploads instead of the generic 500
+function spreadsheetUpload() {
+  const handler = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+        return cb(new Error(`Unsupported file type '${extension || file.mimetype}' (use ${SPREADSHEET_EXTENSIONS.join(', ')})`));
+      }
+      cb(null, true);
+    }
+  }).single('file');
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: "Upload a CSV or XLSX file in the 'file' form field" });
+      }
+      next();
+    });
+  };
+}
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  parseColumnMap,
+  readRows,
+  rowToCard,
+  importSpreadsheet,
+  spreadsheetUpload
+};
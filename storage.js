@@ -0,0 +1,389 @@
+// storage.js
+// Storage adapters shared by both engines: local disk, S3-compatible and Cloudinary
+//
+// Every adapter exposes:
+//   put(buffer, { key, contentType, tags, context, overwrite, invalidate, attempts, retry })
+//     -> { url, key, backend }
+//   missingConfig() -> names of required settings that aren't set
+// `key` is a relative object path such as "figma-cards/spring/sale-hello-3f2a9c01d4.png";
+// backends that don't support tags/context/overwrite ignore them.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { withRetry } = require('./retry');
+const { observeRequest } = require('./metrics');
+const { logger: rootLogger } = require('./logger');
+const cloudinary = require('./cloudinary');
+
+const logger = rootLogger.child({ component: 'storage' });
+
+const STORAGE_BACKEND = process.env.UPLOAD_SERVICE || 'cloudinary';
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'output');
+const LOCAL_STORAGE_BASE_URL = process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 3000}/files`;
+const UPLOAD_FOLDER = process.env.UPLOAD_FOLDER || 'figma-cards';
+// Tokens: {template} {slug} {hash} {campaign} {rendition} {field.<name>}
+const FILENAME_TEMPLATE = process.env.FILENAME_TEMPLATE || '{template}-{slug}-{hash}';
+const FILENAME_TOKENS = ['template', 'slug', 'hash', 'campaign', 'rendition', 'field'];
+
+// Keys become file names and URL paths - keep them relative and tame
+function sanitizeKey(key) {
+  const clean = String(key)
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(segment => segment.replace(/[^\w.-]/g, '_'))
+    .join('/');
+  if (!clean) throw new Error(`Invalid storage key '${key}'`);
+  return clean;
+}
+
+const slugify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 40);
+
+// Same render -> same key, so a re-render replaces the old file. `hash` is the
+// card's render hash, which also covers the renditions, template version and
+// storage - without one, only the template and content are hashed
+function buildObjectKey(card, { rendition, extension = 'png', multiple = false, hash: renderHash } = {}) {
+  const upload = card.upload || {};
+  const fields = card.fields || {};
+  const hash = (renderHash || crypto.createHash('sha1')
+    .update(JSON.stringify({ template: card.template, fields, images: card.images || {} }))
+    .digest('hex'))
+    .substring(0, 10);
+  const vars = {
+    template: card.template,
+    slug: slugify(fields.header || Object.values(fields)[0]) || 'card',
+    hash,
+    campaign: slugify(upload.campaign),
+    rendition: rendition || ''
+  };
+
+  const filenameTemplate = upload.filename || FILENAME_TEMPLATE;
+  let name = filenameTemplate.replace(/\{(\w+)(?:\.(\w+))?\}/g, (token, key, field) => (
+    key === 'field' ? slugify(fields[field]) : (vars[key] || '')
+  )) || `${vars.slug}-${hash}`;
+  // Keep renditions of one card apart even if the template doesn't mention them
+  if (multiple && rendition && !filenameTemplate.includes('{rendition}')) {
+    name += `_${rendition}`;
+  }
+
+  const folder = [upload.folder || UPLOAD_FOLDER, vars.campaign].filter(Boolean).join('/');
+  return `${folder}/${name}.${extension}`;
+}
+
+// Tags and context metadata describing a card, for backends that store them
+function buildUploadMetadata(card, rendition) {
+  const upload = card.upload || {};
+  const tags = ['figma', 'automation', card.template, slugify(upload.campaign), ...(upload.tags || [])];
+  return {
+    tags: [...new Set(tags.filter(Boolean))],
+    context: {
+      template: card.template,
+      campaign: upload.campaign,
+      rendition,
+      ...card.fields,
+      ...(upload.context || {})
+    },
+    overwrite: upload.overwrite,
+    invalidate: upload.invalidate
+  };
+}
+
+// List every problem with a card's `upload` options
+function validateUploadOptions(upload, where = 'upload') {
+  if (!upload || typeof upload !== 'object' || Array.isArray(upload)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  ['campaign', 'folder', 'filename'].forEach(key => {
+    if (upload[key] !== undefined && (typeof upload[key] !== 'string' || upload[key].trim() === '')) {
+      errors.push(`${where}.${key} must be a non-empty string`);
+    }
+  });
+  if (typeof upload.filename === 'string') {
+    (upload.filename.match(/\{[^}]*\}/g) || [])
+      .filter(token => !FILENAME_TOKENS.includes(token.slice(1, -1).split('.')[0]))
+      .forEach(token => errors.push(`${where}.filename has unknown token ${token} (use ${FILENAME_TOKENS.map(t => `{${t}}`).join(', ')})`));
+  }
+  if (upload.tags !== undefined && (!Array.isArray(upload.tags) || upload.tags.some(tag => typeof tag !== 'string'))) {
+    errors.push(`${where}.tags must be an array of strings`);
+  }
+  if (upload.context !== undefined && (
+    !upload.context || typeof upload.context !== 'object' || Array.isArray(upload.context) ||
+    Object.values(upload.context).some(value => typeof value !== 'string')
+  )) {
+    errors.push(`${where}.context must be an object of string values`);
+  }
+  ['overwrite', 'invalidate'].forEach(key => {
+    if (upload[key] !== undefined && typeof upload[key] !== 'boolean') {
+      errors.push(`${where}.${key} must be true or false`);
+    }
+  });
+
+  return errors;
+}
+
+class LocalStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dir = options.dir || LOCAL_STORAGE_DIR;
+    this.baseUrl = (options.baseUrl || LOCAL_STORAGE_BASE_URL).replace(/\/+$/, '');
+  }
+
+  missingConfig() {
+    return [];
+  }
+
+  async put(buffer, { key }) {
+    const safeKey = sanitizeKey(key);
+    const filePath = path.join(this.dir, safeKey);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    logger.info('stored locally', { key: safeKey });
+    return {
+      url: `${this.baseUrl}/${safeKey}`,
+      key: safeKey,
+      backend: this.name
+    };
+  }
+}
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// AWS Signature Version 4 for a single request (no query string)
+function signV4({ method, url, headers = {}, body = '', region, service = 's3', accessKeyId, secretAccessKey, date = new Date() }) {
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body);
+
+  const signed = {};
+  Object.entries({
+    ...headers,
+    host: target.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  }).forEach(([name, value]) => {
+    signed[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  });
+
+  const headerNames = Object.keys(signed).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${signed[name]}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+  const canonicalUri = target.pathname
+    .split('/')
+    .map(segment => encodeRfc3986(decodeURIComponent(segment)))
+    .join('/');
+
+  const canonicalRequest = [method, canonicalUri, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  let signingKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  signingKey = hmac(signingKey, region);
+  signingKey = hmac(signingKey, service);
+  signingKey = hmac(signingKey, 'aws4_request');
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return {
+    ...headers,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+// Works against AWS S3 and S3-compatible servers such as MinIO
+class S3Storage {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.endpoint = (options.endpoint || process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+    this.region = options.region || process.env.S3_REGION || 'us-east-1';
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+    this.acl = options.acl || process.env.S3_ACL || null;
+    this.publicUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '');
+    // MinIO and most self-hosted servers only understand path-style URLs
+    this.forcePathStyle = options.forcePathStyle !== undefined
+      ? options.forcePathStyle
+      : process.env.S3_FORCE_PATH_STYLE !== undefined
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(this.endpoint);
+    this.retryOptions = options.retry || {};
+  }
+
+  missingConfig() {
+    return [
+      ['S3_BUCKET', this.bucket],
+      ['S3_ACCESS_KEY_ID', this.accessKeyId],
+      ['S3_SECRET_ACCESS_KEY', this.secretAccessKey]
+    ].filter(([, value]) => !value).map(([name]) => name);
+  }
+
+  objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    if (this.forcePathStyle) {
+      const endpoint = this.endpoint || `https://s3.${this.region}.amazonaws.com`;
+      return `${endpoint}/${this.bucket}/${encodedKey}`;
+    }
+    if (this.endpoint) {
+      const endpoint = new URL(this.endpoint);
+      return `${endpoint.protocol}//${this.bucket}.${endpoint.host}/${encodedKey}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${encodedKey}`;
+  }
+
+  async put(buffer, { key, contentType, attempts = {}, retry = {} }) {
+    const missing = this.missingConfig();
+    if (missing.length > 0) {
+      throw new Error(`S3 storage not configured: set ${missing.join(', ')}`);
+    }
+
+    const safeKey = sanitizeKey(key);
+    const url = this.objectUrl(safeKey);
+
+    await withRetry(() => {
+      const headers = { 'content-type': contentType || 'application/octet-stream' };
+      if (this.acl) headers['x-amz-acl'] = this.acl;
+
+      return observeRequest('s3', 'put', () => axios.put(url, buffer, {
+        headers: signV4({
+          method: 'PUT',
+          url,
+          headers,
+          body: buffer,
+          region: this.region,
+          accessKeyId: this.accessKeyId,
+          secretAccessKey: this.secretAccessKey
+        }),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      }));
+    }, {
+      ...this.retryOptions,
+      ...retry,
+      label: 'S3 upload',
+      onAttempt: n => { attempts.upload = n; }
+    });
+
+    logger.info('uploaded to S3', { key: safeKey });
+    return {
+      url: this.publicUrl ? `${this.publicUrl}/${safeKey}` : url,
+      key: safeKey,
+      backend: this.name
+    };
+  }
+}
+
+class CloudinaryStorage {
+  constructor(options = {}) {
+    this.name = 'cloudinary';
+    this.cloudinaryUrl = options.cloudinaryUrl || process.env.CLOUDINARY_URL;
+    this.retryOptions = options.retry || {};
+  }
+
+  missingConfig() {
+    return this.cloudinaryUrl ? [] : ['CLOUDINARY_URL'];
+  }
+
+  // The key (minus its extension) becomes the public ID, folders included
+  async put(buffer, { key, contentType, tags = [], context = {}, overwrite, invalidate, attempts = {}, retry = {} }) {
+    const safeKey = sanitizeKey(key);
+    const publicId = safeKey.replace(/\.[^./]+$/, '');
+
+    const data = await cloudinary.uploadImage(buffer, {
+      cloudinaryUrl: this.cloudinaryUrl,
+      publicId,
+      filename: path.posix.basename(safeKey),
+      contentType,
+      tags,
+      context,
+      overwrite,
+      invalidate,
+      attempts,
+      retry: { ...this.retryOptions, ...retry }
+    });
+
+    logger.info('uploaded to Cloudinary', { url: data.secure_url });
+    return {
+      url: data.secure_url,
+      key: data.public_id,
+      backend: this.name
+    };
+  }
+}
+
+const STORAGE_ADAPTERS = {
+  local: LocalStorage,
+  s3: S3Storage,
+  cloudinary: CloudinaryStorage
+};
+
+const STORAGE_BACKENDS = Object.keys(STORAGE_ADAPTERS);
+
+const instances = new Map();
+
+// One shared adapter per backend name (defaults to STORAGE_BACKEND)
+function getStorage(name = STORAGE_BACKEND, options = {}) {
+  const Adapter = STORAGE_ADAPTERS[name];
+  if (!Adapter) {
+    throw new Error(`Unsupported storage backend: ${name} (use ${STORAGE_BACKENDS.join(', ')})`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, new Adapter(options));
+  }
+  return instances.get(name);
+}
+
+// One message per backend in `backends` that is missing settings
+function checkStorageConfig(backends = [STORAGE_BACKEND]) {
+  return [...new Set(backends)].flatMap(name => {
+    if (!STORAGE_ADAPTERS[name]) {
+      return [`Unsupported storage backend: ${name} (set UPLOAD_SERVICE to ${STORAGE_BACKENDS.join(', ')})`];
+    }
+    const missing = getStorage(name).missingConfig();
+    return missing.length > 0 ? [`${missing.join(', ')} not configured for ${name} storage`] : [];
+  });
+}
+
+// Express handler for files written by the local backend
+function serveLocalFiles(express, dir = LOCAL_STORAGE_DIR) {
+  return express.static(dir, {
+    index: false,
+    setHeaders: (res) => {
+      // Cards are embedded from other origins (sheets, email, CMS previews)
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  });
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  STORAGE_BACKENDS,
+  LOCAL_STORAGE_DIR,
+  LocalStorage,
+  S3Storage,
+  CloudinaryStorage,
+  getStorage,
+  checkStorageConfig,
+  buildObjectKey,
+  buildUploadMetadata,
+  validateUploadOptions,
+  serveLocalFiles,
+  sanitizeKey,
+  signV4
+};
@@ -0,0 +1,234 @@
+// template_config.js
+// Template configurations
+//
+// Each template names the Figma node to export and the text zones drawn on top.
+// Every text zone is a slot a card can fill through `fields`; zones marked
+// `required` must be present on every card using the template; `maxLength` caps
+// a zone's text (CARD_FIELD_MAX_LENGTH otherwise, see card_fields.js).
+// Zone boxes are fractions of the exported image, fontSize/minFontSize fractions
+// of its width; text that doesn't fit shrinks down to minFontSize (see
+// text_layout.js for every option and its default).
+// A zone with `layer` takes its box and text style from that TEXT layer in the
+// Figma node; the values declared here are only used if the layer is missing.
+// The layer's placeholder copy is painted over in the export unless the layer
+// is hidden in Figma or the template sets `hidePlaceholders: false` (see
+// figma_layout.js for why hiding the layers suits gradients and photos better).
+// `imageSlots` are areas a card can fill through `images` (URL, base64 data URI
+// or a path under LOCAL_IMAGE_DIR); each one is fitted with `fit` ('cover' or
+// 'contain'), clipped by an optional `radius` or `mask` ('circle', 'ellipse' or
+// a mask image path) and composited before the text (see image_slots.js).
+// `renditions` lists the files produced per card (format, size, quality, fit -
+// see renditions.js); a request can override them. Without it a card is one PNG.
+// `TEMPLATES_DIR/<name>/layout.json` adds a template, or overrides a declared one
+// zone by zone, for the local template source (see template_source.js); its
+// `baseImage` ({ file, scale }) names the PNG to draw on.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, 'templates');
+
+const TEMPLATE_CONFIG = {
+  'default': {
+    nodeId: '1:14',  // Your BaseCard component ID
+    textZones: {
+      header: {
+        layer: 'Header',
+        required: true,
+        maxLength: 80,
+        box: { x: 0.1, y: 0.22, width: 0.8, height: 0.12 },
+        align: 'center',
+        verticalAlign: 'middle',
+        fontFamily: 'Inter',
+        fontWeight: 700,
+        fontSize: 0.06,
+        minFontSize: 0.04,
+        color: '#1a1a1a',
+        lineHeight: 1.2,
+        maxLines: 1,
+        shadow: { offsetX: 0.002, offsetY: 0.002, blur: 0.002, color: 'rgba(0,0,0,0.3)' }
+      },
+      promo: {
+        layer: 'PromoText',
+        required: true,
+        box: { x: 0.1, y: 0.56, width: 0.8, height: 0.3 },
+        align: 'center',
+        verticalAlign: 'top',
+        fontFamily: 'Inter',
+        fontWeight: 400,
+        fontSize: 0.04,
+        minFontSize: 0.03,
+        color: '#666666',
+        lineHeight: 1.3,
+        maxLines: 4
+      }
+    },
+    imageSlots: {
+      logo: {
+        box: { x: 0.4, y: 0.05, width: 0.2, height: 0.12 },
+        fit: 'contain'
+      }
+    }
+  },
+  'sale': {
+    nodeId: '1:14',  // Can use same component or create variants
+    textZones: {
+      header: {
+        required: true,
+        maxLength: 80,
+        box: { x: 0.08, y: 0.12, width: 0.84, height: 0.24 },
+        align: 'left',
+        verticalAlign: 'bottom',
+        fontFamily: 'Inter',
+        fontWeight: 800,
+        fontSize: 0.08,
+        minFontSize: 0.055,
+        color: '#d62828',
+        lineHeight: 1.1,
+        maxLines: 2,
+        shadow: { offsetX: 0.003, offsetY: 0.003, blur: 0.004, color: 'rgba(0,0,0,0.25)' }
+      },
+      promo: {
+        box: { x: 0.08, y: 0.4, width: 0.6, height: 0.35 },
+        align: 'left',
+        verticalAlign: 'top',
+        fontFamily: 'Inter',
+        fontWeight: 600,
+        fontSize: 0.045,
+        minFontSize: 0.035,
+        color: '#1a1a1a',
+        lineHeight: 1.25,
+        maxLines: 3
+      },
+      price: {
+        maxLength: 20,
+        box: { x: 0.7, y: 0.4, width: 0.22, height: 0.15 },
+        align: 'right',
+        verticalAlign: 'top',
+        fontFamily: 'Inter',
+        fontWeight: 800,
+        fontSize: 0.07,
+        minFontSize: 0.045,
+        color: '#d62828',
+        lineHeight: 1.1,
+        maxLines: 1
+      },
+      cta: {
+        box: { x: 0.08, y: 0.78, width: 0.5, height: 0.08 },
+        align: 'left',
+        verticalAlign: 'middle',
+        fontFamily: 'Inter',
+        fontWeight: 700,
+        fontSize: 0.04,
+        minFontSize: 0.03,
+        color: '#1a1a1a',
+        lineHeight: 1.2,
+        maxLines: 1
+      },
+      expiry: {
+        box: { x: 0.6, y: 0.78, width: 0.32, height: 0.08 },
+        align: 'right',
+        verticalAlign: 'middle',
+        fontFamily: 'Inter',
+        fontWeight: 600,
+        fontSize: 0.03,
+        minFontSize: 0.022,
+        color: '#d62828',
+        lineHeight: 1.2,
+        maxLines: 1
+      },
+      disclaimer: {
+        box: { x: 0.08, y: 0.89, width: 0.84, height: 0.07 },
+        align: 'left',
+        verticalAlign: 'top',
+        fontFamily: 'Inter',
+        fontWeight: 400,
+        fontSize: 0.022,
+        minFontSize: 0.018,
+        color: '#666666',
+        lineHeight: 1.3,
+        maxLines: 2
+      }
+    },
+    imageSlots: {
+      product: {
+        box: { x: 0.62, y: 0.57, width: 0.3, height: 0.19 },
+        fit: 'cover',
+        radius: 0.02
+      }
+    },
+    renditions: [
+      { name: 'square', format: 'webp', width: 1080, height: 1080, quality: 85 },
+      { name: 'social', format: 'jpeg', width: 1200, height: 628, fit: 'contain', background: '#f4e8d0', quality: 85 },
+      { name: 'retina', format: 'avif', scale: 2, quality: 60 }
+    ]
+  }
+};
+
+// Declared values first, then the layout file's; zones and slots merge by name
+function mergeLayout(declared = {}, layout) {
+  const mergeByName = (base = {}, overrides = {}) => Object.keys({ ...base, ...overrides })
+    .reduce((merged, name) => ({ ...merged, [name]: { ...base[name], ...overrides[name] } }), {});
+
+  return {
+    ...declared,
+    ...layout,
+    textZones: mergeByName(declared.textZones, layout.textZones),
+    imageSlots: mergeByName(declared.imageSlots, layout.imageSlots)
+  };
+}
+
+// Read every TEMPLATES_DIR/<name>/layout.json into TEMPLATE_CONFIG
+function loadTemplateLayouts(dir = TEMPLATES_DIR) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('could not read templates directory', { dir, error });
+    }
+    return [];
+  }
+
+  return names.filter(name => {
+    const layoutPath = path.join(dir, name, 'layout.json');
+    if (!fs.existsSync(layoutPath)) return false;
+
+    try {
+      TEMPLATE_CONFIG[name] = mergeLayout(TEMPLATE_CONFIG[name], JSON.parse(fs.readFileSync(layoutPath, 'utf8')));
+      return true;
+    } catch (error) {
+      logger.error('skipping template layout', { layoutPath, error });
+      return false;
+    }
+  });
+}
+
+loadTemplateLayouts();
+
+// Names of the slots a template accepts, and which of them are required
+function getTemplateSlots(templateName) {
+  const config = TEMPLATE_CONFIG[templateName];
+  if (!config) return null;
+
+  const zones = Object.entries(config.textZones);
+  const imageSlots = Object.entries(config.imageSlots || {});
+  return {
+    all: zones.map(([name]) => name),
+    required: zones.filter(([, zone]) => zone.required).map(([name]) => name),
+    images: {
+      all: imageSlots.map(([name]) => name),
+      required: imageSlots.filter(([, slot]) => slot.required).map(([name]) => name)
+    }
+  };
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  TEMPLATE_CONFIG,
+  getTemplateSlots,
+  loadTemplateLayouts
+};
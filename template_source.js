@@ -0,0 +1,430 @@
+// template_source.js
+// Where template art and text zones come from: the Figma REST API or local files
+//
+// Every source exposes:
+//   getVersion(name, config)  -> { version, lastModified } (either may be null for sources without versions)
+//   getTextZones(name, config) -> text zones to draw into
+//   getBaseImage(name, config, { scale, attempts, textZones }) -> { buffer, cached, version }
+//   identify(name, config)    -> what the art is, for render hashes
+//   missingConfig()           -> names of required settings that aren't set
+// The local source reads TEMPLATES_DIR/<name>/base.png (or the file named by the
+// layout's baseImage) so cards render offline, from pinned art, while Figma is down.
+// `node template_source.js pin <template>` writes a Figma template into TEMPLATES_DIR.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { withRetry } = require('./retry');
+const { observeRequest, timeStage } = require('./metrics');
+const { logger: rootLogger } = require('./logger');
+const BaseImageCache = require('./base_image_cache');
+const { deriveTextZones, hidePlaceholderText } = require('./figma_layout');
+const { TEMPLATES_DIR, TEMPLATE_CONFIG } = require('./template_config');
+
+const logger = rootLogger.child({ component: 'template-source' });
+
+const TEMPLATE_SOURCE = process.env.TEMPLATE_SOURCE || 'figma';
+const FIGMA_FILE_KEY = process.env.FIGMA_FILE_KEY || 'RxhmuaosdbiwMrC4Skf2Hr';
+const FIGMA_API_BASE = (process.env.FIGMA_API_BASE || 'https://api.figma.com/v1').replace(/\/+$/, '');
+const FIGMA_VERSION_TTL_MS = parseInt(process.env.FIGMA_VERSION_TTL_MS, 10) || 30000;
+
+// Zone properties that only make sense next to the Figma export they came from
+const DERIVED_ZONE_KEYS = ['placeholderBox', 'derivedFromLayer'];
+
+class FigmaTemplateSource {
+  constructor(options = {}) {
+    this.name = 'figma';
+    this.token = options.token || process.env.FIGMA_TOKEN;
+    this.fileKey = options.fileKey || FIGMA_FILE_KEY;
+    this.apiBase = (options.apiBase || FIGMA_API_BASE).replace(/\/+$/, '');
+    this.retryOptions = options.retry || {};
+    this.baseImageCache = options.baseImageCache || new BaseImageCache();
+    this.fileVersion = null;
+    this.lastSeenVersion = null;
+    this.templateNodes = new Map();
+  }
+
+  missingConfig() {
+    return this.token ? [] : ['FIGMA_TOKEN'];
+  }
+
+  get headers() {
+    return { 'X-Figma-Token': this.token };
+  }
+
+  nodeIdFor(name, config) {
+    if (!config.nodeId) {
+      throw new Error(`Template '${name}' has no Figma nodeId - render it with TEMPLATE_SOURCE=local`);
+    }
+    return config.nodeId;
+  }
+
+  identify(name, config) {
+    return { fileKey: this.fileKey, nodeId: config.nodeId };
+  }
+
+  // Get the file's current version, cached briefly so a batch makes one call
+  async getVersion() {
+    const now = Date.now();
+    if (this.fileVersion && this.fileVersion.expiresAt > now) {
+      return this.fileVersion.promise;
+    }
+
+    const promise = withRetry(async () => {
+      const response = await observeRequest('figma', 'file', () => axios.get(
+        `${this.apiBase}/files/${this.fileKey}`,
+        {
+          headers: this.headers,
+          params: { depth: 1 }
+        }
+      ));
+      return {
+        version: response.data.version,
+        lastModified: response.data.lastModified
+      };
+    }, { ...this.retryOptions, label: 'Figma version lookup' });
+
+    this.fileVersion = { promise, expiresAt: now + FIGMA_VERSION_TTL_MS };
+
+    try {
+      const current = await promise;
+      if (this.lastSeenVersion !== current.version) {
+        this.lastSeenVersion = current.version;
+        await this.baseImageCache.invalidateStale(this.fileKey, current.version);
+      }
+      return current;
+    } catch (error) {
+      this.fileVersion = null;
+      throw error;
+    }
+  }
+
+  // Fetch the template's node tree, once per file version
+  async getTemplateNode(nodeId) {
+    const { version } = await this.getVersion();
+    const cacheKey = `${nodeId}@${version}`;
+
+    if (!this.templateNodes.has(cacheKey)) {
+      const pending = withRetry(async () => {
+        const response = await observeRequest('figma', 'nodes', () => axios.get(
+          `${this.apiBase}/files/${this.fileKey}/nodes`,
+          {
+            headers: this.headers,
+            params: { ids: nodeId }
+          }
+        ));
+
+        const entry = response.data.nodes && response.data.nodes[nodeId];
+        if (!entry || !entry.document) {
+          throw new Error(`Node ${nodeId} not found in Figma file`);
+        }
+        return entry.document;
+      }, { ...this.retryOptions, label: 'Figma node lookup' });
+
+      // Old versions are never asked for again
+      [...this.templateNodes.keys()]
+        .filter(key => key.startsWith(`${nodeId}@`))
+        .forEach(key => this.templateNodes.delete(key));
+      this.templateNodes.set(cacheKey, pending);
+      pending.catch(() => this.templateNodes.delete(cacheKey));
+    }
+
+    return this.templateNodes.get(cacheKey);
+  }
+
+  // Resolve a template's text zones, reading named TEXT layers from Figma
+  async getTextZones(name, config) {
+    const usesLayers = Object.values(config.textZones).some(zone => zone.layer);
+    if (!usesLayers) {
+      return config.textZones;
+    }
+
+    const nodeId = this.nodeIdFor(name, config);
+    const node = await this.getTemplateNode(nodeId);
+    const { zones, missing } = deriveTextZones(node, config.textZones);
+
+    if (missing.length > 0) {
+      logger.warn('text layers not found - using declared zones', { template: name, nodeId, missing });
+    }
+
+    return zones;
+  }
+
+  // Get the template's base image, exporting from Figma only on a cache miss.
+  // Placeholder text of zones derived from visible Figma layers is painted over,
+  // unless the template sets hidePlaceholders: false (see figma_layout.js).
+  async getBaseImage(name, config, { scale = 2, attempts = {}, textZones = {} } = {}) {
+    const nodeId = this.nodeIdFor(name, config);
+    const { version, lastModified } = await this.getVersion();
+    const hiddenLayers = Object.values(textZones)
+      .filter(zone => config.hidePlaceholders !== false && zone.placeholderBox && zone.hidePlaceholder !== false)
+      .map(zone => zone.derivedFromLayer)
+      .sort();
+
+    const { buffer, cached } = await this.baseImageCache.getOrCreate(
+      { fileKey: this.fileKey, nodeId, scale, version, lastModified, hiddenLayers },
+      async () => {
+        const exported = await this.exportComponent(nodeId, scale, attempts);
+        return hiddenLayers.length > 0 ? hidePlaceholderText(exported, textZones) : exported;
+      }
+    );
+
+    if (cached) {
+      logger.debug('using cached base image', { template: name, nodeId, version });
+    }
+
+    return { buffer, cached, version };
+  }
+
+  // Export a component as PNG
+  // `attempts` is filled in with how many tries each step needed
+  async exportComponent(nodeId, scale = 2, attempts = {}) {
+    try {
+      logger.info('exporting Figma component', { nodeId, scale });
+
+      const imageUrl = await timeStage('export', () => withRetry(async () => {
+        const response = await observeRequest('figma', 'images', () => axios.get(
+          `${this.apiBase}/images/${this.fileKey}`,
+          {
+            headers: this.headers,
+            params: {
+              ids: nodeId,
+              format: 'png',
+              scale: scale,
+              // Export exactly the node's frame so layer coordinates line up
+              use_absolute_bounds: true
+            }
+          }
+        ));
+
+        if (!response.data.images || !response.data.images[nodeId]) {
+          // Figma returns a null URL when a render times out, so try again
+          const error = new Error('No image URL returned from Figma');
+          error.retryable = true;
+          throw error;
+        }
+
+        return response.data.images[nodeId];
+      }, {
+        ...this.retryOptions,
+        label: 'Figma export',
+        onAttempt: n => { attempts.export = n; }
+      }));
+
+      const imageResponse = await timeStage('download', () => withRetry(
+        () => observeRequest('figma', 'download', () => axios.get(imageUrl, { responseType: 'arraybuffer' })),
+        {
+          ...this.retryOptions,
+          label: 'Image download',
+          onAttempt: n => { attempts.download = n; }
+        }
+      ));
+
+      return Buffer.from(imageResponse.data);
+    } catch (error) {
+      logger.error('failed to export Figma component', { nodeId, error });
+      throw error;
+    }
+  }
+
+  // Every component in the file, for picking node IDs
+  async listComponents() {
+    const response = await observeRequest('figma', 'file', () => axios.get(
+      `${this.apiBase}/files/${this.fileKey}`,
+      { headers: this.headers }
+    ));
+
+    const components = [];
+    const findComponents = (node, path = '') => {
+      if (node.type === 'COMPONENT' || node.type === 'COMPONENT_SET') {
+        components.push({
+          id: node.id,
+          name: node.name,
+          type: node.type,
+          path: path
+        });
+      }
+      if (node.children) {
+        node.children.forEach(child =>
+          findComponents(child, path + '/' + node.name)
+        );
+      }
+    };
+
+    response.data.document.children.forEach(page => {
+      findComponents(page, page.name);
+    });
+
+    return components;
+  }
+}
+
+class LocalTemplateSource {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dir = options.dir || TEMPLATES_DIR;
+    this.images = new Map();
+  }
+
+  missingConfig() {
+    return [];
+  }
+
+  imagePath(name, config) {
+    const file = (config.baseImage && config.baseImage.file) || 'base.png';
+    return path.join(this.dir, name, file);
+  }
+
+  identify(name, config) {
+    return { source: this.name, baseImage: path.relative(this.dir, this.imagePath(name, config)) };
+  }
+
+  // Read the base image, again only when the file changes
+  async load(name, config) {
+    const imagePath = this.imagePath(name, config);
+    let stat;
+    try {
+      stat = await fs.stat(imagePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No base image for template '${name}' (expected ${imagePath})`);
+      }
+      throw error;
+    }
+
+    const loaded = this.images.get(imagePath);
+    if (loaded && loaded.mtimeMs === stat.mtimeMs) {
+      return { ...loaded, cached: true };
+    }
+
+    const buffer = await fs.readFile(imagePath);
+    const image = {
+      buffer,
+      mtimeMs: stat.mtimeMs,
+      // Content hash, so re-saving the same art doesn't count as a new version
+      version: `local-${crypto.createHash('sha1').update(buffer).digest('hex').substring(0, 12)}`,
+      lastModified: stat.mtime.toISOString()
+    };
+    this.images.set(imagePath, image);
+    return { ...image, cached: false };
+  }
+
+  async getVersion(name, config) {
+    const { version, lastModified } = await this.load(name, config);
+    return { version, lastModified };
+  }
+
+  // Layer-based zones can't be read offline; the layout file's values stand in
+  async getTextZones(name, config) {
+    return config.textZones;
+  }
+
+  // The base PNG resized from the scale it was saved at to the one asked for
+  async getBaseImage(name, config, { scale = 2 } = {}) {
+    const { buffer, cached, version } = await this.load(name, config);
+    const savedScale = (config.baseImage && config.baseImage.scale) || 2;
+
+    if (scale === savedScale) {
+      return { buffer, cached, version };
+    }
+
+    const { width } = await sharp(buffer).metadata();
+    const resized = await sharp(buffer)
+      .resize(Math.round(width * scale / savedScale))
+      .png()
+      .toBuffer();
+    return { buffer: resized, cached, version };
+  }
+}
+
+const TEMPLATE_SOURCES = {
+  figma: FigmaTemplateSource,
+  local: LocalTemplateSource
+};
+
+function createTemplateSource(name = TEMPLATE_SOURCE, options = {}) {
+  const Source = TEMPLATE_SOURCES[name];
+  if (!Source) {
+    throw new Error(`Unsupported template source: ${name} (use ${Object.keys(TEMPLATE_SOURCES).join(', ')})`);
+  }
+  return new Source(options);
+}
+
+// One message if the source is missing settings
+function checkTemplateSourceConfig(source) {
+  const missing = source.missingConfig();
+  return missing.length > 0 ? [`${missing.join(', ')} not configured for the ${source.name} template source`] : [];
+}
+
+// Save a Figma template's art and resolved zones under TEMPLATES_DIR/<name>,
+// so the local source renders it exactly as approved
+async function pinTemplate(name, figma, { dir = TEMPLATES_DIR, scale = 2 } = {}) {
+  const config = TEMPLATE_CONFIG[name];
+  if (!config) {
+    throw new Error(`Unknown template '${name}'`);
+  }
+
+  const textZones = await figma.getTextZones(name, config);
+  const { buffer, version } = await figma.getBaseImage(name, config, { scale, textZones });
+  const { lastModified } = await figma.getVersion(name, config);
+
+  const layout = {
+    baseImage: { file: 'base.png', scale },
+    textZones: Object.fromEntries(Object.entries(textZones).map(([zoneName, zone]) => [
+      zoneName,
+      Object.fromEntries(Object.entries(zone).filter(([key]) => !DERIVED_ZONE_KEYS.includes(key)))
+    ])),
+    pinned: {
+      fileKey: figma.fileKey,
+      nodeId: config.nodeId,
+      version,
+      lastModified,
+      pinnedAt: new Date().toISOString()
+    }
+  };
+
+  const templateDir = path.join(dir, name);
+  await fs.mkdir(templateDir, { recursive: true });
+  await fs.writeFile(path.join(templateDir, 'base.png'), buffer);
+  await fs.writeFile(path.join(templateDir, 'layout.json'), JSON.stringify(layout, null, 2) + '\n');
+
+  return { dir: templateDir, version };
+}
+
+module.exports = {
+  TEMPLATE_SOURCE,
+  TEMPLATE_SOURCES: Object.keys(TEMPLATE_SOURCES),
+  FigmaTemplateSource,
+  LocalTemplateSource,
+  createTemplateSource,
+  checkTemplateSourceConfig,
+  pinTemplate
+};
+
+// node template_source.js pin <template> [scale]
+if (require.main === module) {
+  const [command, name, scale] = process.argv.slice(2);
+
+  if (command !== 'pin' || !name) {
+    console.error('Usage: node template_source.js pin <template> [scale]');
+    process.exit(1);
+  }
+
+  const figma = new FigmaTemplateSource();
+  const missing = checkTemplateSourceConfig(figma);
+  if (missing.length > 0) {
+    console.error(`❌ ${missing[0]}`);
+    process.exit(1);
+  }
+
+  pinTemplate(name, figma, { scale: Number(scale) || 2 })
+    .then(({ dir, version }) => {
+      console.log(`📌 Pinned '${name}' (Figma version ${version}) to ${dir}`);
+    })
+    .catch(error => {
+      console.error('💥 Pin failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { setupTestEnv, listen, silenceLogs } = require('./helpers/env');
+
+describe('API key store', () => {
+  let env;
+  let ApiKeyStore;
+  let validateKeyOptions;
+  let apiKeysRouter;
+
+  const storeAt = (name, options = {}) => new ApiKeyStore({
+    filePath: path.join(env.dir, `${name}.json`),
+    logPath: path.join(env.dir, `${name}.jsonl`),
+    authToken: '',
+    ...options
+  });
+
+  before(async () => {
+    env = await setupTestEnv();
+    silenceLogs();
+    ({ ApiKeyStore, apiKeysRouter, validateKeyOptions } = require('../api_keys'));
+  });
+
+  after(() => env.cleanup());
+
+  it('keeps only a hash of each token', async () => {
+    const store = storeAt('hashed');
+    const { key, token } = await store.create({ name: 'ci', scopes: ['render', 'read-results'] });
+
+    const stored = JSON.parse(await fs.readFile(store.filePath, 'utf8'));
+    assert.equal(stored[0].id, key.id);
+    assert.match(stored[0].hash, /^[0-9a-f]{64}$/);
+    assert.ok(!JSON.stringify(stored).includes(token));
+
+    assert.equal((await store.verify(token)).name, 'ci');
+    assert.equal(await store.verify(`${token}x`), null);
+    assert.equal(await store.verify(`fk_000000000000_${token.split('_')[2]}`), null);
+  });
+
+  it('sees keys added or revoked by another process', async () => {
+    const server = storeAt('shared');
+    const cli = storeAt('shared');
+    const { key, token } = await cli.create({ name: 'from-cli', scopes: ['render'] });
+
+    assert.equal((await server.verify(token)).id, key.id);
+
+    await cli.revoke(key.id);
+    assert.equal(await server.verify(token), null);
+    assert.equal((await server.get(key.id)).active, false);
+  });
+
+  it('accepts AUTH_TOKEN as a key with every scope', async () => {
+    const store = storeAt('legacy', { authToken: 'legacy-token' });
+    const key = await store.verify('legacy-token');
+
+    assert.equal(key.name, 'AUTH_TOKEN');
+    assert.ok(key.scopes.includes('admin-keys'));
+    assert.equal(await store.verify('legacy-tokem'), null);
+  });
+
+  it('keeps saving after a failed write', async () => {
+    // A file where the store's directory should be makes every write fail
+    const blocker = path.join(env.dir, 'blocked');
+    await fs.writeFile(blocker, '');
+    const store = storeAt('unused', { filePath: path.join(blocker, 'keys.json') });
+
+    await assert.rejects(store.create({ name: 'lost', scopes: ['render'] }), /ENOTDIR|EEXIST/);
+    assert.deepEqual(await store.list(), []);
+
+    await fs.rm(blocker);
+    const { key } = await store.create({ name: 'kept', scopes: ['render'] });
+    assert.deepEqual((await store.list()).map(stored => stored.id), [key.id]);
+  });
+
+  it('answers 500 when the key file cannot be written', async () => {
+    const express = require('express');
+    const blocker = path.join(env.dir, 'blocked-router');
+    await fs.writeFile(blocker, '');
+    const store = storeAt('unused', { filePath: path.join(blocker, 'keys.json'), authToken: 'admin-token' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/keys', store.identify(), apiKeysRouter(express, store));
+    const server = await listen(app);
+
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const response = await fetch(`${server.url}/keys`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer admin-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'ci', scopes: ['render'] }),
+        signal: AbortSignal.timeout(10000)
+      });
+
+      assert.equal(response.status, 500);
+      assert.equal((await response.json()).success, false);
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+      await server.close();
+    }
+  });
+
+  it('never lets anonymous callers use the admin scopes', async () => {
+    const express = require('express');
+    const store = storeAt('anonymous', { allowAnonymous: true });
+
+    const app = express();
+    app.use(express.json());
+    app.use(store.identify());
+    app.get('/render', store.authorize('render'), (req, res) => res.json({ ok: true }));
+    app.get('/results', store.authorize('read-results'), (req, res) => res.json({ ok: true }));
+    app.get('/templates', store.authorize('admin-templates'), (req, res) => res.json({ ok: true }));
+    app.use('/keys', apiKeysRouter(express, store));
+    const server = await listen(app);
+
+    try {
+      const call = (urlPath, init) => fetch(`${server.url}${urlPath}`, { signal: AbortSignal.timeout(10000), ...init });
+      assert.equal((await call('/render')).status, 200);
+      assert.equal((await call('/results')).status, 200);
+      assert.equal((await call('/templates')).status, 401);
+      assert.equal((await call('/keys')).status, 401);
+
+      const minted = await call('/keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'sneaky', scopes: ['admin-keys'] })
+      });
+      assert.equal(minted.status, 401);
+      assert.match((await minted.json()).error, /'admin-keys' scope always needs one/);
+      assert.deepEqual(await store.list(), []);
+    } finally {
+      await server.close();
+      // Request log lines are appended after the responses
+      await store.writing;
+    }
+  });
+
+  it('rotates the request log and reads requests across both files', async () => {
+    const store = storeAt('rotated', { logMaxBytes: 1024 });
+    const key = { id: 'key_rotated', name: 'busy' };
+    const other = { id: 'key_other', name: 'quiet' };
+    const res = { statusCode: 200 };
+
+    for (let i = 0; i < 30; i++) {
+      store.logRequest(i % 3 ? key : other, { method: 'GET', originalUrl: `/api/jobs/${i}`, ip: '127.0.0.1' }, res, 1);
+    }
+    await store.writing;
+
+    const current = await fs.stat(store.logPath);
+    const previous = await fs.stat(`${store.logPath}.1`);
+    assert.ok(current.size <= 1024 && previous.size <= 1024);
+
+    const { total, requests } = await store.requests(key.id, { limit: 3 });
+    assert.ok(total > 3 && total < 20, `total ${total}`);
+    assert.deepEqual(requests.map(entry => entry.path), ['/api/jobs/29', '/api/jobs/28', '/api/jobs/26']);
+    assert.ok(requests.every(entry => entry.keyId === key.id));
+  });
+
+  it('validates the options of a new key', () => {
+    assert.deepEqual(validateKeyOptions({ name: 'ok', scopes: ['render'], rateLimit: 10 }), []);
+    assert.deepEqual(validateKeyOptions({ name: 'ok', scopes: ['render', 'root'], rateLimit: 0 }), [
+      "scopes: unknown scope 'root' (use render, read-results, admin-templates, admin-keys)",
+      'rateLimit must be a positive integer'
+    ]);
+  });
+});
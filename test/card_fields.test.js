@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { setupTestEnv } = require('./helpers/env');
+
+describe('card validation', () => {
+  let env;
+  let cardFields;
+
+  before(async () => {
+    env = await setupTestEnv();
+    cardFields = require('../card_fields');
+  });
+
+  after(() => env.cleanup());
+
+  describe('validateBatchPayload', () => {
+    it('accepts legacy spellings and numbers', () => {
+      assert.deepEqual(cardFields.validateBatchPayload([
+        { Header: 'Legacy', promo_text: 'Flat shape' },
+        { template: 'sale', fields: { header: 'Sale', promo: 'Now', price: 19 } }
+      ]), []);
+    });
+
+    it('reports every problem with its JSON path', () => {
+      const errors = cardFields.validateBatchPayload({
+        cards: [
+          { template: 'nope' },
+          { fields: { header: 'x'.repeat(81), promo: 'ok', colour: 'red' }, storage: 'ftp' },
+          { header: 'a', promo: 'b', force: 'yes', images: { logo: '' } }
+        ],
+        renditions: [{ format: 'gif' }],
+        extra: true
+      });
+
+      assert.deepEqual(errors, [
+        'extra is not allowed (allowed: cards, renditions, storage, upload, force, sheet, webhook)',
+        "renditions[0] has unsupported format 'gif' (use png, jpeg, webp, avif)",
+        "cards[0].template 'nope' is unknown (available: default, sale)",
+        'cards[1].fields.colour is not allowed (allowed: header, promo)',
+        'cards[1].fields.header must be at most 80 characters',
+        "cards[1].storage has unsupported value 'ftp' (use local, s3, cloudinary)",
+        'cards[2].images.logo must be a URL, a base64 data URI or a local file path',
+        'cards[2].force must be a boolean'
+      ]);
+    });
+
+    it('uses bare indexes for a bare array', () => {
+      assert.deepEqual(cardFields.validateBatchPayload([{ fields: { header: 'only' } }, 'card']), [
+        "[0].fields.promo is required for template 'default'",
+        '[1] must be an object'
+      ]);
+    });
+
+    it('limits the number of cards', () => {
+      assert.deepEqual(cardFields.validateBatchPayload({ cards: [] }), ['cards must have at least 1 item']);
+      assert.deepEqual(cardFields.validateBatchPayload('nope'), ['Request body must be an array of cards or { cards: [...] }']);
+    });
+
+    it('applies CARD_FIELD_MAX_LENGTH to zones without their own maxLength', () => {
+      const [error] = cardFields.validateBatchPayload([{ header: 'ok', promo: 'x'.repeat(cardFields.CARD_FIELD_MAX_LENGTH + 1) }]);
+      assert.equal(error, `[0].promo must be at most ${cardFields.CARD_FIELD_MAX_LENGTH} characters`);
+    });
+  });
+
+  describe('validateCard', () => {
+    it('names a card without a path "card"', () => {
+      assert.deepEqual(cardFields.validateCard(null), ['card must be an object']);
+      assert.deepEqual(cardFields.validateCard({ header: ' ', promo: 'b' }), ["fields.header is required for template 'default'"]);
+    });
+  });
+
+  describe('validateBatchOptions', () => {
+    it('checks request-wide options under their own path', () => {
+      assert.deepEqual(cardFields.validateBatchOptions({ storage: 'local', force: 1, cards: [] }, 'options'), [
+        'options.cards is not allowed (allowed: renditions, storage, upload, force, sheet, webhook)',
+        'options.force must be a boolean'
+      ]);
+    });
+  });
+
+  it('drops unknown properties instead with UNKNOWN_FIELDS=strip', () => {
+    const script = `
+      const { validateBatchPayload } = require('./card_fields');
+      const body = { cards: [{ header: 'a', promo: 'b', colour: 'red', fields: { extra: 'x' } }], note: 'hi' };
+      console.log(JSON.stringify({ errors: validateBatchPayload(body), body }));
+    `;
+    const output = execFileSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, UNKNOWN_FIELDS: 'strip' },
+      encoding: 'utf8'
+    });
+
+    assert.deepEqual(JSON.parse(output), {
+      errors: [],
+      body: { cards: [{ header: 'a', promo: 'b', fields: {} }] }
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const { setupTestEnv } = require('./helpers/env');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+describe('cli', () => {
+  let env;
+  let EXIT_CODES;
+
+  // The fakes run in this process, so the CLI has to run asynchronously
+  const run = (args, extraEnv = {}) => new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], {
+      cwd: env.dir,
+      env: { ...process.env, LOG_LEVEL: '', ...extraEnv },
+      timeout: 60000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+
+  const writeJson = async (name, value) => {
+    const file = path.join(env.dir, name);
+    await fs.writeFile(file, JSON.stringify(value));
+    return file;
+  };
+
+  const lines = stdout => stdout.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  before(async () => {
+    env = await setupTestEnv();
+    ({ EXIT_CODES } = require('../cli'));
+  });
+
+  after(() => env.cleanup());
+
+  it('renders a JSON batch to a directory without uploading', async () => {
+    const input = await writeJson('cards.json', [
+      { fields: { header: 'One', promo: 'First card' } },
+      { fields: { header: 'Two', promo: 'Second card' } }
+    ]);
+    const outDir = path.join(env.dir, 'rendered');
+
+    const { code, stdout, stderr } = await run(['render', input, '--template', 'default', '--format', 'webp', '--out-dir', outDir, '--no-upload']);
+
+    assert.equal(code, EXIT_CODES.ok, stderr);
+    const cards = lines(stdout);
+    assert.deepEqual(cards.map(card => card.status), ['completed', 'completed']);
+    assert.equal(env.cloudinary.uploads.size, 0);
+
+    for (const card of cards) {
+      assert.equal(card.files.length, 1);
+      assert.equal(path.dirname(card.files[0]).startsWith(outDir), true);
+      assert.equal((await sharp(card.files[0]).metadata()).format, 'webp');
+    }
+    const results = JSON.parse(await fs.readFile(path.join(outDir, 'results.json'), 'utf8'));
+    assert.equal(results.length, 2);
+    assert.match(stderr, /Rendered 2 of 2 card\(s\)/);
+  });
+
+  it('writes every card again when rendering to another directory', async () => {
+    const input = await writeJson('again.json', [{ template: 'default', fields: { header: 'Again', promo: 'Twice' } }]);
+
+    for (const dir of ['first', 'second']) {
+      const outDir = path.join(env.dir, dir);
+      const { code, stdout, stderr } = await run(['render', input, '--out-dir', outDir, '--no-upload']);
+
+      assert.equal(code, EXIT_CODES.ok, stderr);
+      const [card] = lines(stdout);
+      assert.equal(card.cached, false);
+      assert.equal(card.files[0].startsWith(outDir), true);
+      await fs.access(card.files[0]);
+    }
+  });
+
+  it('exits 1 when some cards fail', async () => {
+    const input = await writeJson('partial.json', {
+      cards: [
+        { template: 'default', fields: { header: 'Fine', promo: 'ok' } },
+        { template: 'default', fields: { header: 'Broken', promo: 'logo' }, images: { logo: `${env.cloudinary.url}/assets/missing.png` } }
+      ]
+    });
+
+    const { code, stdout } = await run(['render', input]);
+
+    assert.equal(code, EXIT_CODES.partial);
+    const cards = lines(stdout).sort((a, b) => a.index - b.index);
+    assert.equal(cards[0].status, 'completed');
+    assert.match(cards[0].imageUrl, new RegExp(`^${env.cloudinary.url}/`));
+    assert.equal(cards[1].status, 'failed');
+    assert.match(cards[1].error, /logo/);
+  });
+
+  it('exits 4 when every card fails', async () => {
+    const input = await writeJson('unauthorized.json', [{ template: 'default', fields: { header: 'a', promo: 'b' } }]);
+
+    const { code, stdout } = await run(['render', input, '--force'], { FIGMA_TOKEN: 'wrong' });
+
+    assert.equal(code, EXIT_CODES.failed);
+    assert.equal(lines(stdout)[0].status, 'failed');
+  });
+
+  it('exits 3 for invalid input and 2 for bad usage', async () => {
+    const invalid = await writeJson('invalid.json', [{ template: 'nope', fields: {} }]);
+
+    const rejected = await run(['render', invalid]);
+    assert.equal(rejected.code, EXIT_CODES.invalidInput);
+    assert.match(rejected.stderr, /\[0\]\.template 'nope' is unknown/);
+    assert.equal(rejected.stdout, '');
+
+    assert.equal((await run(['render', path.join(env.dir, 'absent.json')])).code, EXIT_CODES.invalidInput);
+    assert.equal((await run(['bogus'])).code, EXIT_CODES.usage);
+    assert.equal((await run(['render', invalid, '--format', 'gif'])).code, EXIT_CODES.usage);
+  });
+
+  it('lists the Figma file components', async () => {
+    const { code, stdout, stderr } = await run(['components']);
+    assert.equal(code, EXIT_CODES.ok, stderr);
+    assert.ok(stdout.trim().split('\n').length > 0);
+    stdout.trim().split('\n').forEach(line => assert.equal(line.split('\t').length, 3, line));
+
+    const json = await run(['components', '--json']);
+    assert.ok(JSON.parse(json.stdout).every(component => component.id && component.name));
+  });
+
+  it('writes a preview of one card to disk', async () => {
+    const out = path.join(env.dir, 'preview.png');
+
+    const { code, stdout, stderr } = await run([
+      'preview', '--template', 'default', '--field', 'header=Preview', '--field', 'promo=From the CLI', '--width', '300', '--out', out
+    ]);
+
+    assert.equal(code, EXIT_CODES.ok, stderr);
+    assert.equal(stdout.trim(), out);
+    const metadata = await sharp(out).metadata();
+    assert.equal(metadata.format, 'png');
+    assert.equal(metadata.width, 300);
+  });
+});
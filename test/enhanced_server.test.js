@@ -0,0 +1,214 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { setupTestEnv, listen, silenceLogs } = require('./helpers/env');
+
+const AUTH_TOKEN = 'enhanced-test-token';
+
+describe('enhanced server', () => {
+  let env;
+  let server;
+
+  const api = async (urlPath, { method = 'GET', body, token } = {}) => {
+    const form = body instanceof FormData;
+    const response = await fetch(`${server.url}${urlPath}`, {
+      method,
+      headers: {
+        ...(body !== undefined && !form ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined || form ? body : JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  before(async () => {
+    // The Puppeteer scripts are replaced by fixtures that follow the same file contract
+    env = await setupTestEnv({
+      ENHANCED_UPDATER_SCRIPT: path.join(__dirname, 'fixtures', 'fake_updater.js'),
+      FIGMA_TEST_SCRIPT: path.join(__dirname, 'fixtures', 'fake_figma_test.js'),
+      // Anonymous callers may render; the admin-templates routes still need a key
+      AUTH_TOKEN
+    });
+    silenceLogs();
+    server = await listen(require('../enhanced_server'));
+  });
+
+  after(async () => {
+    await server.close();
+    await env.cleanup();
+  });
+
+  it('GET /health describes the server', async () => {
+    const { status, data } = await api('/health');
+
+    assert.equal(status, 200);
+    assert.equal(data.status, 'healthy');
+    assert.ok(data.features.includes('figma-test'));
+  });
+
+  it('reads its settings from .env', async () => {
+    const dir = path.join(env.dir, 'dotenv-enhanced');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, '.env'), 'UPLOAD_SERVICE=local\n');
+    const { UPLOAD_SERVICE, ...shell } = process.env;
+    const script = `
+      require(${JSON.stringify(path.join(__dirname, '..', 'enhanced_server'))});
+      console.log(require(${JSON.stringify(path.join(__dirname, '..', 'storage'))}).STORAGE_BACKEND);
+      process.exit(0);
+    `;
+    const output = execFileSync(process.execPath, ['-e', script], { cwd: dir, env: { ...shell, LOG_LEVEL: 'error' }, encoding: 'utf8', timeout: 30000 });
+
+    assert.equal(output.trim(), 'local');
+  });
+
+  it('GET /image-results answers 404 before any run', async () => {
+    const { status, data } = await api('/image-results');
+    assert.equal(status, 404);
+    assert.equal(data.error, 'No image results found');
+  });
+
+  it('POST /run validates the cards without exporting', async () => {
+    const ok = await api('/run', { method: 'POST', body: [{ template: 'default', fields: { header: 'a', promo: 'b' } }] });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.data.itemsProcessed, 1);
+    assert.equal(ok.data.type, 'basic');
+
+    const bad = await api('/run', { method: 'POST', body: [{ template: 'nope' }] });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.data.error, bad.data.errors[0]);
+  });
+
+  describe('POST /run-with-images', () => {
+    let runId;
+
+    it('runs the updater and returns its image results', async () => {
+      const { status, data } = await api('/run-with-images', {
+        method: 'POST',
+        body: {
+          cards: [
+            { template: 'default', fields: { header: 'Hello', promo: 'World' } },
+            { template: 'default', fields: { header: 'FAIL', promo: 'Nope' } }
+          ]
+        }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(data.type, 'enhanced');
+      assert.deepEqual(data.summary, { total: 2, successful: 1, failed: 1 });
+      assert.equal(data.imageResults[0].imageUrl, 'https://cdn.example.com/default-1.png');
+      assert.equal(data.imageResults[1].error, 'Export failed');
+      runId = data.runId;
+    });
+
+    it('records the run for /image-results and /runs', async () => {
+      const latest = await api('/image-results');
+      assert.equal(latest.data.runId, runId);
+      assert.deepEqual(latest.data.results.map(result => result.status), ['success', 'failed']);
+
+      const list = await api('/runs?engine=enhanced');
+      assert.equal(list.data.runs[0].id, runId);
+
+      const run = await api(`/runs/${runId}`);
+      assert.equal(run.data.run.status, 'completed');
+      assert.deepEqual(run.data.run.summary, { total: 2, recorded: 2, successful: 1, failed: 1 });
+
+      const cards = await api(`/runs/${runId}/cards?status=success`);
+      assert.deepEqual(cards.data.cards.map(card => card.input.fields.header), ['Hello']);
+
+      assert.equal((await api('/runs/nope')).status, 404);
+    });
+
+    it('rejects invalid cards', async () => {
+      const { status, data } = await api('/run-with-images', {
+        method: 'POST',
+        body: { cards: [{ template: 'default', fields: { header: 'a' } }], sheet: 'nope' }
+      });
+
+      assert.equal(status, 400);
+      assert.ok(data.errors.length >= 2);
+    });
+
+    it('reports a failed updater as a failed run', async () => {
+      const { status, data } = await api('/run-with-images', {
+        method: 'POST',
+        body: [{ template: 'default', fields: { header: 'CRASH', promo: 'x' } }]
+      });
+
+      assert.equal(status, 500);
+      assert.match(data.error, /exit code 1.*Browser closed unexpectedly/s);
+
+      const failed = await api('/runs?status=failed');
+      assert.equal(failed.data.total, 1);
+      assert.equal(failed.data.runs[0].engine, 'enhanced');
+    });
+  });
+
+  describe('POST /run-with-images/upload', () => {
+    const upload = (contents, filename, fields = {}) => {
+      const form = new FormData();
+      form.append('file', new Blob([contents], { type: 'text/csv' }), filename);
+      Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+      return api('/run-with-images/upload', { method: 'POST', body: form });
+    };
+
+    it('runs the rows of a CSV upload', async () => {
+      const { status, data } = await upload('header,promo,Owner\nFrom CSV,Row one,sam\n', 'cards.csv', { template: 'default' });
+
+      assert.equal(status, 200);
+      assert.deepEqual(data.ignoredColumns, ['Owner']);
+      assert.equal(data.imageResults[0].header, 'From CSV');
+
+      const run = await api(`/runs/${data.runId}`);
+      assert.equal(run.data.run.source, 'upload');
+    });
+
+    it('reports row errors and unsupported files', async () => {
+      const bad = await upload('template,header\nnope,Hi\n', 'cards.csv');
+      assert.equal(bad.status, 400);
+
+      const wrongType = await upload('hello', 'cards.txt');
+      assert.equal(wrongType.status, 400);
+      assert.match(wrongType.data.error, /Unsupported file type/);
+    });
+  });
+
+  describe('GET /test-figma', () => {
+    it('needs an API key even when anonymous requests are allowed', async () => {
+      const { status, data } = await api('/test-figma');
+
+      assert.equal(status, 401);
+      assert.match(data.error, /'admin-templates' scope always needs one/);
+    });
+
+    it('returns the test script output', async () => {
+      const { status, data } = await api('/test-figma', { token: AUTH_TOKEN });
+
+      assert.equal(status, 200);
+      assert.equal(data.success, true);
+      assert.equal(data.code, 0);
+      assert.match(data.output, /Figma loaded/);
+      assert.match(data.error, /console warning/);
+    });
+
+    it('reports a failing test script', async () => {
+      process.env.FAKE_FIGMA_TEST_EXIT = '3';
+      try {
+        const { data } = await api('/test-figma', { token: AUTH_TOKEN });
+        assert.equal(data.success, false);
+        assert.equal(data.code, 3);
+      } finally {
+        delete process.env.FAKE_FIGMA_TEST_EXIT;
+      }
+    });
+  });
+
+  it('answers 404 with the list of endpoints', async () => {
+    const { status, data } = await api('/nope');
+
+    assert.equal(status, 404);
+    assert.ok(data.availableEndpoints.includes('/run-with-images'));
+  });
+});
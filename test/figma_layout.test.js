@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { setupTestEnv, silenceLogs } = require('./helpers/env');
+
+// Colour of one pixel as #rrggbb
+async function pixel(buffer, x, y) {
+  const data = await sharp(buffer).extract({ left: x, top: y, width: 1, height: 1 }).removeAlpha().raw().toBuffer();
+  return `#${[...data].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+describe('Figma layout', () => {
+  let env;
+  let deriveTextZones;
+  let FigmaTemplateSource;
+  let TEMPLATE_CONFIG;
+
+  before(async () => {
+    env = await setupTestEnv();
+    silenceLogs();
+    ({ deriveTextZones } = require('../figma_layout'));
+    ({ FigmaTemplateSource } = require('../template_source'));
+    ({ TEMPLATE_CONFIG } = require('../template_config'));
+  });
+
+  after(() => env.cleanup());
+
+  it('leaves nothing to paint over for layers hidden in Figma', () => {
+    const text = (name, extra = {}) => ({
+      name,
+      type: 'TEXT',
+      absoluteBoundingBox: { x: 10, y: 20, width: 50, height: 10 },
+      absoluteRenderBounds: { x: 12, y: 21, width: 40, height: 8 },
+      style: { fontFamily: 'Inter', fontSize: 10 },
+      ...extra
+    });
+    const root = {
+      type: 'COMPONENT',
+      absoluteBoundingBox: { x: 0, y: 0, width: 100, height: 100 },
+      children: [
+        text('Shown'),
+        text('Hidden', { visible: false }),
+        { type: 'GROUP', visible: false, children: [text('InHiddenGroup')] }
+      ]
+    };
+
+    const { zones } = deriveTextZones(root, {
+      shown: { layer: 'Shown' },
+      hidden: { layer: 'Hidden' },
+      grouped: { layer: 'InHiddenGroup' }
+    });
+
+    assert.deepEqual(zones.shown.placeholderBox, { x: 0.12, y: 0.21, width: 0.4, height: 0.08 });
+    for (const zone of [zones.hidden, zones.grouped]) {
+      assert.equal(zone.placeholderBox, undefined);
+      assert.deepEqual(zone.box, { x: 0.1, y: 0.2, width: 0.5, height: 0.1 });
+      assert.equal(zone.fontFamily, 'Inter');
+    }
+  });
+
+  it('paints over placeholder copy unless the template turns it off', async () => {
+    const source = new FigmaTemplateSource();
+    const config = TEMPLATE_CONFIG.default;
+    const textZones = await source.getTextZones('default', config);
+    // Middle of the fake Header layer's placeholder bar, at 2x
+    const [x, y] = [300, 204];
+
+    const painted = await source.getBaseImage('default', config, { scale: 2, textZones });
+    assert.notEqual(await pixel(painted.buffer, x, y), '#333333');
+
+    const kept = await source.getBaseImage('default', { ...config, hidePlaceholders: false }, { scale: 2, textZones });
+    assert.equal(kept.cached, false);
+    assert.equal(await pixel(kept.buffer, x, y), '#333333');
+  });
+});
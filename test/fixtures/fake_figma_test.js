@@ -0,0 +1,6 @@
+// fake_figma_test.js
+// Stands in for test_figma.js (Puppeteer) behind GET /test-figma
+
+console.log('Figma loaded');
+console.error('Ignoring a console warning');
+process.exit(process.env.FAKE_FIGMA_TEST_EXIT ? parseInt(process.env.FAKE_FIGMA_TEST_EXIT, 10) : 0);
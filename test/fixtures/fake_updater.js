@@ -0,0 +1,33 @@
+// fake_updater.js
+// Stands in for enhanced_figma_updater.js (Puppeteer) in the enhanced server tests
+//
+// Reads UPDATES_FILE and writes RESULTS_FILE in the same shape as the real script.
+// A card with the header 'FAIL' fails; a header of 'CRASH' makes the script exit 1.
+
+const fs = require('fs');
+
+const updates = JSON.parse(fs.readFileSync(process.env.UPDATES_FILE, 'utf8'));
+
+if (updates.some(card => card.fields.header === 'CRASH')) {
+  console.error('Browser closed unexpectedly');
+  process.exit(1);
+}
+
+const results = updates.map((card, index) => {
+  const failed = card.fields.header === 'FAIL';
+  return {
+    row: index + 1,
+    template: card.template,
+    fields: card.fields,
+    header: card.fields.header,
+    promo: card.fields.promo,
+    imageUrl: failed ? '' : `https://cdn.example.com/${card.template}-${index + 1}.png`,
+    status: failed ? 'failed' : 'success',
+    error: failed ? 'Export failed' : null,
+    durationMs: 5,
+    timestamp: new Date().toISOString()
+  };
+});
+
+fs.writeFileSync(process.env.RESULTS_FILE, JSON.stringify(results, null, 2));
+console.log(`Processed ${results.length} card(s)${process.env.SHEET_TARGET ? ` for ${process.env.SHEET_TARGET}` : ''}`);
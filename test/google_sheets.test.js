@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const { setupTestEnv, silenceLogs } = require('./helpers/env');
+const { startFakeGoogleSheets } = require('./helpers/fake_google_sheets');
+
+const CLIENT_EMAIL = 'cards@test-project.iam.gserviceaccount.com';
+
+describe('Google Sheets write-back', () => {
+  let env;
+  let google;
+  let privateKey;
+  let GoogleSheetsClient;
+
+  const client = (credentials = { client_email: CLIENT_EMAIL, private_key: privateKey }) => new GoogleSheetsClient({
+    credentials,
+    http: axios.create({ timeout: 10000 }),
+    apiBase: google.apiBase,
+    tokenUrl: google.tokenUrl
+  });
+
+  before(async () => {
+    env = await setupTestEnv();
+    silenceLogs();
+    const keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    privateKey = keys.privateKey.export({ type: 'pkcs8', format: 'pem' });
+    google = await startFakeGoogleSheets({ clientEmail: CLIENT_EMAIL, publicKey: keys.publicKey });
+    ({ GoogleSheetsClient } = require('../google_sheets'));
+  });
+
+  after(async () => {
+    await google.close();
+    await env.cleanup();
+  });
+
+  it('signs a service-account JWT the token endpoint accepts', async () => {
+    const sheets = client();
+    const issuedAfter = Math.floor(Date.now() / 1000);
+
+    const token = await sheets.getAccessToken();
+
+    assert.match(token, /^ya29\./);
+    const { grantType, claims } = google.tokenRequests.at(-1);
+    assert.equal(grantType, 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+    assert.equal(claims.iss, CLIENT_EMAIL);
+    assert.equal(claims.aud, google.tokenUrl);
+    assert.ok(claims.iat >= issuedAfter && claims.exp === claims.iat + 3600);
+
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey.export({ type: 'pkcs8', format: 'pem' });
+    await assert.rejects(client({ client_email: CLIENT_EMAIL, private_key: other }).getAccessToken(), error => error.response.data.error === 'invalid_grant');
+    await assert.rejects(client(null).getAccessToken(), /Google service account not configured/);
+  });
+
+  it('reuses the token until it is about to expire', async () => {
+    const sheets = client();
+    const start = google.tokenRequests.length;
+
+    const first = await sheets.getAccessToken();
+    assert.equal(await sheets.getAccessToken(), first);
+    assert.equal(google.tokenRequests.length, start + 1);
+
+    // Inside the last minute of its lifetime the token is replaced
+    google.setExpiresIn(30);
+    const sheetsShortLived = client();
+    const shortLived = await sheetsShortLived.getAccessToken();
+    assert.notEqual(await sheetsShortLived.getAccessToken(), shortLived);
+    assert.equal(google.tokenRequests.length, start + 3);
+    google.setExpiresIn(3600);
+  });
+
+  it('writes each card to its row with one batchUpdate', async () => {
+    const { updatedCells } = await client().writeResults([
+      { imageUrl: 'https://cdn.example.com/a.png', success: true, timestamp: '2024-01-01T00:00:00.000Z' },
+      null,
+      { success: false, error: 'Figma timed out' },
+      { row: 40, imageUrl: 'https://cdn.example.com/d.png', status: 'cached' }
+    ], {
+      spreadsheetId: 'sheet-letters',
+      range: "'Q1 Cards'!A5",
+      columns: { imageUrl: 'F', status: 'G', error: 'H' }
+    });
+
+    assert.equal(updatedCells, 9);
+    const updates = google.requests.filter(request => request.path.endsWith(':batchUpdate'));
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].body.valueInputOption, 'RAW');
+    assert.equal(google.cells['Q1 Cards!F5'], 'https://cdn.example.com/a.png');
+    assert.equal(google.cells['Q1 Cards!G5'], 'success');
+    assert.equal(google.cells['Q1 Cards!H5'], '');
+    assert.equal(google.cells['Q1 Cards!F6'], undefined);
+    assert.equal(google.cells['Q1 Cards!G7'], 'failed');
+    assert.equal(google.cells['Q1 Cards!H7'], 'Figma timed out');
+    assert.equal(google.cells['Q1 Cards!G40'], 'cached');
+  });
+
+  it('reads the header row to find columns named by header', async () => {
+    Object.assign(google.cells, { 'Sheet1!A1': 'Headline', 'Sheet1!C1': 'Image URL', 'Sheet1!AB1': 'Result' });
+
+    await client().writeResults([{ imageUrl: 'https://cdn.example.com/b.png', success: true }], {
+      spreadsheetId: 'sheet-headers',
+      range: 'Sheet1!A2',
+      columns: { imageUrl: 'image url', status: 'Result', error: 'D' }
+    });
+
+    assert.equal(google.cells['Sheet1!C2'], 'https://cdn.example.com/b.png');
+    assert.equal(google.cells['Sheet1!AB2'], 'success');
+    assert.equal(google.cells['Sheet1!D2'], '');
+
+    await assert.rejects(client().writeResults([{ success: true }], {
+      spreadsheetId: 'sheet-headers',
+      range: 'Sheet1!A2',
+      columns: { status: 'Outcome' }
+    }), { message: "Sheet column 'Outcome' not found in header row 1" });
+  });
+
+  it('retries Sheets requests that fail temporarily', async () => {
+    google.failNext(2);
+
+    const { updatedCells } = await client().writeResults([{ success: true }], {
+      spreadsheetId: 'sheet-retry',
+      range: 'Sheet1!A2',
+      columns: { status: 'B' }
+    });
+
+    assert.equal(updatedCells, 1);
+    assert.equal(google.cells['Sheet1!B2'], 'success');
+  });
+});
@@ -0,0 +1,121 @@
+// env.js
+// Start the fakes and point every module at them and at a scratch directory
+//
+// Modules read their settings when first required, so call setupTestEnv()
+// before requiring any application code (inside before(), not at the top level).
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { startFakeFigma } = require('./fake_figma');
+const { startFakeCloudinary } = require('./fake_cloudinary');
+
+async function setupTestEnv(overrides = {}) {
+  const figma = await startFakeFigma();
+  const cloudinary = await startFakeCloudinary();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-cards-test-'));
+
+  Object.assign(process.env, {
+    FIGMA_TOKEN: 'test-token',
+    FIGMA_FILE_KEY: 'TESTFILE',
+    FIGMA_API_BASE: figma.apiBase,
+    FIGMA_VERSION_TTL_MS: '1',
+    TEMPLATE_SOURCE: 'figma',
+    TEMPLATES_DIR: path.join(dir, 'templates'),
+    UPLOAD_SERVICE: 'cloudinary',
+    CLOUDINARY_URL: cloudinary.cloudinaryUrl,
+    CLOUDINARY_API_BASE: cloudinary.apiBase,
+    LOCAL_STORAGE_DIR: path.join(dir, 'output'),
+    LOCAL_IMAGE_DIR: path.join(dir, 'assets'),
+    // The fakes and receivers listen on loopback, which caller-supplied URLs may only reach when allowlisted
+    IMAGE_URL_ALLOWLIST: '127.0.0.1',
+    WEBHOOK_URL_ALLOWLIST: '127.0.0.1',
+    BASE_IMAGE_CACHE_DIR: path.join(dir, 'cache', 'base-images'),
+    RENDER_CACHE_FILE: path.join(dir, 'cache', 'renders.json'),
+    JOBS_FILE: path.join(dir, 'jobs.json'),
+    RUNS_FILE: path.join(dir, 'runs.jsonl'),
+    WEBHOOK_LOG_FILE: path.join(dir, 'webhooks.jsonl'),
+    API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+    API_KEY_LOG_FILE: path.join(dir, 'api-requests.jsonl'),
+    RETRY_BASE_DELAY_MS: '1',
+    RETRY_MAX_DELAY_MS: '5',
+    WEBHOOK_BASE_DELAY_MS: '1',
+    WEBHOOK_MAX_DELAY_MS: '5',
+    RATE_LIMIT_MAX: '10000',
+    AUTH_TOKEN: '',
+    ALLOW_ANONYMOUS: 'true',
+    GOOGLE_SHEET_ID: '',
+    WEBHOOK_URL: '',
+    ...overrides
+  });
+
+  return {
+    figma,
+    cloudinary,
+    dir,
+    async cleanup() {
+      await Promise.all([figma.close(), cloudinary.close()]);
+      // Request log lines and job saves can still land just after the last response
+      await fs.rm(dir, { recursive: true, force: true, maxRetries: 5, retryDelay: 50 });
+    }
+  };
+}
+
+// Listen on a free port; resolves with { url, close }
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+// Poll `check` until it returns something truthy
+async function waitFor(check, { timeout = 20000, interval = 50 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+// Keep the test output readable; the app logs every step with console.log
+function silenceLogs() {
+  if (process.env.TEST_VERBOSE) return;
+  ['log', 'warn', 'error'].forEach(method => { console[method] = () => {}; });
+}
+
+// Collect the app's JSON log lines (parsed) until stop() puts the console back
+function captureLogs() {
+  const lines = [];
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  const collect = (line) => {
+    try {
+      lines.push(JSON.parse(line));
+    } catch (error) {
+      // Not a log line
+    }
+  };
+  Object.assign(console, { log: collect, warn: collect, error: collect });
+
+  return {
+    lines,
+    stop: () => Object.assign(console, original)
+  };
+}
+
+module.exports = {
+  setupTestEnv,
+  listen,
+  waitFor,
+  silenceLogs,
+  captureLogs
+};
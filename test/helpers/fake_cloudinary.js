@@ -0,0 +1,95 @@
+// fake_cloudinary.js
+// In-process stand-in for Cloudinary's signed upload endpoint
+//
+// Uploads are checked against the API key and secret, kept in memory and served
+// back from /assets/<public_id>.<format> like secure_url on the real CDN.
+
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+
+const API_KEY = 'test-key';
+const API_SECRET = 'test-secret';
+const CLOUD_NAME = 'test-cloud';
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/avif': 'avif'
+};
+
+// Cloudinary's documented scheme, written out independently of cloudinary.js:
+// SHA-1 of the sorted key=value pairs joined with & plus the API secret
+function expectedSignature(params) {
+  const payload = Object.keys(params)
+    .filter(key => !['file', 'api_key', 'resource_type', 'cloud_name', 'signature'].includes(key))
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  return crypto.createHash('sha1').update(payload + API_SECRET).digest('hex');
+}
+
+// Resolves with { url, apiBase, cloudinaryUrl, uploads, failNext, close }
+function startFakeCloudinary() {
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() }).single('file');
+  const uploads = new Map();
+  let failures = 0;
+
+  app.post('/v1_1/:cloud/image/upload', upload, (req, res) => {
+    if (failures > 0) {
+      failures--;
+      return res.status(500).json({ error: { message: 'Temporary failure' } });
+    }
+
+    const { api_key: apiKey, signature, ...params } = req.body;
+    if (req.params.cloud !== CLOUD_NAME || apiKey !== API_KEY) {
+      return res.status(401).json({ error: { message: 'Unknown API key' } });
+    }
+    if (signature !== expectedSignature(params)) {
+      return res.status(401).json({ error: { message: 'Invalid Signature' } });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: { message: 'Missing required parameter - file' } });
+    }
+
+    const format = EXTENSIONS[req.file.mimetype] || 'png';
+    const publicId = params.public_id;
+    const base = `${req.protocol}://${req.get('host')}`;
+    uploads.set(publicId, { buffer: req.file.buffer, contentType: req.file.mimetype, params });
+
+    res.json({
+      public_id: publicId,
+      format,
+      bytes: req.file.size,
+      tags: params.tags ? params.tags.split(',') : [],
+      secure_url: `${base}/assets/${publicId}.${format}`
+    });
+  });
+
+  app.get(/^\/assets\/(.+)\.\w+$/, (req, res) => {
+    const stored = uploads.get(req.params[0]);
+    if (!stored) return res.sendStatus(404);
+    res.type(stored.contentType).send(stored.buffer);
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        apiBase: `${url}/v1_1`,
+        cloudinaryUrl: `cloudinary://${API_KEY}:${API_SECRET}@${CLOUD_NAME}`,
+        uploads,
+        // The next `count` uploads answer 500
+        failNext: (count = 1) => { failures = count; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startFakeCloudinary
+};
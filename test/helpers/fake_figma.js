@@ -0,0 +1,156 @@
+// fake_figma.js
+// In-process stand-in for the Figma REST API: file versions, node trees and PNG exports
+//
+// The template frame is 300x375 at 1x with two TEXT layers, Header and PromoText,
+// whose placeholder copy is drawn as dark bars so placeholder hiding shows up in images.
+
+const express = require('express');
+const sharp = require('sharp');
+
+const FRAME = { x: 1000, y: 2000, width: 300, height: 375 };
+
+// Layer boxes relative to the frame, in 1x pixels
+const LAYERS = {
+  Header: {
+    box: { x: 30, y: 80, width: 240, height: 45 },
+    render: { x: 60, y: 88, width: 180, height: 28 },
+    style: { fontFamily: 'Inter', fontWeight: 700, fontSize: 20, textAlignHorizontal: 'CENTER', textAlignVertical: 'CENTER', lineHeightPx: 24 },
+    color: { r: 0.1, g: 0.1, b: 0.1, a: 1 }
+  },
+  PromoText: {
+    box: { x: 30, y: 210, width: 240, height: 110 },
+    render: { x: 40, y: 214, width: 220, height: 40 },
+    style: { fontFamily: 'Inter', fontWeight: 400, fontSize: 13, textAlignHorizontal: 'CENTER', textAlignVertical: 'TOP', lineHeightPx: 17 },
+    color: { r: 0.4, g: 0.4, b: 0.4, a: 1 }
+  }
+};
+
+const absolute = (box) => ({ x: FRAME.x + box.x, y: FRAME.y + box.y, width: box.width, height: box.height });
+
+function textNode(name, layer, index) {
+  return {
+    id: `1:${20 + index}`,
+    name,
+    type: 'TEXT',
+    absoluteBoundingBox: absolute(layer.box),
+    absoluteRenderBounds: absolute(layer.render),
+    style: layer.style,
+    fills: [{ type: 'SOLID', color: layer.color }],
+    effects: []
+  };
+}
+
+function templateNode(nodeId) {
+  return {
+    id: nodeId,
+    name: 'BaseCard',
+    type: 'COMPONENT',
+    absoluteBoundingBox: FRAME,
+    children: Object.entries(LAYERS).map(([name, layer], i) => textNode(name, layer, i))
+  };
+}
+
+// Background, a header band and placeholder bars, at the requested scale
+function renderTemplate(scale) {
+  const width = Math.round(FRAME.width * scale);
+  const height = Math.round(FRAME.height * scale);
+  const bars = Object.values(LAYERS).map(({ render }) => (
+    `<rect x="${render.x * scale}" y="${render.y * scale}" width="${render.width * scale}" height="${render.height * scale}" fill="#333333"/>`
+  )).join('');
+
+  const svg = `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="${width}" height="${height}" fill="#fdf6e3"/>
+      <rect width="${width}" height="${50 * scale}" fill="#268bd2"/>
+      <circle cx="${width / 2}" cy="${height - 20 * scale}" r="${8 * scale}" fill="#d33682"/>
+      ${bars}
+    </svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// Resolves with { url, apiBase, requests, setVersion, failNext, close }
+function startFakeFigma(options = {}) {
+  const app = express();
+  const state = {
+    version: options.version || '100',
+    lastModified: '2026-01-01T00:00:00Z',
+    requests: [],
+    failures: 0
+  };
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, query: req.query, token: req.get('X-Figma-Token') });
+    if (req.path.startsWith('/v1/') && req.get('X-Figma-Token') !== 'test-token') {
+      return res.status(403).json({ status: 403, err: 'Invalid token' });
+    }
+    if (state.failures > 0 && req.path.startsWith('/v1/')) {
+      state.failures--;
+      return res.status(503).json({ status: 503, err: 'Service unavailable' });
+    }
+    next();
+  });
+
+  app.get('/v1/files/:fileKey', (req, res) => {
+    const file = { name: 'Cards', version: state.version, lastModified: state.lastModified };
+    if (req.query.depth === '1') {
+      return res.json(file);
+    }
+    res.json({
+      ...file,
+      document: {
+        id: '0:0',
+        type: 'DOCUMENT',
+        children: [{
+          id: '0:1',
+          name: 'Templates',
+          type: 'CANVAS',
+          children: [
+            templateNode('1:14'),
+            { id: '2:1', name: 'Sizes', type: 'FRAME', children: [{ id: '2:2', name: 'Badge', type: 'COMPONENT_SET', children: [] }] }
+          ]
+        }]
+      }
+    });
+  });
+
+  app.get('/v1/files/:fileKey/nodes', (req, res) => {
+    const ids = String(req.query.ids || '').split(',');
+    res.json({
+      nodes: Object.fromEntries(ids.map(id => [id, id === '1:14' ? { document: templateNode(id) } : null]))
+    });
+  });
+
+  app.get('/v1/images/:fileKey', (req, res) => {
+    const scale = Number(req.query.scale) || 1;
+    const ids = String(req.query.ids || '').split(',');
+    const base = `${req.protocol}://${req.get('host')}`;
+    res.json({
+      err: null,
+      images: Object.fromEntries(ids.map(id => [id, id === '1:14' ? `${base}/renders/${encodeURIComponent(id)}.png?scale=${scale}` : null]))
+    });
+  });
+
+  app.get('/renders/:id.png', async (req, res) => {
+    res.type('png').send(await renderTemplate(Number(req.query.scale) || 1));
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        apiBase: `${url}/v1`,
+        requests: state.requests,
+        setVersion: (version) => { state.version = version; },
+        // The next `count` API calls answer 503
+        failNext: (count = 1) => { state.failures = count; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  FRAME,
+  startFakeFigma
+};
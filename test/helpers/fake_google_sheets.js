@@ -0,0 +1,105 @@
+// fake_google_sheets.js
+// In-process stand-in for Google's OAuth token endpoint and the Sheets values API
+//
+// The token endpoint verifies the service-account JWT against the public key
+// (RS256, claims, expiry) before handing out a token; the values endpoints
+// accept only tokens it issued. Cells live in memory as { 'Sheet1!F2': value }.
+
+const crypto = require('crypto');
+const express = require('express');
+
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// "'My Sheet'!A1" -> "My Sheet!A1", so tests can look cells up without quotes
+const unquote = (range) => range.replace(/^'((?:[^']|'')+)'!/, (match, sheet) => `${sheet.replace(/''/g, "'")}!`);
+
+function startFakeGoogleSheets({ clientEmail, publicKey }) {
+  const app = express();
+  const cells = {};
+  const tokenRequests = [];
+  const requests = [];
+  const issued = new Set();
+  let expiresIn = 3600;
+  let failures = 0;
+
+  app.post('/token', express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type: grantType, assertion = '' } = req.body;
+    const [header, claims, signature] = assertion.split('.');
+    tokenRequests.push({ grantType, claims: claims && decodeSegment(claims) });
+
+    if (grantType !== 'urn:ietf:params:oauth:grant-type:jwt-bearer' || !signature) {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    const valid = crypto.createVerify('RSA-SHA256').update(`${header}.${claims}`).verify(publicKey, signature, 'base64url');
+    const { alg } = decodeSegment(header);
+    const { iss, scope, aud, iat, exp } = decodeSegment(claims);
+    const now = Math.floor(Date.now() / 1000);
+    if (!valid || alg !== 'RS256' || iss !== clientEmail || scope !== SHEETS_SCOPE ||
+        aud !== `${req.protocol}://${req.get('host')}/token` || exp <= now || exp - iat > 3600) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const token = `ya29.${crypto.randomBytes(8).toString('hex')}`;
+    issued.add(token);
+    res.json({ access_token: token, expires_in: expiresIn, token_type: 'Bearer' });
+  });
+
+  const authorized = (req, res, next) => {
+    requests.push({ method: req.method, path: req.path, body: req.body });
+    if (!issued.has((req.get('authorization') || '').replace(/^Bearer /, ''))) {
+      return res.status(401).json({ error: { code: 401, message: 'Request had invalid authentication credentials.' } });
+    }
+    if (failures > 0) {
+      failures--;
+      return res.status(503).json({ error: { code: 503, message: 'The service is currently unavailable.' } });
+    }
+    next();
+  };
+
+  // Whole-row reads ("Sheet1!1:1") are all the client asks for
+  app.get('/v4/spreadsheets/:id/values/:range', authorized, (req, res) => {
+    const match = unquote(req.params.range).match(/^(.+)!(\d+):\d+$/);
+    if (!match) return res.status(400).json({ error: { code: 400, message: `Unable to parse range: ${req.params.range}` } });
+    const [, sheet, row] = match;
+
+    const values = [];
+    Object.entries(cells).forEach(([cell, value]) => {
+      const [, cellSheet, column, cellRow] = cell.match(/^(.+)!([A-Z]+)(\d+)$/);
+      if (cellSheet !== sheet || cellRow !== row) return;
+      const index = [...column].reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+      values[index] = value;
+    });
+    res.json({ range: req.params.range, majorDimension: 'ROWS', values: values.length ? [Array.from(values, value => value || '')] : [] });
+  });
+
+  app.post(/^\/v4\/spreadsheets\/([\w-]+)\/values:batchUpdate$/, express.json(), authorized, (req, res) => {
+    const { valueInputOption, data = [] } = req.body;
+    if (valueInputOption !== 'RAW' && valueInputOption !== 'USER_ENTERED') {
+      return res.status(400).json({ error: { code: 400, message: 'Invalid valueInputOption' } });
+    }
+    data.forEach(({ range, values }) => { cells[unquote(range)] = values[0][0]; });
+    res.json({ spreadsheetId: req.params[0], totalUpdatedCells: data.length });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        apiBase: `${url}/v4`,
+        tokenUrl: `${url}/token`,
+        cells,
+        tokenRequests,
+        requests,
+        // Lifetime in seconds of the tokens handed out from now on
+        setExpiresIn: (seconds) => { expiresIn = seconds; },
+        // The next `count` Sheets requests answer 503
+        failNext: (count = 1) => { failures = count; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startFakeGoogleSheets };
@@ -0,0 +1,61 @@
+// golden.js
+// Compare rendered images with the reference PNGs in test/golden
+//
+// Run with UPDATE_GOLDEN=1 to rewrite the references after an intended change,
+// then look at the new files before committing them.
+
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+
+// A pixel counts as different when any channel is off by more than `tolerance`;
+// up to `maxDiffRatio` of the pixels may differ (anti-aliasing across libvips builds)
+async function assertMatchesGolden(buffer, name, { tolerance = 24, maxDiffRatio = 0.002 } = {}) {
+  const goldenPath = path.join(GOLDEN_DIR, `${name}.png`);
+
+  if (process.env.UPDATE_GOLDEN) {
+    await fs.mkdir(GOLDEN_DIR, { recursive: true });
+    await sharp(buffer).png().toFile(goldenPath);
+    return;
+  }
+
+  let golden;
+  try {
+    golden = await fs.readFile(goldenPath);
+  } catch (error) {
+    assert.fail(`Missing golden image ${goldenPath} - run the tests with UPDATE_GOLDEN=1 to create it`);
+  }
+
+  const [actual, expected] = await Promise.all([buffer, golden].map(image => (
+    sharp(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true })
+  )));
+
+  assert.deepEqual(
+    [actual.info.width, actual.info.height],
+    [expected.info.width, expected.info.height],
+    `${name}: image size differs from golden`
+  );
+
+  let differing = 0;
+  for (let i = 0; i < actual.data.length; i += 4) {
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(actual.data[i + c] - expected.data[i + c]) > tolerance) {
+        differing++;
+        break;
+      }
+    }
+  }
+
+  const ratio = differing / (actual.info.width * actual.info.height);
+  assert.ok(
+    ratio <= maxDiffRatio,
+    `${name}: ${(ratio * 100).toFixed(2)}% of pixels differ from golden (allowed ${(maxDiffRatio * 100).toFixed(2)}%)`
+  );
+}
+
+module.exports = {
+  assertMatchesGolden
+};
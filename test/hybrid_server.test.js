@@ -0,0 +1,577 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFileSync } = require('child_process');
+const sharp = require('sharp');
+const { setupTestEnv, listen, waitFor, silenceLogs, captureLogs } = require('./helpers/env');
+const { assertMatchesGolden } = require('./helpers/golden');
+
+const AUTH_TOKEN = 'server-test-token';
+const WEBHOOK_SECRET = 'hook-secret';
+
+// Collects webhook requests with their raw bodies
+function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    received,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+describe('hybrid server', () => {
+  let env;
+  let server;
+  let receiver;
+  let verifySignature;
+
+  const api = async (path, { method = 'GET', body, headers = {}, auth = true, token = AUTH_TOKEN } = {}) => {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: {
+        ...(auth ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body !== undefined && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+    const data = type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer());
+    return { status: response.status, headers: response.headers, data };
+  };
+
+  const waitForJob = (jobId) => waitFor(async () => {
+    const { data } = await api(`/api/jobs/${jobId}`);
+    return ['completed', 'failed'].includes(data.job.status) && data.job;
+  });
+
+  before(async () => {
+    env = await setupTestEnv({ AUTH_TOKEN, ALLOW_ANONYMOUS: 'false' });
+    silenceLogs();
+    receiver = await startReceiver();
+    ({ verifySignature } = require('../webhooks'));
+    server = await listen(require('../hybrid_server'));
+  });
+
+  after(async () => {
+    await server.close();
+    await receiver.close();
+    await env.cleanup();
+  });
+
+  it('requires an API key on API routes but not on /health', async () => {
+    const denied = await api('/api/templates', { auth: false });
+    assert.equal(denied.status, 401);
+    assert.equal(denied.data.error, 'Missing API key (Authorization: Bearer <key>)');
+
+    const wrong = await api('/api/templates', { token: 'nope' });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.data.error, 'Invalid or revoked API key');
+
+    const health = await api('/health', { auth: false });
+    assert.equal(health.status, 200);
+    // Every response carries a request ID, made up when the caller sent none
+    assert.match(health.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('GET /health describes the server', async () => {
+    const { status, data } = await api('/health');
+
+    assert.equal(status, 200);
+    assert.equal(data.status, 'healthy');
+    assert.equal(data.mode, 'hybrid-api');
+    assert.equal(data.storage, 'cloudinary');
+    assert.equal(data.templateSource, 'figma');
+    assert.ok(data.features.includes('background-jobs'));
+  });
+
+  it('reads its settings from .env', async () => {
+    // Run from a directory whose .env picks the local backends; the shell sets neither
+    const dir = path.join(env.dir, 'dotenv-hybrid');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, '.env'), 'UPLOAD_SERVICE=local\nTEMPLATE_SOURCE=local\nBATCH_CONCURRENCY=7\n');
+    const { UPLOAD_SERVICE, TEMPLATE_SOURCE, BATCH_CONCURRENCY, ...shell } = process.env;
+    const script = `
+      const app = require(${JSON.stringify(path.join(__dirname, '..', 'hybrid_server'))});
+      const server = app.listen(0, '127.0.0.1', async () => {
+        const health = await (await fetch('http://127.0.0.1:' + server.address().port + '/health')).json();
+        const Automation = require(${JSON.stringify(path.join(__dirname, '..', 'hybrid_figma_api'))});
+        console.log(JSON.stringify({ ...health, concurrency: new Automation().concurrency }));
+        process.exit(0);
+      });
+    `;
+    const output = execFileSync(process.execPath, ['-e', script], { cwd: dir, env: { ...shell, LOG_LEVEL: 'error' }, encoding: 'utf8', timeout: 30000 });
+    const health = JSON.parse(output);
+
+    assert.equal(health.storage, 'local');
+    assert.equal(health.templateSource, 'local');
+    assert.equal(health.concurrency, 7);
+  });
+
+  it('GET /api/figma-components lists the file\'s components', async () => {
+    const { status, data } = await api('/api/figma-components');
+
+    assert.equal(status, 200);
+    assert.deepEqual(data.components.map(c => c.id), ['1:14', '2:2']);
+
+    env.figma.failNext(1);
+    const failed = await api('/api/figma-components');
+    assert.equal(failed.status, 500);
+    assert.equal(failed.data.success, false);
+  });
+
+  it('GET /api/templates lists templates and their slots', async () => {
+    const { data } = await api('/api/templates');
+    const byName = Object.fromEntries(data.templates.map(t => [t.name, t]));
+
+    assert.deepEqual(Object.keys(byName).sort(), ['default', 'sale']);
+    assert.equal(byName.default.nodeId, '1:14');
+    assert.equal(byName.default.pinned, null);
+    assert.ok(byName.sale.slots.all.includes('price'));
+    assert.deepEqual(byName.default.slots.required, ['header', 'promo']);
+  });
+
+  it('GET /api/results answers 404 before any run finished', async () => {
+    const { status, data } = await api('/api/results');
+    assert.equal(status, 404);
+    assert.equal(data.error, 'No results found');
+  });
+
+  it('POST /api/process rejects invalid cards with every error', async () => {
+    const { status, data } = await api('/api/process', {
+      method: 'POST',
+      body: [{ template: 'nope', fields: {} }, { template: 'default', fields: { header: 'ok' }, storage: 'ftp' }]
+    });
+
+    assert.equal(status, 400);
+    assert.equal(data.error, data.errors[0]);
+    assert.deepEqual(data.errors, [
+      "[0].template 'nope' is unknown (available: default, sale)",
+      "[1].storage has unsupported value 'ftp' (use local, s3, cloudinary)",
+      "[1].fields.promo is required for template 'default'"
+    ]);
+  });
+
+  it('POST /api/process rejects a bad webhook option', async () => {
+    const { status, data } = await api('/api/process', {
+      method: 'POST',
+      body: { cards: [{ template: 'default', fields: { header: 'a', promo: 'b' } }], webhook: { url: 'ftp://x', events: ['nope'] } }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(data.errors, [
+      'webhook.url must be an http(s) URL',
+      'webhook.secret is required when WEBHOOK_SECRET is not set',
+      "webhook.events: unknown event 'nope' (use batch.completed, card.failed)"
+    ]);
+  });
+
+  describe('a processed batch', () => {
+    let jobId;
+    let job;
+    let logs;
+    let requestId;
+
+    before(async () => {
+      logs = captureLogs();
+      const { status, headers, data } = await api('/api/process', {
+        method: 'POST',
+        headers: { 'X-Request-Id': 'batch-request-1' },
+        body: {
+          cards: [
+            { template: 'default', fields: { header: 'Batch One', promo: 'First card' } },
+            { template: 'default', fields: { header: 'Batch Two', promo: 'Second card' }, images: { logo: `${env.cloudinary.url}/assets/missing.png` } }
+          ],
+          webhook: { url: receiver.url, secret: WEBHOOK_SECRET }
+        }
+      });
+      assert.equal(status, 202, JSON.stringify(data));
+      jobId = data.jobId;
+      assert.equal(data.statusUrl, `/api/jobs/${jobId}`);
+      assert.equal(data.itemsQueued, 2);
+      requestId = headers.get('x-request-id');
+
+      try {
+        job = await waitForJob(jobId);
+      } finally {
+        logs.stop();
+      }
+    });
+
+    it('tags the job\'s log lines with the request, run and card', async () => {
+      assert.equal(requestId, 'batch-request-1');
+
+      const rendered = logs.lines.filter(line => line.msg === 'card rendered');
+      assert.deepEqual(rendered.map(line => [line.requestId, line.runId, line.cardIndex]), [['batch-request-1', jobId, 0]]);
+
+      const failed = logs.lines.find(line => line.msg === 'failed to process card');
+      assert.equal(failed.level, 'error');
+      assert.equal(failed.cardIndex, 1);
+      assert.match(failed.error.message, /Image slot 'logo'.*404/);
+
+      const request = logs.lines.find(line => line.msg === 'request completed' && line.path === '/api/process');
+      assert.equal(request.requestId, 'batch-request-1');
+      assert.equal(request.status, 202);
+      assert.equal(request.keyName, 'AUTH_TOKEN');
+      assert.ok(!JSON.stringify(logs.lines).includes(AUTH_TOKEN));
+    });
+
+    it('GET /api/jobs/:id reports per-card results and hides the webhook secret', async () => {
+      assert.equal(job.status, 'completed');
+      assert.deepEqual(job.cards.map(card => card.status), ['completed', 'failed']);
+      assert.match(job.cards[0].result.imageUrl, /\/assets\/figma-cards\/default-batch-one-/);
+      assert.match(job.cards[1].result.error, /404/);
+      assert.equal(job.options.webhook.secret, '[redacted]');
+
+      // The jobs file never holds the secret
+      const stored = JSON.parse(await fs.readFile(path.join(env.dir, 'jobs.json'), 'utf8'));
+      assert.deepEqual(stored.find(entry => entry.id === jobId).options.webhook, { url: receiver.url, secretNotStored: true });
+      assert.ok(!JSON.stringify(stored).includes(WEBHOOK_SECRET));
+
+      const missing = await api('/api/jobs/not-a-job');
+      assert.equal(missing.status, 404);
+    });
+
+    it('sends signed card.failed and batch.completed webhooks', async () => {
+      await waitFor(() => receiver.received.length >= 2);
+      const byEvent = Object.fromEntries(receiver.received.map(r => [r.headers['x-webhook-event'], r]));
+
+      for (const request of Object.values(byEvent)) {
+        assert.ok(verifySignature(request.body, request.headers['x-webhook-signature'], WEBHOOK_SECRET));
+      }
+      const completed = JSON.parse(byEvent['batch.completed'].body);
+      assert.equal(completed.runId, jobId);
+      assert.deepEqual(completed.summary, { total: 2, successful: 1, failed: 1 });
+
+      const failed = JSON.parse(byEvent['card.failed'].body);
+      assert.equal(failed.card.index, 1);
+    });
+
+    it('GET /api/results returns the newest run\'s results', async () => {
+      const { status, data } = await api('/api/results');
+
+      assert.equal(status, 200);
+      assert.equal(data.runId, jobId);
+      assert.deepEqual(data.results.map(result => result.success), [true, false]);
+    });
+
+    it('GET /api/runs, /api/runs/:id and /api/runs/:id/cards page through the history', async () => {
+      const list = await api('/api/runs?engine=hybrid');
+      assert.ok(list.data.runs.some(run => run.id === jobId));
+
+      const run = await api(`/api/runs/${jobId}`);
+      assert.equal(run.data.run.status, 'completed');
+      assert.equal(run.data.run.source, 'json');
+      assert.deepEqual(run.data.run.summary, { total: 2, recorded: 2, successful: 1, failed: 1 });
+      assert.equal(run.data.run.options.webhook.secret, '[redacted]');
+
+      const cards = await api(`/api/runs/${jobId}/cards?status=failed`);
+      assert.equal(cards.data.total, 1);
+      assert.equal(cards.data.cards[0].index, 1);
+
+      const missing = await api('/api/runs/nope');
+      assert.equal(missing.status, 404);
+      assert.equal((await api('/api/runs/nope/cards')).status, 404);
+    });
+
+    it('GET /api/webhooks/deliveries lists deliveries and POST .../redeliver sends one again', async () => {
+      await waitFor(async () => {
+        const { data } = await api(`/api/webhooks/deliveries?runId=${jobId}&status=delivered`);
+        return data.total === 2;
+      });
+
+      const { data } = await api(`/api/webhooks/deliveries?runId=${jobId}&event=batch.completed`);
+      assert.equal(data.deliveries.length, 1);
+      const [delivery] = data.deliveries;
+      assert.equal(delivery.url, receiver.url);
+      assert.equal(delivery.lastStatusCode, 200);
+
+      const detail = await api(`/api/webhooks/deliveries/${delivery.id}`);
+      assert.equal(detail.data.delivery.payload.deliveryId, delivery.id);
+      assert.equal(detail.data.delivery.attempts.length, 1);
+
+      const before = receiver.received.length;
+      const redelivered = await api(`/api/webhooks/deliveries/${delivery.id}/redeliver`, { method: 'POST' });
+      assert.equal(redelivered.status, 202);
+      await waitFor(() => receiver.received.length > before);
+      assert.equal(receiver.received[before].headers['x-webhook-delivery'], delivery.id);
+
+      assert.equal((await api('/api/webhooks/deliveries/nope')).status, 404);
+      assert.equal((await api('/api/webhooks/deliveries/nope/redeliver', { method: 'POST' })).status, 404);
+    });
+
+    it('GET /api/cache shows the cached base image and DELETE purges it', async () => {
+      const cache = await api('/api/cache');
+      assert.equal(cache.status, 200);
+      assert.ok(cache.data.entries.length >= 1);
+      assert.ok(cache.data.renders);
+
+      const renders = await api('/api/cache/renders?template=default', { method: 'DELETE' });
+      assert.equal(renders.status, 200);
+      assert.ok(renders.data.removed >= 1);
+
+      const purged = await api('/api/cache?nodeId=1:14', { method: 'DELETE' });
+      assert.ok(purged.data.removed >= 1);
+      assert.equal((await api('/api/cache')).data.entries.length, 0);
+    });
+  });
+
+  describe('POST /api/process/upload', () => {
+    const upload = (contents, filename, fields = {}) => {
+      const form = new FormData();
+      form.append('file', new Blob([contents], { type: 'text/csv' }), filename);
+      Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+      return api('/api/process/upload', { method: 'POST', body: form });
+    };
+
+    it('queues one card per row', async () => {
+      const csv = 'Headline,promo,Notes\nFrom CSV,Row one,x\nAgain,Row two,y\n';
+      const { status, data } = await upload(csv, 'cards.csv', { template: 'default', mapping: 'Headline=header' });
+
+      assert.equal(status, 202, JSON.stringify(data));
+      assert.equal(data.itemsQueued, 2);
+      assert.deepEqual(data.ignoredColumns, ['Notes']);
+
+      const job = await waitForJob(data.jobId);
+      assert.deepEqual(job.cards.map(card => card.status), ['completed', 'completed']);
+      assert.equal(job.options.source, 'upload');
+    });
+
+    it('reports row errors and unsupported files', async () => {
+      const bad = await upload('template,header\nnope,Hi\n', 'cards.csv', { options: '{"force":"yes"}' });
+      assert.equal(bad.status, 400);
+      assert.deepEqual(bad.data.errors, [
+        'options.force must be a boolean',
+        "Row 2: template 'nope' is unknown (available: default, sale)"
+      ]);
+
+      const wrongType = await upload('hello', 'cards.txt');
+      assert.equal(wrongType.status, 400);
+      assert.match(wrongType.data.error, /Unsupported file type '\.txt'/);
+
+      const missing = await api('/api/process/upload', { method: 'POST', body: new FormData() });
+      assert.equal(missing.status, 400);
+    });
+
+    it('queues the rows of an XLSX upload and refuses unreadable or .xls files', async () => {
+      const ExcelJS = require('exceljs');
+      const book = new ExcelJS.Workbook();
+      book.addWorksheet('Cards').addRows([['template', 'Headline', 'promo', 'price'], ['sale', 'From XLSX', 'Row one', 12]]);
+      const xlsx = Buffer.from(await book.xlsx.writeBuffer());
+
+      const { status, data } = await upload(xlsx, 'cards.xlsx', { mapping: '{"Headline":"header"}' });
+      assert.equal(status, 202, JSON.stringify(data));
+      assert.equal(data.itemsQueued, 1);
+      const job = await waitForJob(data.jobId);
+      assert.equal(job.cards[0].status, 'completed');
+
+      const corrupt = await upload('not a workbook', 'cards.xlsx');
+      assert.equal(corrupt.status, 400);
+      assert.match(corrupt.data.error, /^Could not read upload: /);
+
+      const legacy = await upload(xlsx, 'cards.xls');
+      assert.equal(legacy.status, 400);
+      assert.match(legacy.data.error, /Unsupported file type '\.xls' \(use \.csv, \.xlsx\)/);
+    });
+  });
+
+  describe('POST /api/test', () => {
+    it('processes one card synchronously, with sample text by default', async () => {
+      const { status, data } = await api('/api/test', { method: 'POST', body: { template: 'default' } });
+
+      assert.equal(status, 200);
+      assert.equal(data.result.success, true);
+      assert.deepEqual(data.result.fields, { header: 'Test Header', promo: 'Test Promo Text' });
+    });
+
+    it('rejects an unknown template', async () => {
+      const { status, data } = await api('/api/test', { method: 'POST', body: { template: 'nope' } });
+      assert.equal(status, 400);
+      assert.equal(data.success, false);
+    });
+
+    it('stores local cards that GET /files/* serves back', async () => {
+      const { data } = await api('/api/test', {
+        method: 'POST',
+        body: { template: 'default', fields: { header: 'Local', promo: 'Stored on disk' }, storage: 'local' }
+      });
+      assert.equal(data.result.success, true, data.result.error);
+
+      const file = await api(new URL(data.result.imageUrl).pathname);
+      assert.equal(file.status, 200);
+      assert.equal(file.headers.get('content-type'), 'image/png');
+      assert.equal((await sharp(file.data).metadata()).width, 600);
+    });
+  });
+
+  describe('POST /api/preview', () => {
+    it('returns the rendered image with debug guides (golden)', async () => {
+      const { status, headers, data } = await api('/api/preview', {
+        method: 'POST',
+        body: {
+          template: 'default',
+          fields: { header: 'Preview', promo: 'A preview that is never stored anywhere at all' },
+          debug: true
+        }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'image/png');
+      assert.equal(headers.get('cache-control'), 'no-store');
+      assert.equal(headers.get('x-template-version'), '100');
+      assert.equal(headers.get('x-text-fit'), 'header=fit;promo=fit');
+      assert.equal(headers.get('content-disposition'), 'inline; filename="preview-default.png"');
+      await assertMatchesGolden(data, 'preview-debug');
+    });
+
+    it('encodes the requested format and size without uploading', async () => {
+      const uploads = env.cloudinary.uploads.size;
+      const { status, headers, data } = await api('/api/preview', {
+        method: 'POST',
+        body: { template: 'default', fields: { header: 'Small', promo: 'Preview' }, format: 'jpeg', width: 300 }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'image/jpeg');
+      assert.deepEqual([headers.get('x-image-width'), headers.get('x-image-height')], ['300', '375']);
+      assert.equal((await sharp(data).metadata()).format, 'jpeg');
+      assert.equal(env.cloudinary.uploads.size, uploads);
+    });
+
+    it('leaves out X-Template-Version when the template has no version', async () => {
+      env.figma.setVersion(undefined);
+      try {
+        const { status, headers } = await api('/api/preview', {
+          method: 'POST',
+          body: { template: 'default', fields: { header: 'Unversioned', promo: 'Preview' } }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-template-version'), null);
+      } finally {
+        env.figma.setVersion('100');
+      }
+    });
+
+    it('rejects invalid options', async () => {
+      const { status, data } = await api('/api/preview', {
+        method: 'POST',
+        body: { template: 'default', fields: { header: 'x' }, format: 'gif', debug: 'yes', scale: 8, width: 100000 }
+      });
+
+      assert.equal(status, 400);
+      assert.ok(data.errors.includes('preview.debug must be true or false'));
+      assert.ok(data.errors.some(error => /gif/.test(error)));
+      assert.ok(data.errors.includes('preview.scale must be at most 4'));
+      assert.ok(data.errors.includes('preview.width must be at most 8192 pixels'));
+    });
+  });
+
+  describe('API keys', () => {
+    let key;
+    let token;
+
+    it('creates a key and shows its token once', async () => {
+      const { status, data } = await api('/api/keys', {
+        method: 'POST',
+        body: { name: 'renderer', scopes: ['render'], rateLimit: 3 }
+      });
+
+      assert.equal(status, 201);
+      assert.match(data.token, /^fk_[0-9a-f]{12}_/);
+      assert.equal(data.key.name, 'renderer');
+      assert.equal(data.key.hash, undefined);
+      ({ key, token } = data);
+
+      const stored = await fs.readFile(process.env.API_KEYS_FILE, 'utf8');
+      assert.ok(!stored.includes(token.split('_')[2]));
+
+      const list = await api('/api/keys');
+      assert.ok(list.data.keys.some(listed => listed.id === key.id && listed.active));
+    });
+
+    it('rejects unknown scopes', async () => {
+      const { status, data } = await api('/api/keys', { method: 'POST', body: { name: 'x', scopes: ['everything'] } });
+
+      assert.equal(status, 400);
+      assert.match(data.error, /unknown scope 'everything'/);
+    });
+
+    it('limits a key to its scopes', async () => {
+      const preview = await api('/api/preview', {
+        method: 'POST',
+        token,
+        body: { template: 'default', fields: { header: 'Scoped', promo: 'key' }, format: 'jpeg' }
+      });
+      assert.equal(preview.status, 200);
+
+      const cache = await api('/api/cache', { token });
+      assert.equal(cache.status, 403);
+      assert.equal(cache.data.error, "API key 'renderer' lacks the 'admin-templates' scope");
+
+      assert.equal((await api('/api/keys', { token })).status, 403);
+    });
+
+    it('gives each key its own rate limit', async () => {
+      // Three requests were made with the key so far
+      const limited = await api('/api/templates', { token });
+      assert.equal(limited.status, 429);
+
+      assert.equal((await api('/api/templates')).status, 200);
+    });
+
+    it('logs every request against its key', async () => {
+      const { status, data } = await waitFor(async () => {
+        const response = await api(`/api/keys/${key.id}/requests`);
+        return response.data.total >= 4 && response;
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(
+        data.requests.map(entry => `${entry.method} ${entry.path} ${entry.status}`),
+        ['GET /api/templates 429', 'GET /api/keys 403', 'GET /api/cache 403', 'POST /api/preview 200']
+      );
+    });
+
+    it('refuses a revoked key', async () => {
+      const { status, data } = await api(`/api/keys/${key.id}`, { method: 'DELETE' });
+      assert.equal(status, 200);
+      assert.equal(data.key.active, false);
+
+      const revoked = await api('/api/templates', { token });
+      assert.equal(revoked.status, 401);
+      assert.equal(revoked.data.error, 'Invalid or revoked API key');
+    });
+  });
+
+  it('GET /metrics serves Prometheus metrics without an API key', async () => {
+    const { status, headers, data } = await api('/metrics', { auth: false });
+    const text = data.toString();
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/plain/);
+    assert.match(text, /^figma_cards_cards_total\{template="default",result="success",error_class="none"\} \d+$/m);
+    assert.match(text, /^figma_cards_stage_duration_seconds_count\{stage="upload",result="success"\} \d+$/m);
+    assert.match(text, /^figma_cards_upstream_responses_total\{service="figma",operation="images",status="200"\} \d+$/m);
+    assert.match(text, /^figma_cards_queue_jobs\{status="queued"\} 0$/m);
+    assert.match(text, /^figma_cards_process_cpu_seconds_total /m);
+  });
+
+  it('answers 404 with the list of endpoints', async () => {
+    const { status, data } = await api('/api/nope');
+
+    assert.equal(status, 404);
+    assert.equal(data.error, 'Endpoint not found');
+    assert.ok(data.availableEndpoints['POST /api/preview']);
+  });
+});
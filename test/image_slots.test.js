@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const sharp = require('sharp');
+const { setupTestEnv, silenceLogs } = require('./helpers/env');
+
+// Serves a PNG at /image.png (no validators) and /tagged.png (with an ETag),
+// and redirects /moved to `location`
+function startImageHost(png, location) {
+  let image = png;
+  const server = http.createServer((req, res) => {
+    if (req.url === '/moved') {
+      res.writeHead(302, { Location: location });
+      return res.end();
+    }
+    const headers = { 'Content-Type': 'image/png' };
+    if (req.url === '/tagged.png') {
+      headers.ETag = `"${crypto.createHash('md5').update(image).digest('hex')}"`;
+    }
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : image);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    setImage: (buffer) => { image = buffer; },
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+describe('card image URLs', () => {
+  let env;
+  let host;
+  let loadImageSource;
+  let imageVersion;
+
+  before(async () => {
+    env = await setupTestEnv({ IMAGE_URL_ALLOWLIST: '' });
+    silenceLogs();
+    ({ imageVersion, loadImageSource } = require('../image_slots'));
+    const png = await sharp({ create: { width: 4, height: 4, channels: 4, background: '#000' } }).png().toBuffer();
+    host = await startImageHost(png, 'http://169.254.169.254/latest/meta-data/');
+  });
+
+  after(async () => {
+    await host.close();
+    await env.cleanup();
+  });
+
+  it('refuses loopback, private and link-local hosts without an allowlist', async () => {
+    const internal = [
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.8/logo.png',
+      `http://127.0.0.1:${host.port}/image.png`,
+      `http://localhost:${host.port}/image.png`,
+      `http://[::1]:${host.port}/image.png`,
+      `http://[::ffff:127.0.0.1]:${host.port}/image.png`
+    ];
+    for (const url of internal) {
+      await assert.rejects(loadImageSource(url), /is an internal address/, url);
+    }
+  });
+
+  it('fetches internal hosts that are allowlisted', async () => {
+    const buffer = await loadImageSource(`http://127.0.0.1:${host.port}/image.png`, { allowlist: ['127.0.0.1'] });
+    assert.equal((await sharp(buffer).metadata()).width, 4);
+
+    await assert.rejects(
+      loadImageSource(`http://localhost:${host.port}/image.png`, { allowlist: ['127.0.0.1'] }),
+      /Image host 'localhost' is not in IMAGE_URL_ALLOWLIST/
+    );
+  });
+
+  it('does not follow redirects', async () => {
+    await assert.rejects(
+      loadImageSource(`http://127.0.0.1:${host.port}/moved`, { allowlist: ['127.0.0.1'] }),
+      /Image URL redirects \(HTTP 302\)/
+    );
+  });
+
+  it('versions an image by its ETag, or by its bytes without one', async () => {
+    const options = { allowlist: ['127.0.0.1'] };
+    const tagged = `http://127.0.0.1:${host.port}/tagged.png`;
+    const plain = `http://127.0.0.1:${host.port}/image.png`;
+    const original = [await imageVersion(tagged, options), await imageVersion(plain, options)];
+    assert.match(original[0].etag, /^"[0-9a-f]{32}"$/);
+    assert.match(original[1].sha256, /^[0-9a-f]{64}$/);
+
+    host.setImage(await sharp({ create: { width: 4, height: 4, channels: 4, background: '#fff' } }).png().toBuffer());
+    try {
+      assert.notDeepEqual(await imageVersion(tagged, options), original[0]);
+      assert.notDeepEqual(await imageVersion(plain, options), original[1]);
+    } finally {
+      host.setImage(await sharp({ create: { width: 4, height: 4, channels: 4, background: '#000' } }).png().toBuffer());
+    }
+
+    await assert.rejects(imageVersion(`http://127.0.0.1:${host.port}/moved`, options), /Image URL redirects/);
+    assert.equal(await imageVersion('data:image/png;base64,AAAA'), null);
+  });
+});
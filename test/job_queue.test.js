@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { setupTestEnv, waitFor, silenceLogs } = require('./helpers/env');
+
+// Completes every card at once, echoing its input back as the result
+const automation = {
+  async processBatch(inputs, { onCardStart, onCardComplete }) {
+    inputs.forEach((input, i) => {
+      onCardStart(i);
+      onCardComplete(i, { success: true, header: input.fields.header });
+    });
+  }
+};
+
+const card = header => ({ template: 'default', fields: { header, promo: 'x' }, images: { logo: 'data:image/png;base64,AAAA' } });
+
+describe('job queue', () => {
+  let env;
+  let JobQueue;
+
+  // `finished` collects the IDs of jobs whose completion hook ran - the last step of a job
+  const queueAt = (name, options = {}) => {
+    const queue = new JobQueue(automation, {
+      filePath: path.join(env.dir, name, 'jobs.json'),
+      onJobComplete: job => { queue.finished.push(job.id); },
+      ...options
+    });
+    queue.finished = [];
+    return queue;
+  };
+
+  const readJson = async file => JSON.parse(await fs.readFile(file, 'utf8'));
+
+  before(async () => {
+    env = await setupTestEnv();
+    silenceLogs();
+    JobQueue = require('../job_queue');
+  });
+
+  after(() => env.cleanup());
+
+  it('writes card inputs once and coalesces card status saves', async () => {
+    await fs.mkdir(path.join(env.dir, 'coalesced'));
+    const queue = queueAt('coalesced', { saveInterval: 60000 });
+    let writes = 0;
+    const write = queue.write.bind(queue);
+    queue.write = () => { writes++; return write(); };
+
+    const inputs = Array.from({ length: 20 }, (value, i) => card(`Card ${i}`));
+    const job = await queue.enqueue(inputs);
+    assert.deepEqual(await readJson(queue.inputsPath(job.id)), inputs);
+
+    await waitFor(() => queue.finished.includes(job.id));
+
+    // Queued, started, finished - not one write per card status change
+    assert.ok(writes <= 3, `${writes} writes`);
+    const [stored] = await readJson(queue.filePath);
+    assert.equal(stored.cards.length, 20);
+    assert.ok(stored.cards.every(entry => entry.status === 'completed' && !('input' in entry)));
+    await assert.rejects(fs.access(queue.inputsPath(job.id)), { code: 'ENOENT' });
+  });
+
+  it('resumes an interrupted job with its stored inputs', async () => {
+    const dir = path.join(env.dir, 'resumed');
+    await fs.mkdir(path.join(dir, 'job-inputs'), { recursive: true });
+    const job = (id, cards) => ({
+      id, status: 'running', options: {}, createdAt: '2024-01-01T00:00:00.000Z', startedAt: null, completedAt: null, error: null, cards
+    });
+    await fs.writeFile(path.join(dir, 'jobs.json'), JSON.stringify([
+      job('with-inputs', [{ index: 0, status: 'completed', result: { success: true } }, { index: 1, status: 'processing', result: null }]),
+      job('inline', [{ index: 0, status: 'pending', input: card('Inline'), result: null }]),
+      job('lost', [{ index: 0, status: 'pending', result: null }])
+    ]));
+    await fs.writeFile(path.join(dir, 'job-inputs', 'with-inputs.json'), JSON.stringify([card('First'), card('Second')]));
+
+    const queue = queueAt('resumed');
+    await queue.load();
+    await waitFor(() => ['with-inputs', 'inline'].every(id => queue.finished.includes(id)));
+
+    assert.deepEqual(queue.getJob('with-inputs').cards.map(entry => entry.result.header), [undefined, 'Second']);
+    assert.equal(queue.getJob('inline').cards[0].result.header, 'Inline');
+    const lost = queue.getJob('lost');
+    assert.equal(lost.status, 'failed');
+    assert.match(lost.error, /Card inputs were lost/);
+
+    const stored = await readJson(path.join(dir, 'jobs.json'));
+    assert.ok(!JSON.stringify(stored).includes('"input"'));
+    assert.deepEqual(await fs.readdir(path.join(dir, 'job-inputs')), []);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, silenceLogs } = require('./helpers/env');
+
+describe('metrics', () => {
+  let env;
+  let metrics;
+  let automation;
+
+  // Current value of one series, 0 when it hasn't been recorded
+  const value = async (name, labels) => {
+    const metric = metrics.register.getSingleMetric(`figma_cards_${name}`);
+    const { values } = await metric.get();
+    const match = values.find(entry => Object.entries(labels).every(([key, wanted]) => entry.labels[key] === wanted));
+    return match ? match.value : 0;
+  };
+
+  before(async () => {
+    env = await setupTestEnv();
+    silenceLogs();
+    metrics = require('../metrics');
+    const Automation = require('../hybrid_figma_api');
+    automation = new Automation();
+  });
+
+  after(() => env.cleanup());
+
+  it('records stages, upstream statuses, cache lookups and the card result', async () => {
+    env.figma.failNext(1);
+    const result = await automation.processCard({ template: 'default', fields: { header: 'Metrics', promo: 'one' } });
+    assert.equal(result.success, true);
+
+    for (const stage of ['export', 'download', 'overlay', 'encode', 'upload']) {
+      assert.equal(await value('stage_duration_seconds', { stage, result: 'success', le: '+Inf' }), 1, stage);
+    }
+    assert.equal(await value('upstream_responses_total', { service: 'figma', operation: 'file', status: '503' }), 1);
+    assert.equal(await value('upstream_responses_total', { service: 'figma', operation: 'images', status: '200' }), 1);
+    assert.equal(await value('upstream_responses_total', { service: 'cloudinary', operation: 'upload', status: '200' }), 1);
+    assert.equal(await value('cards_total', { template: 'default', result: 'success', error_class: 'none' }), 1);
+
+    await automation.processCard({ template: 'default', fields: { header: 'Metrics', promo: 'one' } });
+    assert.equal(await value('cache_lookups_total', { cache: 'render', result: 'hit' }), 1);
+    assert.equal(await value('cache_hit_ratio', { cache: 'render' }), 0.5);
+  });
+
+  it('counts failed cards by error class', async () => {
+    const { FigmaTemplateSource } = require('../template_source');
+    const Automation = require('../hybrid_figma_api');
+    const unauthorized = new Automation({ templateSource: new FigmaTemplateSource({ token: 'wrong' }) });
+
+    await unauthorized.processCard({ template: 'default', fields: { header: 'a', promo: 'b' } });
+    await automation.processCard({ template: 'nope', fields: { header: 'x' } });
+
+    assert.equal(await value('upstream_responses_total', { service: 'figma', status: '403' }), 1);
+    assert.equal(await value('cards_total', { template: 'default', result: 'failure', error_class: 'http_4xx' }), 1);
+    assert.equal(await value('cards_total', { template: 'unknown', result: 'failure', error_class: 'other' }), 1);
+  });
+
+  it('classifies errors', () => {
+    const http = status => Object.assign(new Error('HTTP'), { response: { status } });
+
+    assert.equal(metrics.errorClass(http(429)), 'rate_limited');
+    assert.equal(metrics.errorClass(http(502)), 'http_5xx');
+    assert.equal(metrics.errorClass(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })), 'network');
+    assert.equal(metrics.errorClass(Object.assign(new Error('slow'), { code: 'ECONNABORTED' })), 'timeout');
+    assert.equal(metrics.errorClass(new Error('bad svg')), 'other');
+  });
+
+  it('reports the depth of tracked job queues', async () => {
+    metrics.trackJobQueue({
+      jobs: new Map([
+        ['a', { status: 'running', cards: [{ status: 'completed' }, { status: 'processing' }, { status: 'pending' }] }],
+        ['b', { status: 'queued', cards: [{ status: 'pending' }] }],
+        ['c', { status: 'completed', cards: [{ status: 'completed' }] }]
+      ])
+    });
+
+    assert.equal(await value('queue_jobs', { status: 'queued' }), 1);
+    assert.equal(await value('queue_jobs', { status: 'running' }), 1);
+    assert.equal(await value('queue_cards_pending', {}), 3);
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { setupTestEnv, silenceLogs } = require('./helpers/env');
+const { assertMatchesGolden } = require('./helpers/golden');
+
+const uploadedImage = (env, result) => {
+  const stored = env.cloudinary.uploads.get(result.renditions[0].key);
+  assert.ok(stored, `no upload stored for ${result.renditions[0].key}`);
+  return stored;
+};
+
+describe('rendering pipeline', () => {
+  let env;
+  let Automation;
+  let automation;
+  let logo;
+
+  before(async () => {
+    env = await setupTestEnv();
+    silenceLogs();
+    Automation = require('../hybrid_figma_api');
+    automation = new Automation();
+
+    const png = await sharp({ create: { width: 80, height: 40, channels: 4, background: '#2aa198' } }).png().toBuffer();
+    logo = `data:image/png;base64,${png.toString('base64')}`;
+  });
+
+  after(() => env.cleanup());
+
+  describe('processCard', () => {
+    it('exports, overlays and uploads a card (golden)', async () => {
+      const result = await automation.processCard({
+        template: 'default',
+        fields: { header: 'New Arrivals', promo: 'Check out our latest collection of amazing products' },
+        images: { logo }
+      });
+
+      assert.equal(result.success, true, result.error);
+      assert.equal(result.cached, false);
+      assert.equal(result.templateVersion, '100');
+      assert.match(result.imageUrl, new RegExp(`^${env.cloudinary.url}/assets/figma-cards/default-new-arrivals-[0-9a-f]{10}\\.png$`));
+      assert.deepEqual(result.attempts, { export: 1, download: 1, upload: 1 });
+      assert.equal(result.textFit.header.status, 'fit');
+
+      // Zones come from the Header/PromoText layers at 2x
+      const exportCall = env.figma.requests.find(request => request.path === '/v1/images/TESTFILE');
+      assert.equal(exportCall.query.scale, '2');
+      assert.equal(exportCall.token, 'test-token');
+
+      const stored = uploadedImage(env, result);
+      assert.equal(stored.params.overwrite, 'true');
+      assert.equal(stored.params.tags, 'figma,automation,default');
+      await assertMatchesGolden(stored.buffer, 'process-card-default');
+    });
+
+    it('reuses the earlier upload for an identical card', async () => {
+      const card = { template: 'default', fields: { header: 'Twice', promo: 'Same copy' } };
+      const first = await automation.processCard(card);
+      const uploads = env.cloudinary.uploads.size;
+      const second = await automation.processCard(card);
+
+      assert.equal(second.cached, true);
+      assert.equal(second.imageUrl, first.imageUrl);
+      assert.equal(second.renderHash, first.renderHash);
+      assert.equal(env.cloudinary.uploads.size, uploads);
+
+      const forced = await automation.processCard({ ...card, force: true });
+      assert.equal(forced.cached, false);
+    });
+
+    it('renders again when a local image changes behind the same path', async () => {
+      const dir = path.join(env.dir, 'assets');
+      const file = path.join(dir, 'swap.png');
+      const write = async (background, mtime) => {
+        await fs.writeFile(file, await sharp({ create: { width: 40, height: 40, channels: 4, background } }).png().toBuffer());
+        await fs.utimes(file, mtime, mtime);
+      };
+      await fs.mkdir(dir, { recursive: true });
+      await write('#cb4b16', new Date('2024-01-01T00:00:00Z'));
+
+      const card = { template: 'default', fields: { header: 'Swapped', promo: 'Same path' }, images: { logo: 'swap.png' } };
+      const first = await automation.processCard(card);
+      const again = await automation.processCard(card);
+      assert.equal(first.success, true, first.error);
+      assert.equal(again.cached, true);
+
+      await write('#6c71c4', new Date('2024-01-02T00:00:00Z'));
+      const changed = await automation.processCard(card);
+      assert.equal(changed.cached, false);
+      assert.notEqual(changed.renderHash, first.renderHash);
+      assert.notDeepEqual(uploadedImage(env, changed).buffer, uploadedImage(env, first).buffer);
+    });
+
+    it('stores cards that differ only in their renditions under different keys', async () => {
+      const card = { template: 'default', fields: { header: 'Sizes', promo: 'Same copy' } };
+      const large = await automation.processCard({ ...card, renditions: [{ format: 'png', width: 1080 }] });
+      const small = await automation.processCard({ ...card, renditions: [{ format: 'png', width: 500 }] });
+
+      assert.equal(small.cached, false);
+      assert.notEqual(small.renditions[0].key, large.renditions[0].key);
+      assert.equal((await sharp(uploadedImage(env, large).buffer).metadata()).width, 1080);
+      assert.equal((await sharp(uploadedImage(env, small).buffer).metadata()).width, 500);
+    });
+
+    it('retries a failed upload', async () => {
+      env.cloudinary.failNext(1);
+      const result = await automation.processCard({ template: 'default', fields: { header: 'Retry', promo: 'Upload' } });
+
+      assert.equal(result.success, true, result.error);
+      assert.equal(result.attempts.upload, 2);
+    });
+
+    it('encodes every rendition of the template', async () => {
+      const result = await automation.processCard({
+        template: 'sale',
+        fields: { header: 'Summer Sale', promo: '50% off', price: '$19.99' }
+      });
+
+      assert.equal(result.success, true, result.error);
+      assert.deepEqual(
+        result.renditions.map(r => [r.name, r.format, r.width, r.height]),
+        [['square', 'webp', 1080, 1080], ['social', 'jpeg', 1200, 628], ['retina', 'avif', 600, 750]]
+      );
+      const formats = await Promise.all(result.renditions.map(async r => {
+        const stored = env.cloudinary.uploads.get(r.key);
+        return (await sharp(stored.buffer).metadata()).format;
+      }));
+      assert.deepEqual(formats, ['webp', 'jpeg', 'heif']);
+    });
+
+    it('returns a failed result instead of throwing', async () => {
+      const result = await automation.processCard({ template: 'nope', fields: { header: 'x' } });
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, "Unknown template 'nope'");
+      assert.equal(typeof result.durationMs, 'number');
+    });
+
+    it('reports a rejected Figma token', async () => {
+      const unauthorized = new Automation({
+        templateSource: new (require('../template_source').FigmaTemplateSource)({ token: 'wrong' })
+      });
+      const result = await unauthorized.processCard({ template: 'default', fields: { header: 'a', promo: 'b' } });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /403/);
+    });
+  });
+
+  describe('processBatch', () => {
+    it('keeps results in card order and reports progress', async () => {
+      const started = [];
+      const completed = [];
+      const cards = ['One', 'Two', 'Three', 'Four'].map(header => ({
+        template: 'default',
+        fields: { header, promo: `Card ${header}` }
+      }));
+      cards.splice(2, 0, { template: 'missing', fields: {} });
+
+      const results = await automation.processBatch(cards, {
+        concurrency: 2,
+        onCardStart: i => started.push(i),
+        onCardComplete: (i, result) => completed.push([i, result.success])
+      });
+
+      assert.deepEqual(results.map(r => r.success), [true, true, false, true, true]);
+      assert.deepEqual(results.map(r => r.fields.header), ['One', 'Two', undefined, 'Three', 'Four']);
+      assert.deepEqual(started.sort(), [0, 1, 2, 3, 4]);
+      assert.deepEqual(completed.sort((a, b) => a[0] - b[0]), [[0, true], [1, true], [2, false], [3, true], [4, true]]);
+    });
+
+    it('fails a null card without failing the batch', async () => {
+      const results = await automation.processBatch([null, { template: 'default', fields: { header: 'After null', promo: 'ok' } }]);
+
+      assert.equal(results[0].success, false);
+      assert.match(results[0].error, /null/);
+      assert.equal(results[1].success, true, results[1].error);
+    });
+
+    it('exports the template once per version', async () => {
+      const exportsBefore = env.figma.requests.filter(r => r.path === '/v1/images/TESTFILE').length;
+      await automation.processBatch([
+        { template: 'default', fields: { header: 'Cache A', promo: 'x' } },
+        { template: 'default', fields: { header: 'Cache B', promo: 'y' } }
+      ]);
+      const exportsAfter = env.figma.requests.filter(r => r.path === '/v1/images/TESTFILE').length;
+      assert.equal(exportsAfter, exportsBefore);
+
+      env.figma.setVersion('101');
+      const [result] = await automation.processBatch([{ template: 'default', fields: { header: 'Cache C', promo: 'z' } }]);
+      assert.equal(result.templateVersion, '101');
+      assert.equal(result.baseImageCached, false);
+      env.figma.setVersion('100');
+    });
+  });
+
+  describe('getFigmaFileStructure', () => {
+    it('lists components and component sets with their page paths', async () => {
+      const components = await automation.getFigmaFileStructure();
+
+      assert.deepEqual(components, [
+        { id: '1:14', name: 'BaseCard', type: 'COMPONENT', path: 'Templates/Templates' },
+        { id: '2:2', name: 'Badge', type: 'COMPONENT_SET', path: 'Templates/Templates/Sizes' }
+      ]);
+    });
+
+    it('surfaces Figma errors', async () => {
+      env.figma.failNext(1);
+      await assert.rejects(() => automation.getFigmaFileStructure(), /503/);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { setupTestEnv } = require('./helpers/env');
+
+describe('renditions', () => {
+  let env;
+  let renditions;
+
+  before(async () => {
+    env = await setupTestEnv({ RENDITION_MAX_DIMENSION: '400' });
+    renditions = require('../renditions');
+  });
+
+  after(() => env.cleanup());
+
+  it('rejects scales above 4 and sides above RENDITION_MAX_DIMENSION', () => {
+    assert.deepEqual(renditions.validateRendition({ format: 'png', scale: 4, width: 400, height: 400 }), []);
+    assert.deepEqual(renditions.validateRendition({ format: 'png', scale: 4.5, width: 401, height: 1e9 }, 'preview'), [
+      'preview.width must be at most 400 pixels',
+      'preview.height must be at most 400 pixels',
+      'preview.scale must be at most 4'
+    ]);
+    assert.deepEqual(renditions.validateRenditions([{ format: 'webp', scale: 10 }]), [
+      'renditions[0].scale must be at most 4'
+    ]);
+  });
+
+  it('never exports above 4x, whatever a template asks for', () => {
+    assert.equal(renditions.getExportScale([{ scale: 1 }]), 2);
+    assert.equal(renditions.getExportScale([{ scale: 3 }, { scale: 1 }]), 3);
+    assert.equal(renditions.getExportScale([{ scale: 100 }]), 4);
+  });
+
+  it('clamps oversized template renditions when encoding', async () => {
+    const source = await sharp({ create: { width: 200, height: 100, channels: 4, background: '#268bd2' } }).png().toBuffer();
+
+    const sized = await renditions.renderRendition(source, { format: 'png', width: 5000 }, 2);
+    assert.deepEqual([sized.width, sized.height], [400, 200]);
+
+    const scaled = await renditions.renderRendition(source, { format: 'jpeg', scale: 50 }, 4);
+    assert.deepEqual([scaled.width, scaled.height], [200, 100]);
+  });
+});
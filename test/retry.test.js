@@ -0,0 +1,41 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, silenceLogs } = require('./helpers/env');
+
+describe('retry', () => {
+  let env;
+  let retry;
+
+  const throttled = retryAfter => Object.assign(new Error('Request failed with status code 429'), {
+    isAxiosError: true,
+    response: { status: 429, headers: { 'retry-after': retryAfter } }
+  });
+
+  before(async () => {
+    env = await setupTestEnv();
+    silenceLogs();
+    retry = require('../retry');
+  });
+
+  after(() => env.cleanup());
+
+  it('waits as long as Retry-After asks, up to maxDelay', () => {
+    assert.equal(retry.getRetryDelay(throttled('2'), 1, 100, 30000), 2000);
+    assert.equal(retry.getRetryDelay(throttled('86400'), 1, 100, 30000), 30000);
+    const date = new Date(Date.now() + 3600 * 1000).toUTCString();
+    assert.equal(retry.getRetryDelay(throttled(date), 1, 100, 5000), 5000);
+  });
+
+  it('does not stall on a huge Retry-After', async () => {
+    let calls = 0;
+    const started = Date.now();
+    const result = await retry.withRetry(async () => {
+      calls++;
+      if (calls === 1) throw throttled('3600');
+      return 'done';
+    }, { attempts: 2, baseDelay: 1, maxDelay: 20 });
+
+    assert.equal(result, 'done');
+    assert.ok(Date.now() - started < 1000);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { setupTestEnv } = require('./helpers/env');
+
+// An .xlsx buffer with one worksheet per entry of `sheets` ({ name: rows })
+async function workbook(sheets) {
+  const book = new ExcelJS.Workbook();
+  Object.entries(sheets).forEach(([name, rows]) => book.addWorksheet(name).addRows(rows));
+  return Buffer.from(await book.xlsx.writeBuffer());
+}
+
+describe('spreadsheet import', () => {
+  let env;
+  let importSpreadsheet;
+  let parseColumnMap;
+
+  before(async () => {
+    env = await setupTestEnv();
+    ({ importSpreadsheet, parseColumnMap } = require('../spreadsheet_import'));
+  });
+
+  after(() => env.cleanup());
+
+  it('turns CSV rows into cards, keeping values as typed', async () => {
+    const csv = '\ufefftemplate,header,promo,price,images.logo\nsale,"Big, bold",1/2 off,007,\n,Plain,Row three,,https://example.com/logo.png\n';
+
+    const { cards, errors, ignoredColumns } = await importSpreadsheet(Buffer.from(csv), 'cards.csv', { template: 'default' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(ignoredColumns, []);
+    assert.deepEqual(cards, [
+      { template: 'sale', fields: { header: 'Big, bold', promo: '1/2 off', price: '007' }, images: {}, row: 2 },
+      { template: 'default', fields: { header: 'Plain', promo: 'Row three' }, images: { logo: 'https://example.com/logo.png' }, row: 3 }
+    ]);
+  });
+
+  it('reads the first or the named worksheet of an XLSX file', async () => {
+    const buffer = await workbook({
+      First: [['header', 'promo', 'price'], ['Numbers', 'and dates', 19.5], [], ['Dated', new Date(Date.UTC(2024, 0, 31)), '']],
+      Second: [['header', 'promo'], ['From', 'the second sheet']]
+    });
+
+    const first = await importSpreadsheet(buffer, 'cards.xlsx', { template: 'sale' });
+    assert.deepEqual(first.errors, []);
+    assert.deepEqual(first.cards.map(card => [card.row, card.fields]), [
+      [2, { header: 'Numbers', promo: 'and dates', price: '19.5' }],
+      [4, { header: 'Dated', promo: '2024-01-31' }]
+    ]);
+
+    const second = await importSpreadsheet(buffer, 'cards.xlsx', { worksheet: 'Second' });
+    assert.deepEqual(second.cards.map(card => card.fields), [{ header: 'From', promo: 'the second sheet' }]);
+
+    await assert.rejects(importSpreadsheet(buffer, 'cards.xlsx', { worksheet: 'Third' }), {
+      message: "Worksheet 'Third' not found (available: First, Second)"
+    });
+  });
+
+  it('maps headers before reading them and reports the ones it ignored', async () => {
+    const csv = 'Headline,Body,Photo,Notes,Owner\nHello,World,https://example.com/a.png,x,sam\n';
+
+    const { cards, ignoredColumns } = await importSpreadsheet(Buffer.from(csv), 'cards.csv', {
+      mapping: 'Headline=header, Body=promo, Photo=images.logo, Owner='
+    });
+
+    assert.deepEqual(cards[0].fields, { header: 'Hello', promo: 'World' });
+    assert.deepEqual(cards[0].images, { logo: 'https://example.com/a.png' });
+    assert.deepEqual(ignoredColumns, ['Notes']);
+
+    assert.deepEqual(parseColumnMap('{"Headline":"header"}'), { Headline: 'header' });
+    assert.deepEqual(parseColumnMap('A=fields.a,=x,B'), { A: 'fields.a', B: '' });
+  });
+
+  it('reports row-numbered errors, empty sheets and unreadable files', async () => {
+    const invalid = await importSpreadsheet(Buffer.from('template,header\nnope,Hi\ndefault,\n'), 'cards.csv', {
+      batchOptions: { force: 'yes' }
+    });
+    assert.deepEqual(invalid.errors, [
+      'options.force must be a boolean',
+      "Row 2: template 'nope' is unknown (available: default, sale)",
+      "Row 3: fields.header is required for template 'default'",
+      "Row 3: fields.promo is required for template 'default'"
+    ]);
+
+    assert.deepEqual((await importSpreadsheet(Buffer.from(''), 'cards.csv')).errors, ['Spreadsheet is empty']);
+    assert.deepEqual((await importSpreadsheet(Buffer.from('header,promo\n'), 'cards.csv')).errors, [
+      'Spreadsheet has a header row but no data rows'
+    ]);
+
+    await assert.rejects(importSpreadsheet(Buffer.from('not a zip'), 'cards.xlsx'));
+    await assert.rejects(importSpreadsheet(Buffer.from('header\n"unterminated\n'), 'cards.csv'));
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { setupTestEnv, silenceLogs } = require('./helpers/env');
+const { assertMatchesGolden } = require('./helpers/golden');
+
+const plainCard = (width, height) => sharp({
+  create: { width, height, channels: 4, background: '#ffffff' }
+}).png().toBuffer();
+
+describe('text overlay', () => {
+  let env;
+  let automation;
+  let TEMPLATE_CONFIG;
+
+  before(async () => {
+    env = await setupTestEnv();
+    silenceLogs();
+    const Automation = require('../hybrid_figma_api');
+    ({ TEMPLATE_CONFIG } = require('../template_config'));
+    automation = new Automation();
+  });
+
+  after(() => env.cleanup());
+
+  describe('createTextSvg', () => {
+    it('draws every zone that has text as glyph outlines', () => {
+      const textFit = {};
+      const svg = automation.createTextSvg(
+        { header: 'Hello', promo: 'World' },
+        600,
+        750,
+        TEMPLATE_CONFIG.default.textZones,
+        textFit
+      ).toString();
+
+      assert.match(svg, /^\s*<svg width="600" height="750"/);
+      assert.match(svg, /class="zone-header"/);
+      assert.match(svg, /class="zone-promo"/);
+      // Glyphs are referenced, never drawn with <text> and a host font
+      assert.match(svg, /<use xlink:href="#/);
+      assert.doesNotMatch(svg, /<text/);
+      assert.deepEqual(Object.keys(textFit).sort(), ['header', 'promo']);
+      assert.equal(textFit.header.status, 'fit');
+    });
+
+    it('skips empty and missing fields', () => {
+      const textFit = {};
+      const svg = automation.createTextSvg(
+        { header: '', promo: null },
+        600,
+        750,
+        TEMPLATE_CONFIG.default.textZones,
+        textFit
+      ).toString();
+
+      assert.doesNotMatch(svg, /class="zone-/);
+      assert.deepEqual(textFit, {});
+    });
+
+    it('escapes zone names and reports shrunk text', () => {
+      const textFit = {};
+      const svg = automation.createTextSvg(
+        { 'odd name': 'A headline that is far too long to fit on one line at the starting size' },
+        600,
+        750,
+        { 'odd name': { box: { x: 0.1, y: 0.1, width: 0.8, height: 0.1 }, fontSize: 0.06, minFontSize: 0.02, maxLines: 1 } },
+        textFit
+      ).toString();
+
+      assert.match(svg, /class="zone-odd_name"/);
+      assert.equal(textFit['odd name'].status, 'shrunk');
+      assert.ok(textFit['odd name'].fontSize < 36);
+    });
+  });
+
+  describe('addTextOverlay', () => {
+    it('composites the text onto the image (golden)', async () => {
+      const textFit = {};
+      const output = await automation.addTextOverlay(
+        await plainCard(600, 750),
+        { header: 'Spring Collection', promo: 'Fresh styles for the new season, available in every store from Monday.' },
+        'default',
+        null,
+        textFit
+      );
+
+      const { width, height, format } = await sharp(output).metadata();
+      assert.deepEqual([width, height, format], [600, 750, 'png']);
+      assert.equal(textFit.promo.status, 'fit');
+      await assertMatchesGolden(output, 'text-overlay-default');
+    });
+
+    it('falls back to the default template for unknown templates', async () => {
+      const textFit = {};
+      await automation.addTextOverlay(await plainCard(300, 375), { header: 'Hi', promo: 'There' }, 'missing', null, textFit);
+      assert.deepEqual(Object.keys(textFit).sort(), ['header', 'promo']);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { setupTestEnv, listen, silenceLogs } = require('./helpers/env');
+
+describe('webhooks', () => {
+  let env;
+  let webhooksRouter;
+  let redactWebhook;
+  let resolveWebhookTargets;
+  let storableWebhook;
+  let validateWebhookOptions;
+  let WebhookDispatcher;
+
+  before(async () => {
+    // No allowlist: request callbacks may go anywhere but internal hosts
+    env = await setupTestEnv({ WEBHOOK_URL_ALLOWLIST: '' });
+    silenceLogs();
+    ({ WebhookDispatcher, redactWebhook, resolveWebhookTargets, storableWebhook, validateWebhookOptions, webhooksRouter } = require('../webhooks'));
+  });
+
+  after(() => env.cleanup());
+
+  it('refuses callback URLs on internal addresses', () => {
+    for (const host of ['127.0.0.1:8080', '169.254.169.254', '10.0.0.5', '[::1]']) {
+      const errors = validateWebhookOptions({ url: `http://${host}/hooks`, secret: 's' });
+      assert.match(errors[0], /is an internal address/, host);
+    }
+    assert.deepEqual(validateWebhookOptions({ url: 'https://hooks.example.com/cards', secret: 's' }), []);
+  });
+
+  it('does not deliver to a name that resolves to an internal address', async () => {
+    let received = 0;
+    const receiver = http.createServer((req, res) => {
+      received++;
+      res.end('ok');
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const dispatcher = new WebhookDispatcher({ filePath: path.join(env.dir, 'internal-hooks.jsonl') });
+
+    try {
+      const [id] = await dispatcher.dispatch('batch.completed', { runId: 'run-1' }, {
+        webhook: { url: `http://localhost:${receiver.address().port}/hooks`, secret: 's' }
+      });
+      await dispatcher.inFlight.get(id);
+
+      const delivery = dispatcher.getDelivery(id);
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.attempts.length, 1);
+      assert.match(delivery.attempts[0].error, /Webhook host 'localhost' is an internal address/);
+      assert.equal(received, 0);
+    } finally {
+      await new Promise(resolve => receiver.close(resolve));
+    }
+  });
+
+  it('answers 500 when a redelivery fails', async () => {
+    const express = require('express');
+    const dispatcher = { redeliver: async () => { throw new Error('log unavailable'); } };
+    const app = express();
+    app.use('/webhooks', webhooksRouter(express, dispatcher, () => (req, res, next) => next()));
+    const server = await listen(app);
+
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const response = await fetch(`${server.url}/webhooks/deliveries/abc/redeliver`, {
+        method: 'POST',
+        signal: AbortSignal.timeout(10000)
+      });
+
+      assert.equal(response.status, 500);
+      assert.deepEqual(await response.json(), { success: false, error: 'log unavailable' });
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+      await server.close();
+    }
+  });
+
+  it('stores a request webhook without its secret and skips it once the secret is gone', () => {
+    const webhook = { url: 'https://hooks.example.com/cards', secret: 'per-request', events: ['batch.completed'] };
+    const stored = storableWebhook(webhook);
+
+    assert.deepEqual(stored, { url: 'https://hooks.example.com/cards', events: ['batch.completed'], secretNotStored: true });
+    assert.equal(resolveWebhookTargets(webhook)[0].secret, 'per-request');
+    // What a job resumed after a restart has: no secret to sign with
+    assert.deepEqual(resolveWebhookTargets(stored), []);
+  });
+
+  it('shows a webhook lost on restart in job and run views', () => {
+    const webhook = { url: 'https://hooks.example.com/cards', secret: 'per-request' };
+
+    assert.deepEqual(redactWebhook(webhook), { url: 'https://hooks.example.com/cards', secret: '[redacted]' });
+    assert.deepEqual(redactWebhook(storableWebhook(webhook)), { url: 'https://hooks.example.com/cards', delivery: 'lost-on-restart' });
+    assert.deepEqual(redactWebhook({ url: 'https://hooks.example.com/cards' }), { url: 'https://hooks.example.com/cards' });
+  });
+});
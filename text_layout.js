@@ -0,0 +1,217 @@
+// text_layout.js
+// Resolve declarative text zones and render them as SVG fragments
+//
+// Text is drawn as glyph outlines taken from the local font registry, so the
+// overlay never depends on fonts installed on the host (librsvg ignores
+// @font-face and would silently fall back to a system font).
+//
+// Zone units: box x/width are fractions of the image width, box y/height
+// fractions of the image height. fontSize, minFontSize and shadow offsets/blur
+// are fractions of the image width, so a zone looks the same at any export scale.
+
+const { fitText, measureText, getVerticalMetrics } = require('./text_metrics');
+
+const DEFAULT_ZONE = {
+  box: { x: 0.1, y: 0.1, width: 0.8, height: 0.2 },
+  align: 'center',
+  verticalAlign: 'top',
+  fontFamily: 'Inter',
+  fontWeight: 400,
+  fontStyle: 'normal',
+  fontSize: 0.04,
+  minFontSize: null,
+  color: '#1a1a1a',
+  lineHeight: 1.3,
+  maxLines: null,
+  shadow: null
+};
+
+const escapeXml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Merge a zone with the defaults and convert fractions to pixels
+function resolveZone(zone, width, height) {
+  const merged = {
+    ...DEFAULT_ZONE,
+    ...zone,
+    box: { ...DEFAULT_ZONE.box, ...(zone && zone.box) }
+  };
+
+  const shadow = merged.shadow && {
+    offsetX: 0.002,
+    offsetY: 0.002,
+    blur: 0.002,
+    color: 'rgba(0,0,0,0.3)',
+    ...merged.shadow
+  };
+
+  return {
+    ...merged,
+    box: {
+      x: merged.box.x * width,
+      y: merged.box.y * height,
+      width: merged.box.width * width,
+      height: merged.box.height * height
+    },
+    fontSize: Math.round(merged.fontSize * width),
+    minFontSize: merged.minFontSize ? Math.round(merged.minFontSize * width) : null,
+    shadow: shadow && {
+      offsetX: shadow.offsetX * width,
+      offsetY: shadow.offsetY * width,
+      blur: shadow.blur * width,
+      color: shadow.color
+    }
+  };
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Work out line positions for a text inside a resolved zone
+function layoutZone(text, zone) {
+  const { box } = zone;
+  const fit = fitText(text, zone);
+  const { lines, fontSize, face } = fit;
+  const lineHeight = fontSize * zone.lineHeight;
+
+  const blockHeight = lines.length * lineHeight;
+  let top = box.y;
+  if (zone.verticalAlign === 'middle') {
+    top = box.y + (box.height - blockHeight) / 2;
+  } else if (zone.verticalAlign === 'bottom') {
+    top = box.y + box.height - blockHeight;
+  }
+
+  // Center the glyphs vertically inside each line box
+  const { ascent, descent } = getVerticalMetrics(face.font, fontSize);
+  const baselineOffset = (lineHeight - (ascent - descent)) / 2 + ascent;
+
+  return {
+    face,
+    fontSize,
+    fit: {
+      status: fit.status,
+      fontSize,
+      lines: lines.length,
+      font: face.file
+    },
+    lines: lines.map((line, index) => {
+      const width = measureText(line, face.font, fontSize);
+      let x = box.x;
+      if (zone.align === 'center') {
+        x = box.x + (box.width - width) / 2;
+      } else if (zone.align === 'right') {
+        x = box.x + box.width - width;
+      }
+      return {
+        text: line,
+        x,
+        y: top + index * lineHeight + baselineOffset,
+        top: top + index * lineHeight,
+        width,
+        height: lineHeight
+      };
+    })
+  };
+}
+
+// Render one zone as glyph outlines. Glyph paths are collected in `glyphs`
+// (id -> path data) so the caller can emit each one once in <defs>.
+function renderZoneSvg(name, text, zone, glyphs = new Map()) {
+  const layout = layoutZone(text, zone);
+  const { font, id: faceId } = layout.face;
+  const scale = layout.fontSize / font.unitsPerEm;
+  const safeName = String(name).replace(/[^\w-]/g, '_');
+  const filterId = `${safeName}-shadow`;
+
+  const lineGroups = layout.lines.map(line => {
+    const run = font.layout(line.text);
+    let penX = 0;
+
+    const uses = run.glyphs.map((glyph, i) => {
+      const position = run.positions[i];
+      const glyphId = `${faceId}-g${glyph.id}`;
+      const pathData = glyph.path.toSVG();
+      const x = penX + position.xOffset;
+      penX += position.xAdvance;
+
+      if (!pathData) return '';
+      if (!glyphs.has(glyphId)) glyphs.set(glyphId, pathData);
+      return `<use xlink:href="#${glyphId}" x="${round(x)}" y="${round(position.yOffset)}"/>`;
+    }).join('');
+
+    // Font units are y-up, so flip while scaling to pixels
+    return `
+          <g transform="translate(${round(line.x)} ${round(line.y)}) scale(${scale} ${-scale})">${uses}</g>`;
+  }).join('');
+
+  const shadow = zone.shadow ? `
+        <g fill="${escapeXml(zone.shadow.color)}" filter="url(#${filterId})" transform="translate(${round(zone.shadow.offsetX)} ${round(zone.shadow.offsetY)})">${lineGroups}
+        </g>` : '';
+
+  const filter = zone.shadow ? `
+        <filter id="${filterId}" x="-10%" y="-10%" width="120%" height="120%">
+          <feGaussianBlur stdDeviation="${round(zone.shadow.blur)}"/>
+        </filter>` : '';
+
+  return {
+    fit: layout.fit,
+    defs: filter,
+    body: `
+        <g class="zone-${safeName}">${shadow}
+        <g fill="${escapeXml(zone.color)}">${lineGroups}
+        </g>
+        </g>`
+  };
+}
+
+// Debug guides for one zone: the zone box, each wrapped line's extent and its
+// baseline. The box is coloured by how the text fitted; an empty zone is grey.
+const GUIDE_COLORS = {
+  fit: '#2a9d8f',
+  shrunk: '#f4a261',
+  truncated: '#e63946',
+  overflow: '#e63946',
+  empty: '#8d99ae'
+};
+
+function renderZoneGuides(name, text, zone) {
+  const { box } = zone;
+  const safeName = String(name).replace(/[^\w-]/g, '_');
+  const hasText = text !== undefined && text !== null && text !== '';
+  const layout = hasText ? layoutZone(text, zone) : null;
+  const color = GUIDE_COLORS[layout ? layout.fit.status : 'empty'];
+  const stroke = Math.max(1, Math.round(box.width / 400));
+
+  const lines = layout ? layout.lines.map(line => `
+          <rect x="${round(line.x)}" y="${round(line.top)}" width="${round(line.width)}" height="${round(line.height)}" fill="${color}" fill-opacity="0.15"/>
+          <line x1="${round(box.x)}" y1="${round(line.y)}" x2="${round(box.x + box.width)}" y2="${round(line.y)}" stroke="${color}" stroke-width="${stroke}" stroke-opacity="0.6"/>`).join('') : '';
+
+  return `
+        <g class="guide-${safeName}">
+          <rect x="${round(box.x)}" y="${round(box.y)}" width="${round(box.width)}" height="${round(box.height)}" fill="none" stroke="${color}" stroke-width="${stroke * 2}" stroke-dasharray="${stroke * 8} ${stroke * 4}"/>${lines}
+        </g>`;
+}
+
+// Emit collected glyph outlines as reusable <path> definitions
+function renderGlyphDefs(glyphs) {
+  return [...glyphs.entries()]
+    .map(([id, pathData]) => `
+          <path id="${id}" d="${pathData}"/>`)
+    .join('');
+}
+
+module.exports = {
+  DEFAULT_ZONE,
+  escapeXml,
+  resolveZone,
+  layoutZone,
+  renderZoneSvg,
+  renderZoneGuides,
+  renderGlyphDefs
+};
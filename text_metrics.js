@@ -0,0 +1,103 @@
+// text_metrics.js
+// Glyph-accurate text measurement and fitting using registry fonts
+
+const { fontRegistry } = require('./font_registry');
+
+// Width of a string in pixels at the given size
+function measureText(text, font, fontSize) {
+  return font.layout(String(text)).advanceWidth * fontSize / font.unitsPerEm;
+}
+
+// Ascent and descent in pixels (descent is negative)
+function getVerticalMetrics(font, fontSize) {
+  return {
+    ascent: font.ascent * fontSize / font.unitsPerEm,
+    descent: font.descent * fontSize / font.unitsPerEm
+  };
+}
+
+// Greedy line breaking by measured width
+function wrapMeasured(text, maxWidth, font, fontSize) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let currentLine = '';
+  let overflow = false;
+
+  words.forEach(word => {
+    if (measureText(word, font, fontSize) > maxWidth) overflow = true;
+
+    const candidate = currentLine ? `${currentLine} ${word}` : word;
+    if (currentLine && measureText(candidate, font, fontSize) > maxWidth) {
+      lines.push(currentLine);
+      currentLine = word;
+    } else {
+      currentLine = candidate;
+    }
+  });
+
+  if (currentLine) lines.push(currentLine);
+  return { lines, overflow };
+}
+
+// Shorten the last kept line until it fits with an ellipsis
+function truncateLines(lines, maxLines, maxWidth, font, fontSize) {
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+
+  while (last && measureText(`${last}…`, font, fontSize) > maxWidth) {
+    last = last.includes(' ') ? last.slice(0, last.lastIndexOf(' ')) : last.slice(0, -1);
+  }
+  kept[maxLines - 1] = `${(last || '').replace(/[\s.,;:!?-]+$/, '')}…`;
+  return kept;
+}
+
+// Fit text into a resolved zone, shrinking down to zone.minFontSize if needed.
+// status is 'fit', 'shrunk', 'truncated' or 'overflow'.
+// Throws if the zone's font family isn't installed.
+function fitText(text, zone, registry = fontRegistry) {
+  const face = registry.resolve(zone.fontFamily, zone.fontWeight, zone.fontStyle);
+  const { font } = face;
+  const maxWidth = zone.box.width;
+  const minFontSize = Math.min(zone.minFontSize || zone.fontSize, zone.fontSize);
+
+  const maxLinesAt = (fontSize) => zone.maxLines ||
+    Math.max(1, Math.floor(zone.box.height / (fontSize * zone.lineHeight)));
+
+  let fontSize = zone.fontSize;
+  let wrapped = wrapMeasured(text, maxWidth, font, fontSize);
+
+  while (
+    fontSize > minFontSize &&
+    (wrapped.overflow || wrapped.lines.length > maxLinesAt(fontSize))
+  ) {
+    fontSize = Math.max(minFontSize, fontSize - 1);
+    wrapped = wrapMeasured(text, maxWidth, font, fontSize);
+  }
+
+  const maxLines = maxLinesAt(fontSize);
+  let lines = wrapped.lines;
+  let status = fontSize < zone.fontSize ? 'shrunk' : 'fit';
+
+  if (lines.length > maxLines) {
+    lines = truncateLines(lines, maxLines, maxWidth, font, fontSize);
+    status = 'truncated';
+  }
+  if (wrapped.overflow) {
+    status = 'overflow';
+  }
+
+  return {
+    lines,
+    fontSize,
+    status,
+    face
+  };
+}
+
+module.exports = {
+  measureText,
+  getVerticalMetrics,
+  wrapMeasured,
+  truncateLines,
+  fitText
+};
@@ -0,0 +1,438 @@
+// webhooks.js
+// Signed callbacks when a batch finishes or a card fails, with a queryable delivery log
+//
+// Callers register a URL per request ({ webhook: { url, secret, events } }) or
+// globally with WEBHOOK_URL / WEBHOOK_SECRET; both receive the event when set.
+// Each POST carries:
+//   X-Webhook-Event       batch.completed | card.failed
+//   X-Webhook-Delivery    delivery ID (the same across retries and redeliveries)
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of the raw body with the secret>
+// The body holds its own deliveryId and createdAt, so receivers can drop replays.
+//
+// The log is append-only JSON Lines, replayed on start like the run history:
+//   { type: 'delivery', delivery: { id, event, url, runId, body, signature, createdAt } }
+//   { type: 'attempt',  id, attempt: { number, statusCode, error, durationMs, at } }
+//   { type: 'finish',   id, status, completedAt }
+// Secrets are never written to it - the signature is computed once up front -
+// nor to the jobs file (storableWebhook). A job resumed after a restart can't
+// call its request webhook; its job and run views show delivery: 'lost-on-restart'.
+//
+// Request callback URLs may not point at internal hosts (host_guard.js) and
+// redirects are never followed; hosts in WEBHOOK_URL_ALLOWLIST and the
+// operator's own WEBHOOK_URL are trusted.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { withRetry } = require('./retry');
+const { isInternalAddress, publicOnlyAgents, unwrapRefusal, urlHost } = require('./host_guard');
+const { logger: rootLogger } = require('./logger');
+
+const logger = rootLogger.child({ component: 'webhooks' });
+
+const WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_LOG_FILE = process.env.WEBHOOK_LOG_FILE || path.join(__dirname, 'webhooks.jsonl');
+const WEBHOOK_ATTEMPTS = parseInt(process.env.WEBHOOK_ATTEMPTS, 10) || 6;
+const WEBHOOK_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_BASE_DELAY_MS, 10) || 2000;
+const WEBHOOK_MAX_DELAY_MS = parseInt(process.env.WEBHOOK_MAX_DELAY_MS, 10) || 5 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// Optional comma-separated list of hosts callback URLs may point at
+const WEBHOOK_URL_ALLOWLIST = (process.env.WEBHOOK_URL_ALLOWLIST || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const WEBHOOK_EVENTS = ['batch.completed', 'card.failed'];
+// Callbacks to untrusted hosts may not reach internal addresses
+const publicAgents = publicOnlyAgents('Webhook', 'WEBHOOK_URL_ALLOWLIST');
+const DELIVERIES_PAGE_LIMIT = 100;
+
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// For receivers (and tests): constant-time check of an X-Webhook-Signature header
+function verifySignature(body, signature, secret) {
+  const expected = Buffer.from(signPayload(body, secret));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// List every problem with a request's `webhook` option
+function validateWebhookOptions(webhook, where = 'webhook') {
+  if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  if (typeof webhook.url !== 'string' || !/^https?:\/\//i.test(webhook.url)) {
+    errors.push(`${where}.url must be an http(s) URL`);
+  } else {
+    let host = null;
+    try {
+      host = urlHost(webhook.url);
+    } catch (error) {
+      errors.push(`${where}.url is not a valid URL`);
+    }
+    if (host && WEBHOOK_URL_ALLOWLIST.length > 0 && !WEBHOOK_URL_ALLOWLIST.includes(host)) {
+      errors.push(`${where}.url host '${host}' is not in WEBHOOK_URL_ALLOWLIST`);
+    } else if (host && !WEBHOOK_URL_ALLOWLIST.includes(host) && isInternalAddress(host)) {
+      errors.push(`${where}.url host '${host}' is an internal address; add it to WEBHOOK_URL_ALLOWLIST to allow it`);
+    }
+  }
+  if (webhook.secret !== undefined && (typeof webhook.secret !== 'string' || webhook.secret === '')) {
+    errors.push(`${where}.secret must be a non-empty string`);
+  }
+  if (webhook.secret === undefined && !WEBHOOK_SECRET) {
+    errors.push(`${where}.secret is required when WEBHOOK_SECRET is not set`);
+  }
+  if (webhook.events !== undefined) {
+    if (!Array.isArray(webhook.events) || webhook.events.length === 0) {
+      errors.push(`${where}.events must be a non-empty array (${WEBHOOK_EVENTS.join(', ')})`);
+    } else {
+      webhook.events
+        .filter(event => !WEBHOOK_EVENTS.includes(event))
+        .forEach(event => errors.push(`${where}.events: unknown event '${event}' (use ${WEBHOOK_EVENTS.join(', ')})`));
+    }
+  }
+  return errors;
+}
+
+// Copy of a request's webhook option that is safe to show in job and run views.
+// One whose secret didn't survive a restart says so, since it will not be called
+function redactWebhook(webhook) {
+  if (webhook && webhook.secretNotStored && webhook.secret === undefined) {
+    const { secretNotStored, ...rest } = webhook;
+    return { ...rest, delivery: 'lost-on-restart' };
+  }
+  if (!webhook || webhook.secret === undefined) return webhook;
+  return { ...webhook, secret: '[redacted]' };
+}
+
+// Copy of a request's webhook option to write to disk: the secret stays in memory.
+// A job resumed after a restart has lost it, so its request target is skipped
+function storableWebhook(webhook) {
+  if (!webhook || webhook.secret === undefined) return webhook;
+  const { secret, ...rest } = webhook;
+  return { ...rest, secretNotStored: true };
+}
+
+// Request target first, then the global one; the same URL is only called once
+function resolveWebhookTargets(webhook) {
+  const targets = [];
+  if (webhook && webhook.url && webhook.secretNotStored && !webhook.secret) {
+    logger.warn('webhook secret was not kept across the restart - not calling the request webhook', { url: webhook.url });
+  } else if (webhook && webhook.url) {
+    targets.push({
+      url: webhook.url,
+      secret: webhook.secret || WEBHOOK_SECRET,
+      events: webhook.events || WEBHOOK_EVENTS
+    });
+  }
+  if (WEBHOOK_URL && WEBHOOK_SECRET) {
+    targets.push({
+      url: WEBHOOK_URL,
+      secret: WEBHOOK_SECRET,
+      events: process.env.WEBHOOK_EVENTS ? process.env.WEBHOOK_EVENTS.split(',').map(event => event.trim()) : WEBHOOK_EVENTS
+    });
+  }
+  return targets.filter((target, i) => targets.findIndex(other => other.url === target.url) === i);
+}
+
+// What a receiver needs to know about one card, without echoing its whole input
+function cardSummary(card) {
+  const result = card.result || {};
+  return {
+    index: card.index,
+    status: card.status,
+    row: result.row,
+    template: result.template,
+    imageUrl: result.imageUrl || null,
+    renditions: result.renditions,
+    cached: result.cached,
+    error: result.error || null
+  };
+}
+
+class WebhookDispatcher {
+  // options.http is any axios-compatible client, e.g. one pointed at a local receiver
+  constructor(options = {}) {
+    this.filePath = options.filePath || WEBHOOK_LOG_FILE;
+    this.http = options.http || axios;
+    this.retryOptions = {
+      attempts: WEBHOOK_ATTEMPTS,
+      baseDelay: WEBHOOK_BASE_DELAY_MS,
+      maxDelay: WEBHOOK_MAX_DELAY_MS,
+      ...options.retry
+    };
+    this.timeout = options.timeout || WEBHOOK_TIMEOUT_MS;
+    this.deliveries = new Map();
+    this.inFlight = new Map();
+    this.writing = Promise.resolve();
+    this.loaded = null;
+  }
+
+  // Replay the log and resend anything a restart interrupted; safe to call more than once
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.replay();
+    }
+    return this.loaded;
+  }
+
+  async replay() {
+    let content = '';
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('could not load webhook deliveries', { error });
+      }
+      return;
+    }
+
+    content.split('\n').filter(Boolean).forEach(line => {
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-write can leave a partial last line
+      }
+    });
+
+    const pending = [...this.deliveries.values()].filter(delivery => delivery.status === 'pending');
+    if (pending.length > 0) {
+      logger.info('resuming pending webhook deliveries', { deliveries: pending.length });
+      pending.forEach(delivery => this.send(delivery));
+    }
+  }
+
+  apply(event) {
+    if (event.type === 'delivery') {
+      // A redelivery logs the delivery again; earlier attempts stay on record
+      const existing = this.deliveries.get(event.delivery.id);
+      this.deliveries.set(event.delivery.id, {
+        ...event.delivery,
+        status: 'pending',
+        attempts: existing ? existing.attempts : [],
+        completedAt: null
+      });
+    } else if (event.type === 'attempt') {
+      const delivery = this.deliveries.get(event.id);
+      if (delivery) delivery.attempts.push(event.attempt);
+    } else if (event.type === 'finish') {
+      const delivery = this.deliveries.get(event.id);
+      if (!delivery) return;
+      delivery.status = event.status;
+      delivery.completedAt = event.completedAt;
+    }
+  }
+
+  append(event) {
+    this.apply(event);
+    this.writing = this.writing
+      .then(() => fs.appendFile(this.filePath, JSON.stringify(event) + '\n'))
+      .catch(error => {
+        logger.error('failed to write webhook log', { error });
+      });
+    return this.writing;
+  }
+
+  // Queue `event` for every target subscribed to it and return the new delivery IDs.
+  // Sending happens in the background so a slow receiver never holds up a batch.
+  async dispatch(event, data, { runId = null, webhook } = {}) {
+    const targets = resolveWebhookTargets(webhook).filter(target => target.events.includes(event));
+    const ids = [];
+
+    for (const target of targets) {
+      const id = crypto.randomUUID();
+      const createdAt = new Date().toISOString();
+      const body = JSON.stringify({ deliveryId: id, event, createdAt, ...data });
+      const delivery = {
+        id,
+        event,
+        url: target.url,
+        runId,
+        body,
+        signature: signPayload(body, target.secret),
+        createdAt
+      };
+
+      await this.append({ type: 'delivery', delivery });
+      this.send(this.deliveries.get(id));
+      ids.push(id);
+    }
+
+    return ids;
+  }
+
+  // Resend a finished delivery as-is (same body, signature and delivery ID)
+  async redeliver(id) {
+    const delivery = this.deliveries.get(id);
+    if (!delivery) return null;
+    if (this.inFlight.has(id)) return this.describe(delivery);
+
+    await this.append({ type: 'delivery', delivery: stored(delivery) });
+    const resent = this.deliveries.get(id);
+    this.send(resent);
+    return this.describe(resent);
+  }
+
+  send(delivery) {
+    const sending = this.deliver(delivery).finally(() => this.inFlight.delete(delivery.id));
+    this.inFlight.set(delivery.id, sending);
+    return sending;
+  }
+
+  async deliver(delivery) {
+    let status = 'delivered';
+    const trusted = delivery.url === WEBHOOK_URL || WEBHOOK_URL_ALLOWLIST.includes(urlHost(delivery.url));
+    try {
+      await withRetry(async () => {
+        const startedAt = Date.now();
+        try {
+          const response = await this.http.post(delivery.url, delivery.body, {
+            headers: {
+              'Content-Type': 'application/json',
+              'User-Agent': 'figma-card-automation-webhooks',
+              'X-Webhook-Event': delivery.event,
+              'X-Webhook-Delivery': delivery.id,
+              'X-Webhook-Signature': delivery.signature
+            },
+            timeout: this.timeout,
+            maxRedirects: 0,
+            ...(trusted ? {} : publicAgents),
+            // The body is already a string; keep axios from re-serializing it
+            transformRequest: [body => body]
+          });
+          await this.recordAttempt(delivery, { statusCode: response.status, startedAt });
+          return response;
+        } catch (caught) {
+          const error = unwrapRefusal(caught);
+          await this.recordAttempt(delivery, {
+            statusCode: error.response ? error.response.status : null,
+            error: error.message,
+            startedAt
+          });
+          throw error;
+        }
+      }, { ...this.retryOptions, label: `Webhook ${delivery.event} to ${delivery.url}` });
+
+      logger.info('webhook delivered', { deliveryId: delivery.id, event: delivery.event, url: delivery.url });
+    } catch (error) {
+      status = 'failed';
+      logger.error('webhook delivery failed', { deliveryId: delivery.id, event: delivery.event, url: delivery.url, error });
+    }
+
+    await this.append({ type: 'finish', id: delivery.id, status, completedAt: new Date().toISOString() });
+  }
+
+  recordAttempt(delivery, { statusCode, error = null, startedAt }) {
+    return this.append({
+      type: 'attempt',
+      id: delivery.id,
+      attempt: {
+        number: delivery.attempts.length + 1,
+        statusCode,
+        error,
+        durationMs: Date.now() - startedAt,
+        at: new Date().toISOString()
+      }
+    });
+  }
+
+  // Public view of a delivery; the payload only when asked for
+  describe(delivery, { includePayload = false } = {}) {
+    const last = delivery.attempts[delivery.attempts.length - 1] || null;
+    return {
+      id: delivery.id,
+      event: delivery.event,
+      url: delivery.url,
+      runId: delivery.runId,
+      status: delivery.status,
+      createdAt: delivery.createdAt,
+      completedAt: delivery.completedAt,
+      attemptCount: delivery.attempts.length,
+      lastStatusCode: last ? last.statusCode : null,
+      lastError: last ? last.error : null,
+      ...(includePayload ? { attempts: delivery.attempts, payload: JSON.parse(delivery.body) } : {})
+    };
+  }
+
+  // Newest first; filters: runId, event, status, url
+  listDeliveries(filters = {}) {
+    const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+    const limit = Math.min(DELIVERIES_PAGE_LIMIT, Math.max(1, parseInt(filters.limit, 10) || 20));
+
+    const matching = [...this.deliveries.values()]
+      .filter(delivery => !filters.runId || delivery.runId === filters.runId)
+      .filter(delivery => !filters.event || delivery.event === filters.event)
+      .filter(delivery => !filters.status || delivery.status === filters.status)
+      .filter(delivery => !filters.url || delivery.url === filters.url)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: matching.length,
+      offset,
+      limit,
+      deliveries: matching.slice(offset, offset + limit).map(delivery => this.describe(delivery))
+    };
+  }
+
+  getDelivery(id) {
+    const delivery = this.deliveries.get(id);
+    return delivery ? this.describe(delivery, { includePayload: true }) : null;
+  }
+}
+
+// The fields a 'delivery' log line carries
+function stored({ id, event, url, runId, body, signature, createdAt }) {
+  return { id, event, url, runId, body, signature, createdAt };
+}
+
+// GET /deliveries, /deliveries/:id (read-results) and POST /deliveries/:id/redeliver (render)
+function webhooksRouter(express, dispatcher, authorize) {
+  const router = express.Router();
+  const read = authorize('read-results');
+
+  router.get('/deliveries', read, (req, res) => {
+    res.json({ success: true, ...dispatcher.listDeliveries(req.query) });
+  });
+
+  router.get('/deliveries/:id', read, (req, res) => {
+    const delivery = dispatcher.getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    res.json({ success: true, delivery });
+  });
+
+  router.post('/deliveries/:id/redeliver', authorize('render'), async (req, res) => {
+    try {
+      const delivery = await dispatcher.redeliver(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({ success: false, error: 'Delivery not found' });
+      }
+      res.status(202).json({ success: true, delivery });
+    } catch (error) {
+      logger.error('could not redeliver webhook', { deliveryId: req.params.id, error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WebhookDispatcher,
+  cardSummary,
+  redactWebhook,
+  resolveWebhookTargets,
+  signPayload,
+  storableWebhook,
+  validateWebhookOptions,
+  verifySignature,
+  webhooksRouter
+};